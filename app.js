@@ -6,349 +6,3554 @@
 // Global audio engine instance
 let audioEngine;
 
-// Initialize on page load
-document.addEventListener('DOMContentLoaded', () => {
-    initializeApp();
-});
+// Session log and reports
+let dataStore;
+let historyRange = 'daily';
+
+// Recommended daily listening time
+const DAILY_GOAL_SECONDS = 30 * 60;
+
+// Reminder checks while the app is open; a reminder still fires this late
+const REMINDER_CHECK_INTERVAL = 30000; // ms
+const REMINDER_GRACE_MINUTES = 15;
+const remindedTimes = new Set();
+
+// Sessions shorter than this are not recorded
+const MIN_SESSION_SECONDS = 10;
+
+// Visualizer: log frequency axis, spectrum level range and display mode
+const VISUALIZER_MIN_FREQ = 250;
+const VISUALIZER_MAX_FREQ = 16000;
+const SPECTRUM_MIN_DB = -120;
+const SPECTRUM_MAX_DB = -30;
+const SPECTROGRAM_STEP = 2; // pixels scrolled per frame
+const VISUALIZER_BACKGROUND = '#0D2847';
+let visualizerMode = 'spectrum';
+
+// Daily exposure dose fractions that trigger a warning
+const EXPOSURE_WARNINGS = [0.5, 1];
+
+// Fade used when the user stops therapy (seconds)
+const STOP_FADE_SECONDS = 1.5;
+
+// In-page notice
+const NOTICE_DURATION = 10000; // ms
+let noticeTimer = null;
+
+// Pending headphone confirmation
+let outputCheckResolver = null;
+
+// Pending before/after rating prompt
+let ratingPhase = null;
+let ratingResolver = null;
+
+// Saved therapy profile
+const PROFILE_SAVE_DELAY = 500;
+let profileSaveTimer = null;
+
+// Guided frequency matching
+const WIZARD_TONE_SECONDS = 1.2;
+const WIZARD_GAP_SECONDS = 0.3;
+let matchWizard = null;
+let wizardEar = null;
+let wizardPresentation = 0;
+
+// Rising ramps of calibrated levels (dBFS) for threshold measurements
+const RAMP_START_LEVEL = -90;
+const RAMP_MAX_LEVEL = -10;
+const RAMP_STEP = 2; // dB per step
+const RAMP_INTERVAL = 500; // ms
+
+// Loudness match and minimum masking level
+const LOUDNESS_MATCH_STEP = 2; // dB per button press
+let loudnessState = null;
+let loudnessRamp = null;
+
+// Hearing screening
+let screeningState = null;
+let screeningRamp = null;
+let screeningDelay = null;
+
+// Name of the loaded or just saved blend, cleared when the mix changes
+let currentBlendName = null;
+
+// Repeat modes in cycling order
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+// Therapy button label per engine state
+const THERAPY_BUTTON_LABELS = {
+    stopped: 'therapy.start',
+    playing: 'therapy.pause',
+    paused: 'therapy.resume'
+};
+
+/**
+ * Initialize application
+ * Called from main.js once the audio engine module has loaded.
+ * @param {TinnitusAudioEngine} engine
+ */
+function initializeApp(engine) {
+    audioEngine = engine;
+    dataStore = new TinnitusDataStore();
+
+    // Translate the page before anything renders text
+    setupLanguage();
+
+    // Setup event listeners
+    setupFrequencyControls();
+    setupEarControls();
+    setupNotchControls();
+    setupTestToneControls();
+    setupVolumeControl();
+    setupSoundSelection();
+    setupTherapyMode();
+    setupMixer();
+    setupVisualizer();
+    setupHistory();
+    setupPrograms();
+    setupDataTransfer();
+    setupOutcomes();
+    setupSafety();
+    setupOutput();
+    setupProfile();
+    setupSleepTimer();
+    setupMediaSession();
+    setupBottomNav();
+    registerServiceWorker();
+
+    setupTherapyEvents();
+
+    // Set initial sound selection
+    selectSound('whitenoise');
+
+    console.log('Tinnitus Care initialized');
+}
+
+/**
+ * Reflect therapy state, the timer and engine errors in the page
+ */
+function setupTherapyEvents() {
+    audioEngine.addEventListener('state-change', ({ detail }) => {
+        updateTherapyUI(detail.state);
+    });
+
+    audioEngine.addEventListener('tick', ({ detail }) => {
+        renderTimer(detail.elapsed, detail.total);
+    });
+
+    audioEngine.addEventListener('auto-stop', () => {
+        const key = audioEngine.dailyLimit ? 'notice.dailyGoalMet' : 'notice.autoStop';
+        showNotice(t(key, { minutes: Math.round(audioEngine.maxDuration / 60) }));
+    });
+
+    audioEngine.addEventListener('error', ({ detail }) => {
+        if (detail.code === 'audio-init') {
+            alert(t('error.audioInit'));
+        } else {
+            showNotice(t('error.playback'));
+        }
+    });
+}
+
+/**
+ * Show this session's listening time and today's total against the daily target
+ * @param {number} elapsed Seconds listened this session
+ * @param {number} total Seconds listened today, this session included
+ */
+function renderTimer(elapsed, total) {
+    document.querySelector('.timer-time').textContent = formatClock(elapsed);
+
+    const today = document.getElementById('timerToday');
+    const params = { total: formatClock(total), goal: formatClock(getDailyGoal()) };
+    today.dataset.i18nParams = JSON.stringify(params);
+    today.textContent = t(today.dataset.i18n, params);
+}
+
+/**
+ * Apply the saved or detected language and fill the language switcher
+ */
+function setupLanguage() {
+    const select = document.getElementById('languageSelect');
+
+    Object.entries(I18n.LANGUAGES).forEach(([language, { name }]) => {
+        const option = document.createElement('option');
+        option.value = language;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+
+    I18n.setLanguage(dataStore.getSettings().language || I18n.detect());
+    select.value = I18n.language;
+
+    select.addEventListener('change', () => {
+        dataStore.updateSettings({ language: select.value });
+        I18n.setLanguage(select.value);
+        renderLanguage();
+    });
+}
+
+/**
+ * Redraw text built by scripts after a language change
+ * Elements carrying data-i18n are already updated by I18n.setLanguage.
+ */
+function renderLanguage() {
+    document.getElementById('notchWidthValue').textContent = formatOctaves(audioEngine.notchWidth);
+    document.getElementById('noiseBandwidthValue').textContent = formatOctaves(audioEngine.testNoiseBandwidth);
+    renderLoudnessSummary(dataStore.getProfile().loudness);
+    renderExtraTones();
+    updateSelectedSoundName();
+    renderBlends();
+    renderPlaylist();
+    renderProgramOptions();
+    renderReminderTimes();
+    renderHistory();
+    updateMediaSession();
+}
+
+/**
+ * Setup bottom navigation for mobile
+ */
+function setupBottomNav() {
+    const bottomNavItems = document.querySelectorAll('.bottom-nav-item');
+    bottomNavItems.forEach(item => {
+        item.addEventListener('click', (e) => {
+            // Remove active from all
+            bottomNavItems.forEach(i => i.classList.remove('active'));
+            // Add to clicked
+            item.classList.add('active');
+        });
+    });
+}
+
+/**
+ * Setup frequency controls
+ */
+function setupFrequencyControls() {
+    const slider = document.getElementById('frequencySlider');
+    const display = document.getElementById('frequencyValue');
+
+    slider.addEventListener('input', (e) => {
+        const frequency = parseInt(e.target.value);
+        updateFrequency(frequency);
+    });
+
+    // Initialize display
+    updateFrequency(slider.value);
+}
+
+/**
+ * Update frequency
+ */
+function updateFrequency(frequency) {
+    const display = document.getElementById('frequencyValue');
+    const slider = document.getElementById('frequencySlider');
+
+    display.textContent = frequency;
+    slider.value = frequency;
+
+    if (audioEngine) {
+        audioEngine.setFrequency(frequency);
+
+        // Presets give both ears the same starting point in per-ear mode
+        if (audioEngine.perEarMode) {
+            updateEarFrequency('left', frequency);
+            updateEarFrequency('right', frequency);
+        }
+
+        scheduleProfileSave();
+    }
+}
+
+/**
+ * Setup left/right ear controls
+ */
+function setupEarControls() {
+    ['left', 'right'].forEach(ear => {
+        const frequencySlider = document.getElementById(`${ear}FrequencySlider`);
+        const volumeSlider = document.getElementById(`${ear}VolumeSlider`);
+
+        frequencySlider.addEventListener('input', (e) => {
+            updateEarFrequency(ear, parseInt(e.target.value));
+        });
+
+        volumeSlider.addEventListener('input', (e) => {
+            updateEarVolume(ear, parseInt(e.target.value));
+        });
+    });
+}
+
+/**
+ * Switch between shared and per-ear frequency matching
+ * @param {string} mode 'both' or 'split'
+ */
+function setEarMode(mode) {
+    const isSplit = mode === 'split';
+    audioEngine.setPerEarMode(isSplit);
+
+    document.querySelectorAll('.ear-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+
+    document.getElementById('sharedFrequency').hidden = isSplit;
+    document.getElementById('testToneBtn').hidden = isSplit;
+    document.getElementById('earControls').hidden = !isSplit;
+
+    ['left', 'right'].forEach(ear => {
+        updateEarFrequency(ear, audioEngine.ears[ear].frequency);
+        updateEarVolume(ear, Math.round(audioEngine.ears[ear].volume * 100));
+    });
+
+    updateTestToneUI();
+    scheduleProfileSave();
+}
+
+/**
+ * Update one ear's frequency
+ */
+function updateEarFrequency(ear, frequency) {
+    document.getElementById(`${ear}FrequencyValue`).textContent = frequency;
+    document.getElementById(`${ear}FrequencySlider`).value = frequency;
+
+    if (audioEngine) {
+        audioEngine.setEarFrequency(ear, frequency);
+        scheduleProfileSave();
+    }
+}
+
+/**
+ * Update one ear's volume
+ * @param {number} percent Volume in percent
+ */
+function updateEarVolume(ear, percent) {
+    document.getElementById(`${ear}VolumeValue`).textContent = `${percent}%`;
+    document.getElementById(`${ear}VolumeSlider`).value = percent;
+
+    if (audioEngine) {
+        audioEngine.setEarVolume(ear, percent / 100);
+        scheduleProfileSave();
+    }
+}
+
+/**
+ * Adjust frequency by delta
+ */
+function adjustFrequency(delta) {
+    const slider = document.getElementById('frequencySlider');
+    const currentFreq = parseInt(slider.value);
+    const newFreq = Math.max(250, Math.min(16000, currentFreq + delta));
+    updateFrequency(newFreq);
+}
+
+/**
+ * Set preset frequency
+ */
+function setPreset(frequency, label) {
+    updateFrequency(frequency);
+
+    // Update active state
+    document.querySelectorAll('.preset-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    event.target.closest('.preset-btn').classList.add('active');
+}
+
+/**
+ * Setup notch width and depth controls
+ */
+function setupNotchControls() {
+    document.getElementById('notchWidthSlider').addEventListener('input', (e) => {
+        updateNotchWidth(parseFloat(e.target.value));
+    });
+
+    document.getElementById('notchDepthSlider').addEventListener('input', (e) => {
+        updateNotchDepth(parseInt(e.target.value));
+    });
+}
+
+/**
+ * Update notch width
+ * @param {number} width Width in octaves
+ */
+function updateNotchWidth(width) {
+    document.getElementById('notchWidthValue').textContent = formatOctaves(width);
+    document.getElementById('notchWidthSlider').value = width;
+
+    if (audioEngine) {
+        audioEngine.setNotchWidth(width);
+        scheduleProfileSave();
+    }
+}
+
+/**
+ * Update notch depth
+ * @param {number} depth Attenuation in dB
+ */
+function updateNotchDepth(depth) {
+    document.getElementById('notchDepthValue').textContent = `${depth}dB`;
+    document.getElementById('notchDepthSlider').value = depth;
+
+    if (audioEngine) {
+        audioEngine.setNotchDepth(depth);
+        scheduleProfileSave();
+    }
+}
+
+/**
+ * Add another tinnitus tone, starting an octave below the main frequency
+ */
+function addExtraTone() {
+    const slider = document.getElementById('frequencySlider');
+    const frequency = Math.max(parseInt(slider.min), Math.round(audioEngine.currentFrequency / 20) * 10);
+
+    audioEngine.addTone(frequency);
+    renderExtraTones();
+    scheduleProfileSave();
+}
+
+/**
+ * Draw a card per extra tone to match its frequency and notch width
+ */
+function renderExtraTones() {
+    const list = document.getElementById('extraToneList');
+    const shared = document.getElementById('frequencySlider');
+    list.innerHTML = '';
+
+    audioEngine.extraTones.forEach((tone, index) => {
+        const card = document.createElement('div');
+        card.className = 'ear-control extra-tone';
+
+        // The main frequency counts as the first tone
+        const title = document.createElement('div');
+        title.className = 'ear-title';
+        const name = document.createElement('span');
+        name.textContent = t('tones.label', { number: index + 2 });
+        const remove = document.createElement('button');
+        remove.className = 'playlist-remove';
+        remove.title = t('common.delete');
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            audioEngine.removeTone(index);
+            renderExtraTones();
+            scheduleProfileSave();
+        });
+        title.append(name, remove);
+
+        const display = document.createElement('div');
+        display.className = 'ear-frequency';
+        const value = document.createElement('span');
+        value.className = 'ear-frequency-value';
+        value.textContent = tone.frequency;
+        const unit = document.createElement('span');
+        unit.className = 'frequency-unit';
+        unit.textContent = 'Hz';
+        display.append(value, unit);
+
+        const frequencySlider = document.createElement('input');
+        frequencySlider.type = 'range';
+        frequencySlider.className = 'frequency-slider';
+        frequencySlider.min = shared.min;
+        frequencySlider.max = shared.max;
+        frequencySlider.step = shared.step;
+        frequencySlider.value = tone.frequency;
+        frequencySlider.addEventListener('input', () => {
+            value.textContent = frequencySlider.value;
+            audioEngine.setToneFrequency(index, parseInt(frequencySlider.value));
+            scheduleProfileSave();
+        });
+
+        const widthControl = document.createElement('div');
+        widthControl.className = 'notch-control';
+        const widthLabel = document.createElement('label');
+        widthLabel.className = 'control-label';
+        const widthName = document.createElement('span');
+        widthName.textContent = t('notch.width');
+        const widthValue = document.createElement('span');
+        widthValue.textContent = formatOctaves(tone.width);
+        widthLabel.append(widthName, widthValue);
+        const widthSlider = document.createElement('input');
+        widthSlider.type = 'range';
+        widthSlider.className = 'notch-slider';
+        widthSlider.min = 0.25;
+        widthSlider.max = 1;
+        widthSlider.step = 0.05;
+        widthSlider.value = tone.width;
+        widthSlider.addEventListener('input', () => {
+            const width = parseFloat(widthSlider.value);
+            widthValue.textContent = formatOctaves(width);
+            audioEngine.setToneWidth(index, width);
+            scheduleProfileSave();
+        });
+        widthControl.append(widthLabel, widthSlider);
+
+        const test = document.createElement('button');
+        test.className = 'btn btn-test';
+        test.dataset.tone = index;
+        test.appendChild(document.createElement('span'));
+        test.addEventListener('click', () => toggleToneTest(index));
+
+        card.append(title, display, frequencySlider, widthControl, test);
+        list.appendChild(card);
+    });
+
+    updateTestToneUI();
+}
+
+/**
+ * Play or stop the test tone at one extra tone
+ */
+async function toggleToneTest(index) {
+    if (audioEngine.isTestTonePlaying && audioEngine.testToneIndex === index) {
+        audioEngine.stopTestTone();
+    } else {
+        await audioEngine.playToneTest(index);
+    }
+
+    updateTestToneUI();
+}
+
+/**
+ * Setup test stimulus controls
+ */
+function setupTestToneControls() {
+    document.getElementById('noiseBandwidthSlider').addEventListener('input', (e) => {
+        updateNoiseBandwidth(parseFloat(e.target.value));
+    });
+}
+
+/**
+ * Choose the test stimulus used for matching
+ * @param {string} type 'pure', 'pulsed', 'warble', 'noise' or 'mixed'
+ */
+async function setTestToneType(type) {
+    document.querySelectorAll('.test-tone-type').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.type === type);
+    });
+    document.getElementById('noiseBandwidthControl').hidden = type !== 'noise' && type !== 'mixed';
+
+    await audioEngine.setTestToneType(type);
+    updateTestToneUI();
+    scheduleProfileSave();
+}
+
+/**
+ * Update narrowband noise bandwidth
+ * @param {number} bandwidth Bandwidth in octaves
+ */
+function updateNoiseBandwidth(bandwidth) {
+    document.getElementById('noiseBandwidthValue').textContent = formatOctaves(bandwidth);
+    document.getElementById('noiseBandwidthSlider').value = bandwidth;
+
+    if (audioEngine) {
+        audioEngine.setTestNoiseBandwidth(bandwidth);
+        scheduleProfileSave();
+    }
+}
+
+/**
+ * Restore the saved therapy profile
+ */
+function setupProfile() {
+    const profile = dataStore.getProfile();
+
+    updateFrequency(profile.frequency);
+    updateNotchWidth(profile.notchWidth);
+    updateNotchDepth(profile.notchDepth);
+    audioEngine.setTones(profile.tones);
+    renderExtraTones();
+    updateNoiseBandwidth(profile.testNoiseBandwidth);
+    setTestToneType(profile.testToneType);
+    updateVolume(Math.round(profile.volume * 100));
+    renderLoudnessSummary(profile.loudness);
+
+    const compensationToggle = document.getElementById('compensationToggle');
+    compensationToggle.disabled = profile.audiogram === null;
+    compensationToggle.addEventListener('change', (e) => setCompensationEnabled(e.target.checked));
+    applyCompensation();
+
+    if (profile.perEarMode) {
+        setEarMode('split');
+        ['left', 'right'].forEach(ear => {
+            updateEarFrequency(ear, profile.ears[ear].frequency);
+            updateEarVolume(ear, Math.round(profile.ears[ear].volume * 100));
+        });
+    }
+}
+
+/**
+ * Save the therapy profile once slider changes settle
+ */
+function scheduleProfileSave() {
+    clearTimeout(profileSaveTimer);
+    profileSaveTimer = setTimeout(() => {
+        dataStore.updateProfile({
+            frequency: audioEngine.currentFrequency,
+            perEarMode: audioEngine.perEarMode,
+            ears: {
+                left: { ...audioEngine.ears.left },
+                right: { ...audioEngine.ears.right }
+            },
+            notchWidth: audioEngine.notchWidth,
+            notchDepth: audioEngine.notchDepth,
+            tones: audioEngine.extraTones.map(tone => ({ ...tone })),
+            volume: audioEngine.currentVolume,
+            testToneType: audioEngine.testToneType,
+            testNoiseBandwidth: audioEngine.testNoiseBandwidth,
+            mixLayers: { ...audioEngine.mixLayers }
+        });
+    }, PROFILE_SAVE_DELAY);
+}
+
+/**
+ * Open the guided frequency matching wizard
+ */
+function openWizard() {
+    stopWizardTones();
+    matchWizard = null;
+
+    document.getElementById('wizardEarChoice').hidden = !audioEngine.perEarMode;
+    showWizardStep('wizardIntro');
+    openModal('wizardModal');
+}
+
+/**
+ * Close the wizard, discarding an unfinished match
+ */
+function closeWizard() {
+    stopWizardTones();
+    matchWizard = null;
+    closeModal('wizardModal');
+}
+
+/**
+ * Show one wizard step and hide the others
+ */
+function showWizardStep(id) {
+    ['wizardIntro', 'wizardTrial', 'wizardResult'].forEach(step => {
+        document.getElementById(step).hidden = step !== id;
+    });
+}
+
+/**
+ * Start matching for the chosen ear
+ */
+function startWizard() {
+    wizardEar = audioEngine.perEarMode
+        ? document.querySelector('input[name="wizardEar"]:checked').value
+        : null;
+
+    // Stay within the range of the frequency sliders
+    const slider = document.getElementById('frequencySlider');
+    matchWizard = new FrequencyMatchWizard({
+        minFrequency: parseInt(slider.min),
+        maxFrequency: parseInt(slider.max)
+    });
+
+    showWizardStep('wizardTrial');
+    presentWizardTrial();
+}
+
+/**
+ * Show the current comparison and play both tones
+ */
+async function presentWizardTrial() {
+    const { trial, runs, results } = matchWizard;
+    const estimatedSteps = 8;
+
+    document.getElementById('wizardProgressText').textContent =
+        t('wizard.progress', { run: trial.run, runs, step: trial.step });
+    document.getElementById('wizardProgressFill').style.width =
+        `${(results.length + Math.min(trial.step / estimatedSteps, 1)) / runs * 100}%`;
+
+    const isOctave = trial.type !== 'bisect';
+    document.getElementById('wizardQuestion').textContent = isOctave
+        ? t('wizard.question.octave')
+        : t('wizard.question.bisect');
+
+    // Octave checks are forced choices
+    document.getElementById('wizardSameBtn').hidden = isOctave;
+
+    const presentation = ++wizardPresentation;
+    const pause = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+    await pause(WIZARD_GAP_SECONDS);
+    for (const index of [0, 1]) {
+        if (presentation !== wizardPresentation) return;
+        await playWizardTone(index);
+        await pause(WIZARD_GAP_SECONDS);
+    }
+}
+
+/**
+ * Play one of the two comparison tones
+ * @param {number} index 0 for tone A, 1 for tone B
+ */
+async function playWizardTone(index) {
+    if (!matchWizard || !matchWizard.trial) return;
+
+    const button = document.getElementById(`wizardTone${index}`);
+    document.querySelectorAll('.wizard-tone').forEach(btn => btn.classList.remove('playing'));
+    button.classList.add('playing');
+
+    await audioEngine.playProbeTone(matchWizard.trial.frequencies[index], WIZARD_TONE_SECONDS, wizardEar);
+    button.classList.remove('playing');
+}
+
+/**
+ * Stop any comparison tone and pending playback
+ */
+function stopWizardTones() {
+    wizardPresentation++;
+    if (audioEngine.probeFrequency) {
+        audioEngine.stopTestTone();
+    }
+    document.querySelectorAll('.wizard-tone').forEach(btn => btn.classList.remove('playing'));
+    updateTestToneUI();
+}
+
+/**
+ * Answer the current comparison
+ * @param {number|string} choice 0 for A, 1 for B, or 'same'
+ */
+function answerWizard(choice) {
+    if (!matchWizard || !matchWizard.trial) return;
+
+    stopWizardTones();
+    matchWizard.answer(choice);
+
+    if (matchWizard.isComplete()) {
+        showWizardResult();
+    } else {
+        presentWizardTrial();
+    }
+}
+
+/**
+ * Show the combined match with its confidence range
+ */
+function showWizardResult() {
+    const result = matchWizard.getResult();
+
+    // Spread between runs in octaves
+    let confidence = 'low';
+    if (result.spread < 1 / 6) {
+        confidence = 'high';
+    } else if (result.spread < 1 / 2) {
+        confidence = 'medium';
+    }
+
+    document.getElementById('wizardResultValue').textContent = Math.round(result.frequency);
+    document.getElementById('wizardResultRange').textContent =
+        t('wizard.range', {
+            low: Math.round(result.low),
+            high: Math.round(result.high),
+            confidence: t(`wizard.confidence.${confidence}`)
+        });
+    document.getElementById('wizardResultRuns').textContent =
+        t('wizard.runs', { frequencies: result.runs.map(frequency => `${Math.round(frequency)}Hz`).join(', ') });
+
+    showWizardStep('wizardResult');
+}
+
+/**
+ * Use the wizard result as the therapy frequency
+ */
+function saveWizardResult() {
+    const result = matchWizard.getResult();
+    const frequency = Math.round(result.frequency / 10) * 10;
+
+    if (wizardEar) {
+        updateEarFrequency(wizardEar, frequency);
+    } else {
+        updateFrequency(frequency);
+    }
+
+    dataStore.addMatch({
+        time: Date.now(),
+        ear: wizardEar,
+        stimulus: { type: audioEngine.testToneType, bandwidth: audioEngine.testNoiseBandwidth },
+        ...result
+    });
+    closeWizard();
+}
+
+/**
+ * Toggle test tone
+ * @param {string|null} ear 'left' or 'right' for the per-ear buttons
+ */
+async function toggleTestTone(ear = null) {
+    if (audioEngine.isTestTonePlaying) {
+        const isSame = audioEngine.testToneIndex === null && audioEngine.testEar === ear;
+        audioEngine.stopTestTone();
+
+        // Another ear's or tone's button switches the tone over instead of stopping it
+        if (!isSame) {
+            await audioEngine.playTestTone(ear);
+        }
+    } else {
+        await audioEngine.playTestTone(ear);
+    }
+
+    updateTestToneUI();
+}
+
+/**
+ * Update test tone button states
+ */
+function updateTestToneUI() {
+    [null, 'left', 'right'].forEach(ear => {
+        const prefix = ear ? `${ear}TestTone` : 'testTone';
+        const btn = document.getElementById(`${prefix}Btn`);
+        const text = document.getElementById(`${prefix}Text`);
+        const isPlaying = audioEngine.isTestTonePlaying && audioEngine.testToneIndex === null && audioEngine.testEar === ear;
+
+        btn.classList.toggle('playing', isPlaying);
+        text.dataset.i18n = isPlaying ? 'testTone.stop' : 'testTone.play';
+        text.textContent = t(text.dataset.i18n);
+    });
+
+    document.querySelectorAll('#extraToneList .btn-test').forEach(btn => {
+        const text = btn.firstElementChild;
+        const isPlaying = audioEngine.isTestTonePlaying && audioEngine.testToneIndex === parseInt(btn.dataset.tone);
+
+        btn.classList.toggle('playing', isPlaying);
+        text.dataset.i18n = isPlaying ? 'testTone.stop' : 'testTone.play';
+        text.textContent = t(text.dataset.i18n);
+    });
+}
+
+/**
+ * Open the loudness match / minimum masking level measurement
+ */
+function openLoudness() {
+    stopLoudnessSounds();
+    loudnessState = null;
+
+    document.getElementById('loudnessEarChoice').hidden = !audioEngine.perEarMode;
+    document.getElementById('loudnessError').textContent = '';
+    showLoudnessStep('loudnessIntro');
+    openModal('loudnessModal');
+}
+
+/**
+ * Close the measurement, discarding unfinished results
+ */
+function closeLoudness() {
+    stopLoudnessSounds();
+    loudnessState = null;
+    closeModal('loudnessModal');
+}
+
+/**
+ * Show one measurement step and hide the others
+ */
+function showLoudnessStep(id) {
+    ['loudnessIntro', 'loudnessStage', 'loudnessResult'].forEach(step => {
+        document.getElementById(step).hidden = step !== id;
+    });
+}
+
+/**
+ * Start with the hearing threshold at the matched frequency
+ */
+async function startLoudness() {
+    // Therapy sound would mask the quiet test tones
+    if (audioEngine.isTherapyPlaying) {
+        document.getElementById('loudnessError').textContent = t('loudness.stopTherapy');
+        return;
+    }
+
+    const ear = audioEngine.perEarMode
+        ? document.querySelector('input[name="loudnessEar"]:checked').value
+        : null;
+
+    loudnessState = {
+        ear,
+        frequency: ear ? audioEngine.ears[ear].frequency : audioEngine.currentFrequency,
+        stage: 'threshold',
+        level: RAMP_START_LEVEL,
+        threshold: null,
+        match: null,
+        noiseThreshold: null,
+        masking: null
+    };
+
+    showLoudnessStep('loudnessStage');
+    renderLoudnessStage();
+
+    if (audioEngine.isTestTonePlaying) {
+        audioEngine.stopTestTone();
+    }
+    const state = loudnessState;
+    audioEngine.setTestLevel(state.level);
+    await audioEngine.playTestTone(ear);
+
+    // The measurement may have been closed while the headphone check was open
+    if (loudnessState !== state) return;
+
+    // Ramping a tone nobody hears would record a false threshold
+    if (!audioEngine.isTestTonePlaying) {
+        stopLoudnessSounds();
+        loudnessState = null;
+        showLoudnessStep('loudnessIntro');
+        return;
+    }
+
+    startLoudnessRamp(level => audioEngine.setTestLevel(level));
+}
+
+/**
+ * Raise the current level step by step until the user responds
+ * @param {Function} apply Called with each new level
+ */
+function startLoudnessRamp(apply) {
+    clearInterval(loudnessRamp);
+    loudnessRamp = setInterval(() => {
+        if (loudnessState.level >= RAMP_MAX_LEVEL) {
+            // Never heard at the loudest safe level: stop instead of going higher
+            stopLoudnessSounds();
+            showLoudnessStep('loudnessIntro');
+            document.getElementById('loudnessError').textContent = t('loudness.tooQuiet');
+            return;
+        }
+
+        loudnessState.level += RAMP_STEP;
+        apply(loudnessState.level);
+        renderLoudnessStage();
+    }, RAMP_INTERVAL);
+}
+
+/**
+ * Stop the ramp, test tone and masking noise
+ */
+function stopLoudnessSounds() {
+    clearInterval(loudnessRamp);
+    loudnessRamp = null;
+
+    if (audioEngine.testLevel !== null) {
+        audioEngine.stopTestTone();
+        audioEngine.setTestLevel(null);
+        updateTestToneUI();
+    }
+    audioEngine.stopMaskingNoise();
+}
+
+/**
+ * Show instructions and level for the current stage
+ */
+function renderLoudnessStage() {
+    const state = loudnessState;
+    const stages = {
+        threshold: {
+            progress: t('loudness.threshold.progress'),
+            question: t('loudness.threshold.question', { frequency: state.frequency }),
+            confirm: t('common.heard')
+        },
+        match: {
+            progress: t('loudness.match.progress'),
+            question: t('loudness.match.question'),
+            confirm: t('loudness.match.confirm')
+        },
+        masking: state.noiseThreshold === null ? {
+            progress: t('loudness.masking.progress'),
+            question: t('loudness.noise.question'),
+            confirm: t('loudness.noise.confirm')
+        } : {
+            progress: t('loudness.masking.progress'),
+            question: t('loudness.masking.question'),
+            confirm: t('loudness.masking.confirm')
+        }
+    };
+    const stage = stages[state.stage];
+
+    document.getElementById('loudnessProgressText').textContent = stage.progress;
+    document.getElementById('loudnessQuestion').textContent = stage.question;
+    document.getElementById('loudnessConfirmBtn').textContent = stage.confirm;
+    document.getElementById('loudnessMatchControls').hidden = state.stage !== 'match';
+
+    // Levels above threshold are what the user can relate to
+    const reference = state.stage === 'masking' ? state.noiseThreshold : state.threshold;
+    document.getElementById('loudnessLevel').textContent = reference === null
+        ? `${state.level} dBFS`
+        : `${state.level - reference} dB SL`;
+}
+
+/**
+ * Record the response for the current stage and move on
+ */
+async function confirmLoudnessStep() {
+    const state = loudnessState;
+    if (!state) return;
+
+    if (state.stage === 'threshold') {
+        // Start the match a little above threshold
+        clearInterval(loudnessRamp);
+        state.threshold = state.level;
+        state.stage = 'match';
+        state.level = Math.min(RAMP_MAX_LEVEL, state.threshold + 10);
+        audioEngine.setTestLevel(state.level);
+    } else if (state.stage === 'match') {
+        state.match = state.level;
+        state.stage = 'masking';
+        state.level = RAMP_START_LEVEL;
+
+        audioEngine.stopTestTone();
+        audioEngine.setTestLevel(null);
+        updateTestToneUI();
+        await audioEngine.playMaskingNoise(state.level, state.ear);
+        if (loudnessState === state) {
+            startLoudnessRamp(level => audioEngine.setMaskingLevel(level));
+        }
+    } else if (state.noiseThreshold === null) {
+        state.noiseThreshold = state.level;
+    } else {
+        state.masking = state.level;
+        stopLoudnessSounds();
+        showLoudnessResult();
+        return;
+    }
+
+    renderLoudnessStage();
+}
+
+/**
+ * Adjust the loudness match tone
+ * @param {number} direction 1 for louder, -1 for softer
+ */
+function adjustLoudnessMatch(direction) {
+    const state = loudnessState;
+    if (!state || state.stage !== 'match') return;
+
+    state.level = Math.max(state.threshold, Math.min(RAMP_MAX_LEVEL, state.level + direction * LOUDNESS_MATCH_STEP));
+    audioEngine.setTestLevel(state.level);
+    renderLoudnessStage();
+}
+
+/**
+ * Show the measured loudness, masking level and suggested volume
+ */
+function showLoudnessResult() {
+    const state = loudnessState;
+    state.result = {
+        time: Date.now(),
+        ear: state.ear,
+        frequency: state.frequency,
+        stimulus: audioEngine.testToneType,
+        threshold: state.threshold,
+        match: state.match,
+        sensationLevel: state.match - state.threshold,
+        noiseThreshold: state.noiseThreshold,
+        maskingLevel: state.masking,
+        maskingSensationLevel: state.masking - state.noiseThreshold,
+        suggestedVolume: audioEngine.getSuggestedVolume(state.masking)
+    };
+
+    const { result } = state;
+    const rows = [
+        [t('loudness.result.frequency'), `${result.frequency}Hz${result.ear ? ` (${t(`ear.${result.ear}`)})` : ''}`],
+        [t('rating.loudness'), t('common.dbSl', { level: result.sensationLevel })],
+        [t('loudness.result.masking'), t('common.dbSl', { level: result.maskingSensationLevel })],
+        [t('loudness.result.volume'), `${Math.round(result.suggestedVolume * 100)}%`]
+    ];
+
+    const list = document.getElementById('loudnessResults');
+    list.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        list.append(term, detail);
+    });
+
+    showLoudnessStep('loudnessResult');
+}
+
+/**
+ * Save the measurement and use its suggested volume
+ */
+function applyLoudnessResult() {
+    const { result } = loudnessState;
+
+    dataStore.updateProfile({ loudness: result });
+    updateVolume(Math.round(result.suggestedVolume * 100));
+    renderLoudnessSummary(result);
+    closeLoudness();
+}
+
+/**
+ * Show the last measurement under the frequency controls
+ */
+function renderLoudnessSummary(result) {
+    const summary = document.getElementById('loudnessSummary');
+    summary.hidden = !result;
+    if (!result) return;
+
+    summary.textContent = t('loudness.summary', {
+        frequency: result.frequency,
+        level: result.sensationLevel,
+        masking: result.maskingSensationLevel
+    });
+}
+
+/**
+ * Open the hearing screening
+ */
+function openScreening() {
+    stopScreeningSounds();
+    screeningState = null;
+
+    document.getElementById('screeningError').textContent = '';
+    showScreeningStep('screeningIntro');
+    openModal('screeningModal');
+}
+
+/**
+ * Close the screening, discarding unfinished results
+ */
+function closeScreening() {
+    stopScreeningSounds();
+    screeningState = null;
+    closeModal('screeningModal');
+}
+
+/**
+ * Show one screening step and hide the others
+ */
+function showScreeningStep(id) {
+    ['screeningIntro', 'screeningStage', 'screeningResult'].forEach(step => {
+        document.getElementById(step).hidden = step !== id;
+    });
+}
+
+/**
+ * Test every frequency in the left ear, then the right ear
+ */
+function startScreening() {
+    if (audioEngine.isTherapyPlaying) {
+        document.getElementById('screeningError').textContent = t('screening.stopTherapy');
+        return;
+    }
+
+    screeningState = {
+        steps: ['left', 'right'].flatMap(ear => HearingScreening.FREQUENCIES.map(frequency => ({ ear, frequency }))),
+        index: 0,
+        level: RAMP_START_LEVEL,
+        playing: false,
+        thresholds: { left: {}, right: {} }
+    };
+
+    showScreeningStep('screeningStage');
+    presentScreeningTone();
+}
+
+/**
+ * Start the rising tone for the current step after a random pause
+ */
+function presentScreeningTone() {
+    const state = screeningState;
+    const { ear, frequency } = state.steps[state.index];
+
+    document.getElementById('screeningProgressText').textContent =
+        t('screening.progress', { ear: t(`ear.${ear}`), frequency, index: state.index + 1, total: state.steps.length });
+    document.getElementById('screeningProgressFill').style.width = `${state.index / state.steps.length * 100}%`;
+
+    // An unpredictable start keeps responses from following a rhythm
+    state.playing = false;
+    state.level = RAMP_START_LEVEL;
+    screeningDelay = setTimeout(async () => {
+        await audioEngine.playScreeningTone(frequency, ear, state.level);
+
+        // The screening may have been closed while the headphone check was open
+        if (screeningState !== state) return;
+
+        // Ramping a tone nobody hears would record every step as not heard
+        if (!audioEngine.isTestTonePlaying) {
+            stopScreeningSounds();
+            screeningState = null;
+            showScreeningStep('screeningIntro');
+            return;
+        }
+
+        state.playing = true;
+        screeningRamp = setInterval(() => {
+            if (state.level >= RAMP_MAX_LEVEL) {
+                recordScreeningThreshold(null);
+                return;
+            }
+
+            state.level += RAMP_STEP;
+            audioEngine.setTestLevel(state.level);
+        }, RAMP_INTERVAL);
+    }, 500 + Math.random() * 1000);
+}
+
+/**
+ * The user heard the tone
+ */
+function confirmScreeningTone() {
+    // Presses before the tone starts are ignored
+    if (screeningState && screeningState.playing) {
+        recordScreeningThreshold(screeningState.level);
+    }
+}
+
+/**
+ * Store the threshold of the current step and move on
+ * @param {?number} threshold Level in dBFS, or null when nothing was heard
+ */
+function recordScreeningThreshold(threshold) {
+    const state = screeningState;
+    const { ear, frequency } = state.steps[state.index];
+
+    stopScreeningSounds();
+    state.thresholds[ear][frequency] = threshold;
+    state.index++;
+
+    if (state.index < state.steps.length) {
+        presentScreeningTone();
+    } else {
+        showScreeningResult();
+    }
+}
+
+/**
+ * Stop the pending pause, ramp and tone
+ */
+function stopScreeningSounds() {
+    clearTimeout(screeningDelay);
+    clearInterval(screeningRamp);
+    screeningDelay = null;
+    screeningRamp = null;
+
+    if (audioEngine.testLevel !== null) {
+        audioEngine.stopTestTone();
+        audioEngine.setTestLevel(null);
+        updateTestToneUI();
+    }
+}
+
+/**
+ * Show the audiogram of the finished screening
+ */
+function showScreeningResult() {
+    const state = screeningState;
+    state.result = {
+        time: Date.now(),
+        thresholds: state.thresholds,
+        levels: HearingScreening.hearingLevels(state.thresholds, RAMP_MAX_LEVEL)
+    };
+
+    showScreeningStep('screeningResult');
+    drawAudiogram(document.getElementById('screeningChart'), state.result.levels);
+}
+
+/**
+ * Save the screening and allow the compensation EQ
+ */
+function saveScreening() {
+    dataStore.updateProfile({ audiogram: screeningState.result });
+    document.getElementById('compensationToggle').disabled = false;
+    applyCompensation();
+    renderOutcomes();
+    closeScreening();
+}
+
+/**
+ * Turn the hearing compensation EQ on or off
+ */
+function setCompensationEnabled(enabled) {
+    dataStore.updateProfile({ compensation: enabled });
+    applyCompensation();
+}
+
+/**
+ * Apply the saved audiogram to the therapy EQ when enabled
+ */
+function applyCompensation() {
+    const { audiogram, compensation } = dataStore.getProfile();
+    const enabled = compensation && audiogram !== null;
+
+    document.getElementById('compensationToggle').checked = enabled;
+    audioEngine.setCompensation(enabled ? HearingScreening.compensation(audiogram.levels) : null);
+}
+
+/**
+ * Draw relative hearing levels per ear, hearing loss downwards
+ */
+function drawAudiogram(canvas, levels) {
+    const frequencies = HearingScreening.FREQUENCIES;
+    const values = ear => frequencies.map(frequency => levels ? levels[ear][frequency] : null);
+    const worst = levels ? Math.max(40, ...values('left'), ...values('right')) : 40;
+
+    drawLineChart(canvas, {
+        labels: frequencies.map(frequency => frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`),
+        min: Math.ceil(worst / 10) * 10,
+        max: 0,
+        series: [
+            { values: values('left'), color: '#4A90E2' },
+            { values: values('right'), color: '#E67E22' }
+        ]
+    });
+}
+
+/**
+ * Render the selected sound through the notch and download it as WAV
+ */
+async function exportTherapyAudio() {
+    const button = document.getElementById('exportBtn');
+    const status = document.getElementById('exportStatus');
+    const duration = parseInt(document.getElementById('exportDuration').value);
+    const soundType = audioEngine.currentSound;
+    const notched = audioEngine.therapyMode === 'notched';
+    const track = notched && soundType === 'music' ? audioEngine.getCurrentTrack() : null;
+
+    if (notched && soundType === 'music' && !track) {
+        status.textContent = t('music.addFirst');
+        return;
+    }
+
+    button.disabled = true;
+    status.textContent = t('export.rendering');
+
+    try {
+        const buffer = await audioEngine.renderTherapy({ soundType, file: track ? track.file : null, duration });
+
+        const frequency = audioEngine.perEarMode
+            ? `L${audioEngine.ears.left.frequency}Hz-R${audioEngine.ears.right.frequency}Hz`
+            : `${audioEngine.currentFrequency}Hz`;
+        const width = audioEngine.notchWidth.toFixed(2);
+        const fileName = `tinnitus-care_${notched ? soundType : audioEngine.therapyMode}_${frequency}_${width}oct_${audioEngine.notchDepth}dB_${duration / 60}min.wav`;
+
+        const blob = WavEncoder.encode(buffer, {
+            INAM: t('export.fileTitle', { name: track ? track.name : getSessionSoundName({ sound: soundType, mode: audioEngine.therapyMode }) }),
+            ICMT: [
+                `frequency=${frequency}`,
+                `notch-width=${width}oct`,
+                `notch-depth=${audioEngine.notchDepth}dB`,
+                `tones=${ClinicianReport.formatTones(audioEngine.extraTones) || '-'}`,
+                `compensation=${audioEngine.compensation ? 'on' : 'off'}`,
+                `sound=${soundType}`,
+                `mode=${audioEngine.therapyMode}`
+            ].join('; '),
+            ICRD: toDateKey(new Date()),
+            ISFT: 'Tinnitus Care'
+        });
+
+        downloadBlob(blob, fileName);
+        status.textContent = t('common.saved', { fileName });
+    } catch (error) {
+        console.error('Export failed:', error);
+        status.textContent = t('export.failed');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+function downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Setup volume control
+ */
+function setupVolumeControl() {
+    document.getElementById('volumeSlider').addEventListener('input', (e) => {
+        updateVolume(parseInt(e.target.value));
+    });
+}
+
+/**
+ * Update therapy volume
+ * @param {number} percent Volume in percent
+ */
+function updateVolume(percent) {
+    if (audioEngine) {
+        // The maximum volume may hold the slider back
+        percent = Math.round(audioEngine.setVolume(percent / 100) * 100);
+        scheduleProfileSave();
+    }
+
+    document.getElementById('volumeValue').textContent = `${percent}%`;
+    document.getElementById('volumeSlider').value = percent;
+}
+
+/**
+ * Setup the maximum volume, sudden rise warnings and exposure tracking
+ */
+function setupSafety() {
+    const maxVolumeSelect = document.getElementById('maxVolumeSelect');
+    maxVolumeSelect.value = dataStore.getSettings().maxVolume;
+    audioEngine.setMaxVolume(parseFloat(maxVolumeSelect.value));
+
+    maxVolumeSelect.addEventListener('change', () => {
+        const maxVolume = parseFloat(maxVolumeSelect.value);
+        audioEngine.setMaxVolume(maxVolume);
+        dataStore.updateSettings({ maxVolume });
+        updateVolume(Math.round(audioEngine.currentVolume * 100));
+    });
+
+    audioEngine.addEventListener('level-warning', ({ detail }) => {
+        showNotice(t('safety.rise', { rise: Math.round(detail.rise) }));
+    });
+
+    audioEngine.addEventListener('exposure', ({ detail }) => {
+        const { dose } = detail;
+        const before = dataStore.getExposure();
+        const after = before + dose;
+        dataStore.addExposure(dose);
+        renderExposure(after);
+
+        const crossed = EXPOSURE_WARNINGS.filter(limit => before < limit && after >= limit).pop();
+        if (crossed === 1) {
+            showNotice(t('safety.exposureOver'));
+        } else if (crossed) {
+            showNotice(t('safety.exposureWarning', { percent: crossed * 100 }));
+        }
+    });
+
+    renderExposure(dataStore.getExposure());
+}
+
+/**
+ * Restore the output device and ask for the headphone check before playback
+ */
+function setupOutput() {
+    audioEngine.confirmOutput = () => openOutputCheck();
+
+    const select = document.getElementById('outputDeviceSelect');
+    select.addEventListener('change', () => selectOutputDevice(select.value));
+
+    const { outputDeviceId } = dataStore.getSettings();
+    if (outputDeviceId) {
+        selectOutputDevice(outputDeviceId);
+    }
+
+    // Plugging or unplugging headphones calls for a new check
+    if (navigator.mediaDevices && 'ondevicechange' in navigator.mediaDevices) {
+        navigator.mediaDevices.addEventListener('devicechange', () => {
+            audioEngine.outputConfirmed = false;
+            renderOutputDevices();
+        });
+    }
+}
+
+/**
+ * Open the output check
+ * @returns {Promise<boolean>} Whether the user confirmed headphone use
+ */
+function openOutputCheck() {
+    // Several tones asking at once share one prompt
+    if (outputCheckResolver) {
+        return outputCheckResolver.promise;
+    }
+
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    outputCheckResolver = { promise, resolve };
+
+    document.getElementById('channelCheckStatus').textContent = '';
+    renderOutputDevices();
+    openModal('outputModal');
+    return promise;
+}
+
+/**
+ * Close the output check
+ * @param {boolean} confirmed Headphones are on and left/right are correct
+ */
+function closeOutputCheck(confirmed) {
+    closeModal('outputModal');
+
+    if (confirmed) {
+        audioEngine.outputConfirmed = true;
+    }
+
+    if (outputCheckResolver) {
+        const { resolve } = outputCheckResolver;
+        outputCheckResolver = null;
+        resolve(confirmed);
+    }
+}
+
+/**
+ * Fill the output device list where the browser supports choosing one
+ */
+async function renderOutputDevices() {
+    const control = document.getElementById('outputDeviceControl');
+    const select = document.getElementById('outputDeviceSelect');
+
+    const devices = audioEngine.canSelectOutput() ? await audioEngine.getOutputDevices() : [];
+    control.hidden = devices.length === 0;
+    select.innerHTML = '';
+
+    devices.forEach((device, index) => {
+        const option = document.createElement('option');
+        option.value = device.deviceId === 'default' ? '' : device.deviceId;
+        option.textContent = device.label || t('output.deviceFallback', { index: index + 1 });
+        select.appendChild(option);
+    });
+    select.value = audioEngine.outputDeviceId;
+}
+
+/**
+ * Switch the output device and remember it
+ */
+async function selectOutputDevice(deviceId) {
+    try {
+        await audioEngine.setOutputDevice(deviceId);
+        dataStore.updateSettings({ outputDeviceId: deviceId });
+    } catch (error) {
+        // The saved device is gone; keep the default
+        console.warn('Output device unavailable:', error);
+        dataStore.updateSettings({ outputDeviceId: '' });
+    }
+
+    audioEngine.outputConfirmed = false;
+    document.getElementById('outputDeviceSelect').value = audioEngine.outputDeviceId;
+}
+
+/**
+ * Play the left/right check and label where it should be heard
+ * @param {string} channel 'left', 'right' or 'both'
+ */
+async function playChannelCheck(channel) {
+    const status = document.getElementById('channelCheckStatus');
+    const buttons = document.querySelectorAll('.channel-checks .wizard-tone');
+
+    const label = t(`output.channel.${channel}`);
+    status.textContent = label;
+    buttons.forEach(btn => btn.classList.toggle('playing', btn.dataset.channel === channel));
+
+    await audioEngine.playChannelCheck(channel);
+
+    buttons.forEach(btn => btn.classList.remove('playing'));
+    if (status.textContent === label) {
+        status.textContent = '';
+    }
+}
+
+/**
+ * Show today's exposure dose
+ * @param {number} dose Fraction of the daily allowance
+ */
+function renderExposure(dose) {
+    const percent = Math.round(dose * 100);
+    const fill = document.getElementById('exposureFill');
+
+    document.getElementById('exposureValue').textContent = `${percent}%`;
+    fill.style.width = `${Math.min(100, percent)}%`;
+    fill.classList.toggle('warning', dose >= EXPOSURE_WARNINGS[0] && dose < 1);
+    fill.classList.toggle('over', dose >= 1);
+}
+
+/**
+ * Setup sound selection
+ */
+function setupSoundSelection() {
+    // Sound cards will be clicked via onclick in HTML
+    const fileInput = document.getElementById('musicFileInput');
+
+    fileInput.addEventListener('change', (e) => {
+        const { rejected } = audioEngine.addMusicFiles(e.target.files);
+        showMusicNotice(rejected.length ? t('music.unsupported', { files: rejected.join(', ') }) : '');
+
+        // Allow picking the same file again
+        e.target.value = '';
+        renderPlaylist();
+    });
+
+    audioEngine.addEventListener('track-change', () => {
+        renderPlaylist();
+        updateSelectedSoundName();
+    });
+
+    audioEngine.addEventListener('playlist-end', () => renderPlaylist());
+
+    renderPlaylist();
+}
+
+/**
+ * Select sound type
+ */
+async function selectSound(soundType) {
+    // The music and mix panels open even when there is nothing to play yet
+    document.getElementById('musicPanel').hidden = soundType !== 'music';
+    document.getElementById('mixerPanel').hidden = soundType !== 'mix';
+
+    // An empty playlist or mix keeps the current sound playing
+    const switching = audioEngine.isTherapyPlaying && audioEngine.therapyMode === 'notched'
+        && soundType !== audioEngine.currentSound;
+    if (switching && soundType === 'music' && audioEngine.playlist.length === 0) {
+        showMusicNotice(t('music.addFirst'));
+        return;
+    }
+
+    if (switching && soundType === 'mix' && !audioEngine.hasMixLayers()) {
+        showMixerNotice(t('mixer.empty'));
+        return;
+    }
+
+    // Update active state
+    document.querySelectorAll('.sound-card').forEach(card => {
+        card.classList.toggle('active', card.dataset.sound === soundType);
+    });
+
+    // The engine takes the sound right away when stopped, or after crossfading to it
+    if (soundType !== audioEngine.currentSound) {
+        await audioEngine.switchSound(soundType);
+    }
+    updateSelectedSoundName();
+}
+
+/**
+ * Update selected sound display
+ */
+function updateSelectedSoundName() {
+    const soundType = audioEngine.currentSound;
+    const track = audioEngine.getCurrentTrack();
+    let name = t(`sound.${soundType}`);
+
+    if (audioEngine.therapyMode !== 'notched') {
+        document.getElementById('selectedSoundName').textContent = t(`mode.${audioEngine.therapyMode}`);
+        updateMediaSession();
+        return;
+    }
+
+    if (soundType === 'music' && track) {
+        name += ` · ${track.name}`;
+    }
+
+    if (soundType === 'mix' && currentBlendName) {
+        name += ` · ${currentBlendName}`;
+    }
+
+    document.getElementById('selectedSoundName').textContent = name;
+    updateMediaSession();
+}
+
+/**
+ * Setup the therapy mode picker
+ */
+function setupTherapyMode() {
+    const select = document.getElementById('therapyModeSelect');
+    select.value = dataStore.getSettings().therapyMode;
+    applyTherapyMode(select.value);
+
+    select.addEventListener('change', async () => {
+        // Going back to notched sound mid-session needs a playable sound
+        if (audioEngine.isTherapyPlaying && !isSoundReady(select.value)) {
+            select.value = audioEngine.therapyMode;
+            return;
+        }
+
+        dataStore.updateSettings({ therapyMode: select.value });
+        await applyTherapyMode(select.value);
+    });
+}
+
+/**
+ * Switch the engine to a therapy mode and describe it
+ * @param {string} mode 'notched' or a mode id from therapy-modes.js
+ */
+async function applyTherapyMode(mode) {
+    const hint = document.getElementById('therapyModeHint');
+    hint.dataset.i18n = `mode.${mode}.description`;
+    hint.textContent = t(hint.dataset.i18n);
+
+    await audioEngine.setTherapyMode(mode);
+    updateSelectedSoundName();
+}
+
+/**
+ * A session's extra tones to append to its frequency, e.g. " + 1000Hz"
+ */
+function formatSessionTones(session) {
+    return (session.tones || []).map(tone => ` + ${tone.frequency}Hz`).join('');
+}
+
+/**
+ * Name of the sound or therapy mode a session used
+ */
+function getSessionSoundName(session) {
+    return session.mode && session.mode !== 'notched'
+        ? t(`mode.${session.mode}`)
+        : t(`sound.${session.sound}`);
+}
+
+/**
+ * Setup the soundscape mixer and saved blends
+ */
+function setupMixer() {
+    audioEngine.setMixLayers(dataStore.getProfile().mixLayers);
+
+    document.querySelectorAll('.mixer-slider').forEach(slider => {
+        slider.addEventListener('input', (e) => {
+            audioEngine.setMixLevel(slider.dataset.sound, parseInt(e.target.value) / 100);
+            currentBlendName = null;
+            renderMixer();
+            renderBlends();
+            updateSelectedSoundName();
+            scheduleProfileSave();
+        });
+    });
+
+    renderMixer();
+    renderBlends();
+}
+
+/**
+ * Show the mix levels on the mixer sliders
+ */
+function renderMixer() {
+    document.querySelectorAll('.mixer-layer').forEach(row => {
+        const slider = row.querySelector('.mixer-slider');
+        const percent = Math.round((audioEngine.mixLayers[slider.dataset.sound] || 0) * 100);
+        slider.value = percent;
+        row.querySelector('.mixer-layer-value').textContent = `${percent}%`;
+    });
+}
+
+/**
+ * Render saved blends as chips that load them
+ */
+function renderBlends() {
+    const list = document.getElementById('blendList');
+    list.innerHTML = '';
+
+    dataStore.getBlends().forEach(blend => {
+        const chip = document.createElement('span');
+        chip.className = 'music-btn blend-chip';
+        chip.classList.toggle('active', blend.name === currentBlendName);
+        chip.textContent = blend.name;
+        chip.addEventListener('click', () => loadBlend(blend));
+
+        const remove = document.createElement('button');
+        remove.className = 'playlist-remove';
+        remove.title = t('common.delete');
+        remove.textContent = '×';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            dataStore.removeBlend(blend.name);
+            if (blend.name === currentBlendName) {
+                currentBlendName = null;
+                updateSelectedSoundName();
+            }
+            renderBlends();
+        });
+
+        chip.appendChild(remove);
+        list.appendChild(chip);
+    });
+}
+
+/**
+ * Save the current mix under the entered name
+ */
+function saveBlend() {
+    const input = document.getElementById('blendNameInput');
+    const name = input.value.trim();
+
+    if (!name) {
+        showMixerNotice(t('mixer.nameRequired'));
+        return;
+    }
+
+    if (!audioEngine.hasMixLayers()) {
+        showMixerNotice(t('mixer.empty'));
+        return;
+    }
+
+    dataStore.saveBlend({ name, layers: { ...audioEngine.mixLayers } });
+    currentBlendName = name;
+    input.value = '';
+    showMixerNotice(t('mixer.saved', { name }));
+    renderBlends();
+    updateSelectedSoundName();
+}
+
+/**
+ * Apply a saved blend to the mixer
+ */
+function loadBlend(blend) {
+    audioEngine.setMixLayers(blend.layers);
+    currentBlendName = blend.name;
+    showMixerNotice('');
+    renderMixer();
+    renderBlends();
+    updateSelectedSoundName();
+    scheduleProfileSave();
+}
+
+/**
+ * Show a message under the mixer
+ */
+function showMixerNotice(message) {
+    document.getElementById('mixerNotice').textContent = message;
+}
+
+/**
+ * Render the music playlist
+ */
+function renderPlaylist() {
+    const list = document.getElementById('playlist');
+    list.innerHTML = '';
+
+    audioEngine.playlist.forEach((track, index) => {
+        const item = document.createElement('li');
+        item.className = 'playlist-item';
+        item.classList.toggle('active', index === audioEngine.playlistIndex);
+        item.addEventListener('click', () => audioEngine.selectTrack(index));
+
+        const name = document.createElement('span');
+        name.className = 'playlist-item-name';
+        name.textContent = track.name;
+
+        const remove = document.createElement('button');
+        remove.className = 'playlist-remove';
+        remove.title = t('common.delete');
+        remove.textContent = '×';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            audioEngine.removeTrack(index);
+            renderPlaylist();
+            updateSelectedSoundName();
+        });
+
+        item.append(name, remove);
+        list.appendChild(item);
+    });
+
+    document.getElementById('playlistEmpty').hidden = audioEngine.playlist.length > 0;
+}
+
+/**
+ * Show a message under the music controls
+ */
+function showMusicNotice(message) {
+    document.getElementById('musicNotice').textContent = message;
+}
+
+/**
+ * Playlist controls
+ */
+function previousTrack() {
+    audioEngine.previousTrack();
+}
+
+function nextTrack() {
+    audioEngine.nextTrack();
+}
+
+function toggleShuffle() {
+    audioEngine.setShuffle(!audioEngine.shuffle);
+    document.getElementById('shuffleBtn').classList.toggle('active', audioEngine.shuffle);
+}
+
+function cycleRepeat() {
+    const mode = REPEAT_MODES[(REPEAT_MODES.indexOf(audioEngine.repeatMode) + 1) % REPEAT_MODES.length];
+    const btn = document.getElementById('repeatBtn');
+
+    audioEngine.setRepeatMode(mode);
+    btn.dataset.i18n = `music.repeat.${mode}`;
+    btn.textContent = t(btn.dataset.i18n);
+    btn.classList.toggle('active', mode !== 'off');
+}
+
+/**
+ * Update therapy UI state
+ * @param {string} state 'stopped', 'playing' or 'paused'
+ */
+function updateTherapyUI(state) {
+    const btn = document.getElementById('therapyBtn');
+    const icon = document.getElementById('therapyBtnIcon');
+    const text = document.getElementById('therapyBtnText');
+
+    btn.classList.toggle('playing', state === 'playing');
+    icon.textContent = state === 'playing' ? '⏸' : '▶';
+    text.dataset.i18n = THERAPY_BUTTON_LABELS[state];
+    text.textContent = t(text.dataset.i18n);
+    document.getElementById('endTherapyBtn').hidden = state === 'stopped';
+
+    updateMediaSession();
+}
+
+/**
+ * Setup session length and fade controls
+ */
+function setupSleepTimer() {
+    const settings = dataStore.getSettings();
+    const fadeIn = document.getElementById('fadeInSelect');
+    const fadeOut = document.getElementById('fadeOutSelect');
+
+    fadeIn.value = settings.fadeIn;
+    fadeOut.value = settings.fadeOut;
+    audioEngine.setFades(settings.fadeIn, settings.fadeOut);
+    setSessionLength(settings.sessionLength);
+
+    [fadeIn, fadeOut].forEach(select => {
+        select.addEventListener('change', () => {
+            const changes = { fadeIn: parseInt(fadeIn.value), fadeOut: parseInt(fadeOut.value) };
+            audioEngine.setFades(changes.fadeIn, changes.fadeOut);
+            dataStore.updateSettings(changes);
+        });
+    });
+}
+
+/**
+ * Choose how long to listen
+ * With the daily goal, time from earlier sessions today counts toward it so
+ * auto-stop follows the day's total; a fixed length applies to each session.
+ * @param {number|string} length Seconds, 0 for no limit, or 'goal' for the daily goal
+ */
+function setSessionLength(length) {
+    document.querySelectorAll('.session-length').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.length === String(length));
+    });
+
+    dataStore.updateSettings({ sessionLength: length });
+    applyDailyLimit();
+    updateMediaSession();
+}
+
+/**
+ * Give the engine the session length and the time already listened today
+ * Only the daily goal counts earlier listening toward the limit.
+ * The running session is saved only when it ends, so it is never counted twice.
+ */
+function applyDailyLimit() {
+    const { sessionLength } = dataStore.getSettings();
+    const [today] = dataStore.getDailyTotals(1);
+    const daily = sessionLength === 'goal';
+
+    audioEngine.setSessionLength(daily ? getDailyGoal() : sessionLength, { daily });
+    audioEngine.setPriorListening(today.seconds);
+
+    if (!audioEngine.isTherapyPlaying) {
+        renderTimer(0, today.seconds);
+    }
+}
+
+/**
+ * Show a non-blocking notice that hides itself
+ */
+function showNotice(message) {
+    document.getElementById('appNoticeText').textContent = message;
+    document.getElementById('appNotice').hidden = false;
+
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(hideNotice, NOTICE_DURATION);
+}
+
+function hideNotice() {
+    clearTimeout(noticeTimer);
+    document.getElementById('appNotice').hidden = true;
+}
+
+/**
+ * Register the service worker for offline use
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Setup lock-screen controls through the Media Session API
+ */
+function setupMediaSession() {
+    // Phones may suspend audio while the page is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && audioEngine.isTherapyPlaying) {
+            audioEngine.resumeContext();
+        }
+    });
+
+    if (!('mediaSession' in navigator)) return;
+
+    // The lock screen cannot show the rating prompt, so it is skipped there
+    navigator.mediaSession.setActionHandler('play', () => {
+        if (audioEngine.state !== 'playing') {
+            toggleTherapy({ askRatings: false });
+        }
+    });
+
+    navigator.mediaSession.setActionHandler('pause', () => {
+        if (audioEngine.state === 'playing') {
+            toggleTherapy();
+        }
+    });
+
+    navigator.mediaSession.setActionHandler('stop', () => endTherapy());
+
+    navigator.mediaSession.setActionHandler('previoustrack', () => previousTrack());
+    navigator.mediaSession.setActionHandler('nexttrack', () => nextTrack());
+
+    audioEngine.addEventListener('tick', () => updateMediaSession());
+    updateMediaSession();
+}
+
+/**
+ * Show the current sound and remaining time on the lock screen
+ */
+function updateMediaSession() {
+    if (!('mediaSession' in navigator) || !audioEngine) return;
+
+    const track = audioEngine.currentSound === 'music' ? audioEngine.getCurrentTrack() : null;
+    const remaining = Math.max(0, audioEngine.getRemainingTime() || 0);
+    const limited = audioEngine.maxDuration > 0;
+    const frequency = audioEngine.perEarMode
+        ? `L ${audioEngine.ears.left.frequency}Hz · R ${audioEngine.ears.right.frequency}Hz`
+        : `${audioEngine.currentFrequency}Hz`;
+
+    const title = audioEngine.therapyMode !== 'notched'
+        ? t(`mode.${audioEngine.therapyMode}`)
+        : track ? track.name : t(`sound.${audioEngine.currentSound}`);
+    const artist = limited
+        ? t('media.remaining', { frequency, minutes: Math.ceil(remaining / 60) })
+        : t('media.notch', { frequency });
+
+    // Only replace the metadata when its text changes
+    const current = navigator.mediaSession.metadata;
+    if (!current || current.title !== title || current.artist !== artist) {
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title,
+            artist,
+            album: t('app.name'),
+            artwork: [
+                { src: 'icon-192.png', sizes: '192x192', type: 'image/png' },
+                { src: 'icon-512.png', sizes: '512x512', type: 'image/png' }
+            ]
+        });
+    }
+
+    navigator.mediaSession.playbackState = audioEngine.state === 'playing' ? 'playing' : 'paused';
+
+    if (audioEngine.isTherapyPlaying && limited && 'setPositionState' in navigator.mediaSession) {
+        navigator.mediaSession.setPositionState({
+            duration: audioEngine.maxDuration,
+            position: audioEngine.maxDuration - remaining,
+            playbackRate: 1
+        });
+    }
+}
+
+/**
+ * Start therapy, or pause and resume a running session
+ * @param {Object} options
+ * @param {boolean} options.askRatings Ask for a before rating if enabled in settings
+ */
+async function toggleTherapy({ askRatings = true } = {}) {
+    if (audioEngine.state === 'playing') {
+        await audioEngine.pause();
+        return;
+    }
+
+    if (audioEngine.state === 'paused') {
+        await audioEngine.resume();
+        return;
+    }
+
+    if (!isSoundReady(audioEngine.therapyMode)) return;
+
+    // Re-read today's total now: the page may have stayed open past midnight
+    applyDailyLimit();
+    const remaining = audioEngine.getRemainingTime();
+    if (remaining !== null && remaining <= 0) {
+        showNotice(t('therapy.limitReached', { minutes: Math.round(audioEngine.maxDuration / 60) }));
+        return;
+    }
+
+    if (askRatings && dataStore.getSettings().askRatings) {
+        await askRating('before');
+    }
+
+    // state-change updates the buttons; they stay off if the headphone check was cancelled
+    await audioEngine.start();
+}
+
+/**
+ * Whether the selected sound can play in a therapy mode, explaining why not
+ * Only notched sound uses it; the other modes make their own.
+ */
+function isSoundReady(mode) {
+    if (mode !== 'notched') return true;
+
+    if (audioEngine.currentSound === 'music' && audioEngine.playlist.length === 0) {
+        showMusicNotice(t('music.addFirst'));
+        return false;
+    }
+
+    if (audioEngine.currentSound === 'mix' && !audioEngine.hasMixLayers()) {
+        showMixerNotice(t('mixer.empty'));
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * End the therapy session, playing or paused
+ */
+async function endTherapy() {
+    if (!audioEngine.isTherapyPlaying) return;
+
+    // Show the stop right away rather than after the fade
+    updateTherapyUI('stopped');
+    await audioEngine.stop({ fade: STOP_FADE_SECONDS });
+}
+
+/**
+ * Setup audio visualizer
+ */
+function setupVisualizer() {
+    const canvas = document.getElementById('visualizer');
+    const ctx = canvas.getContext('2d');
+
+    // The spectrogram scrolls on its own canvas so overlays stay out of its history
+    const history = document.createElement('canvas').getContext('2d');
+
+    // Set canvas size
+    const resizeCanvas = () => {
+        const container = canvas.parentElement;
+        canvas.width = container.clientWidth;
+        canvas.height = 200;
+        history.canvas.width = canvas.width;
+        history.canvas.height = canvas.height;
+    };
+
+    resizeCanvas();
+    window.addEventListener('resize', resizeCanvas);
+    setVisualizerMode(dataStore.getSettings().visualizerMode);
+
+    // Animation loop
+    function draw() {
+        requestAnimationFrame(draw);
+
+        const width = canvas.width;
+        const height = canvas.height;
+
+        if (!audioEngine.isTherapyPlaying) {
+            // Clear canvas with a slight trail
+            ctx.fillStyle = 'rgba(13, 40, 71, 0.2)';
+            ctx.fillRect(0, 0, width, height);
+            drawIdleState(ctx, width, height);
+        } else if (visualizerMode === 'spectrum') {
+            drawSpectrum(ctx, width, height);
+        } else if (visualizerMode === 'spectrogram') {
+            drawSpectrogram(ctx, history, width, height);
+        } else {
+            drawWaveform(ctx, width, height);
+        }
+    }
+
+    draw();
+}
+
+/**
+ * Switch the visualizer between waveform, spectrum and spectrogram
+ * @param {string} mode 'waveform', 'spectrum' or 'spectrogram'
+ */
+function setVisualizerMode(mode) {
+    visualizerMode = mode;
+
+    document.querySelectorAll('.visualizer-mode').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+
+    dataStore.updateSettings({ visualizerMode: mode });
+}
+
+/**
+ * Draw the time-domain waveform
+ */
+function drawWaveform(ctx, width, height) {
+    // Clear canvas with a slight trail
+    ctx.fillStyle = 'rgba(13, 40, 71, 0.2)';
+    ctx.fillRect(0, 0, width, height);
+
+    const analyserData = audioEngine.getAnalyserData();
+    if (!analyserData) return;
+
+    const { bufferLength, dataArray } = analyserData;
+
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = '#4A90E2';
+    ctx.shadowBlur = 10;
+    ctx.shadowColor = '#4A90E2';
+    ctx.beginPath();
+
+    const sliceWidth = width / bufferLength;
+    let x = 0;
+
+    for (let i = 0; i < bufferLength; i++) {
+        const v = dataArray[i] / 128.0;
+        const y = (v * height) / 2;
+
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+
+        x += sliceWidth;
+    }
+
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+
+    // Reset shadow
+    ctx.shadowBlur = 0;
+}
+
+/**
+ * Draw the spectrum on a log frequency axis with the notch bands on top
+ */
+function drawSpectrum(ctx, width, height) {
+    ctx.fillStyle = VISUALIZER_BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    const spectrum = audioEngine.getSpectrumData();
+    if (!spectrum) return;
+
+    const levels = sampleSpectrum(spectrum, width);
+
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    levels.forEach((level, x) => ctx.lineTo(x, height - levelToFraction(level) * height));
+    ctx.lineTo(width, height);
+    ctx.closePath();
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, 'rgba(74, 144, 226, 0.8)');
+    gradient.addColorStop(1, 'rgba(74, 144, 226, 0.1)');
+    ctx.fillStyle = gradient;
+    ctx.fill();
+
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#4A90E2';
+    ctx.stroke();
+
+    drawFrequencyAxis(ctx, width, height);
+    drawFrequencyIndicator(ctx, width, height);
+}
+
+/**
+ * Scroll the spectrogram one step and draw the newest spectrum at the right edge
+ * Frequency runs up the log axis, level shows as brightness.
+ * @param {CanvasRenderingContext2D} history Offscreen spectrogram canvas
+ */
+function drawSpectrogram(ctx, history, width, height) {
+    const spectrum = audioEngine.getSpectrumData();
+    if (!spectrum) return;
+
+    history.drawImage(history.canvas, -SPECTROGRAM_STEP, 0);
+
+    const levels = sampleSpectrum(spectrum, height);
+    const column = history.createImageData(SPECTROGRAM_STEP, height);
+    for (let y = 0; y < height; y++) {
+        const [r, g, b] = spectrogramColor(levelToFraction(levels[height - 1 - y]));
+        for (let x = 0; x < SPECTROGRAM_STEP; x++) {
+            const offset = (y * SPECTROGRAM_STEP + x) * 4;
+            column.data[offset] = r;
+            column.data[offset + 1] = g;
+            column.data[offset + 2] = b;
+            column.data[offset + 3] = 255;
+        }
+    }
+    history.putImageData(column, width - SPECTROGRAM_STEP, 0);
+
+    ctx.drawImage(history.canvas, 0, 0);
+    drawFrequencyAxis(ctx, width, height, true);
+    drawFrequencyIndicator(ctx, width, height, true);
+}
+
+/**
+ * Average spectrum level at `count` points along the log frequency axis
+ * @param {{bins: Float32Array, binWidth: number}} spectrum From getSpectrumData
+ * @returns {number[]} Level in dB per point, lowest frequency first
+ */
+function sampleSpectrum({ bins, binWidth }, count) {
+    return Array.from({ length: count }, (_, i) => {
+        const first = Math.floor(positionToFrequency(i, count) / binWidth);
+        const last = Math.min(bins.length, Math.max(first + 1, Math.floor(positionToFrequency(i + 1, count) / binWidth)));
+
+        let sum = 0;
+        for (let bin = first; bin < last; bin++) {
+            sum += Math.max(bins[bin], SPECTRUM_MIN_DB);
+        }
+        return sum / (last - first);
+    });
+}
+
+/**
+ * Map a level in dB to 0-1 of the spectrum range
+ */
+function levelToFraction(level) {
+    return Math.max(0, Math.min(1, (level - SPECTRUM_MIN_DB) / (SPECTRUM_MAX_DB - SPECTRUM_MIN_DB)));
+}
+
+/**
+ * Spectrogram color from the background through blue to white
+ * @returns {number[]} RGB
+ */
+function spectrogramColor(fraction) {
+    const stops = [[13, 40, 71], [74, 144, 226], [255, 255, 255]];
+    const scaled = fraction * (stops.length - 1);
+    const index = Math.min(Math.floor(scaled), stops.length - 2);
+    const t = scaled - index;
+    return stops[index].map((value, c) => Math.round(value + (stops[index + 1][c] - value) * t));
+}
+
+/**
+ * Position of a frequency on the visualizer's log axis, from 0 to `size`
+ */
+function frequencyToPosition(frequency, size) {
+    const minLog = Math.log10(VISUALIZER_MIN_FREQ);
+    const maxLog = Math.log10(VISUALIZER_MAX_FREQ);
+    return ((Math.log10(frequency) - minLog) / (maxLog - minLog)) * size;
+}
+
+/**
+ * Frequency at a position on the visualizer's log axis
+ */
+function positionToFrequency(position, size) {
+    return VISUALIZER_MIN_FREQ * Math.pow(VISUALIZER_MAX_FREQ / VISUALIZER_MIN_FREQ, position / size);
+}
+
+/**
+ * Draw octave grid lines with frequency labels
+ * @param {boolean} vertical Frequency runs up the canvas (spectrogram)
+ */
+function drawFrequencyAxis(ctx, width, height, vertical = false) {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.font = '11px Inter';
+
+    for (let frequency = VISUALIZER_MIN_FREQ * 2; frequency < VISUALIZER_MAX_FREQ; frequency *= 2) {
+        const label = frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+        ctx.beginPath();
+
+        if (vertical) {
+            const y = height - frequencyToPosition(frequency, height);
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.textAlign = 'left';
+            ctx.fillText(label, 4, y - 3);
+        } else {
+            const x = frequencyToPosition(frequency, width);
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.textAlign = 'center';
+            ctx.fillText(label, x, height - 4);
+        }
+    }
+}
+
+/**
+ * Draw frequency indicator on visualizer
+ * @param {boolean} vertical Frequency runs up the canvas (spectrogram)
+ */
+function drawFrequencyIndicator(ctx, width, height, vertical = false) {
+    const mode = audioEngine.getModeFrequencies();
+    if (mode) {
+        drawModeMarkers(ctx, width, height, mode, vertical);
+        return;
+    }
+
+    const notches = audioEngine.perEarMode
+        ? [
+            { freq: audioEngine.ears.left.frequency, octaves: audioEngine.notchWidth, label: 'L' },
+            { freq: audioEngine.ears.right.frequency, octaves: audioEngine.notchWidth, label: 'R' }
+        ]
+        : [{ freq: audioEngine.currentFrequency, octaves: audioEngine.notchWidth, label: null }];
+
+    // Extra tones are numbered after the main frequency
+    audioEngine.extraTones.forEach((tone, i) => {
+        notches.push({ freq: tone.frequency, octaves: tone.width, label: `#${i + 2}` });
+    });
+
+    notches.forEach((notch, index) => {
+        drawNotchBand(ctx, width, height, notch.freq, notch.octaves, notch.label, index, vertical);
+    });
+}
+
+/**
+ * Draw the pitches a therapy mode plays, and the band it fills
+ * @param {{frequencies: number[], band: boolean}} mode From the engine's getModeFrequencies
+ * @param {boolean} vertical Frequency runs up the canvas (spectrogram)
+ */
+function drawModeMarkers(ctx, width, height, mode, vertical) {
+    const toPosition = vertical
+        ? (f) => height - frequencyToPosition(f, height)
+        : (f) => frequencyToPosition(f, width);
+    const freq = audioEngine.currentFrequency;
+
+    if (mode.band) {
+        const halfWidth = audioEngine.notchWidth / 2;
+        const lowEdge = toPosition(freq * Math.pow(2, -halfWidth));
+        const highEdge = toPosition(freq * Math.pow(2, halfWidth));
+        ctx.fillStyle = 'rgba(245, 166, 35, 0.3)';
+        if (vertical) {
+            ctx.fillRect(0, highEdge, width, lowEdge - highEdge);
+        } else {
+            ctx.fillRect(lowEdge, 0, highEdge - lowEdge, height);
+        }
+    }
+
+    ctx.strokeStyle = '#F5A623';
+    ctx.lineWidth = 2;
+    mode.frequencies.forEach(f => {
+        const position = toPosition(f);
+        ctx.beginPath();
+        if (vertical) {
+            ctx.moveTo(0, position);
+            ctx.lineTo(width, position);
+        } else {
+            ctx.moveTo(position, 0);
+            ctx.lineTo(position, height);
+        }
+        ctx.stroke();
+    });
+
+    const text = `${freq}Hz (${t(`mode.${audioEngine.therapyMode}`)})`;
+    const position = toPosition(freq);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 14px Inter';
+    if (vertical) {
+        ctx.textAlign = 'right';
+        ctx.fillText(text, width - 8, position - 6);
+    } else {
+        ctx.textAlign = 'center';
+        ctx.fillText(text, position, 20);
+    }
+}
+
+/**
+ * Draw one notch band with its center line and label
+ * @param {number} octaves Width of the band
+ * @param {number} index Position of the label among the notches
+ * @param {boolean} vertical Frequency runs up the canvas (spectrogram)
+ */
+function drawNotchBand(ctx, width, height, freq, octaves, label, index, vertical) {
+    const toPosition = vertical
+        ? (f) => height - frequencyToPosition(f, height)
+        : (f) => frequencyToPosition(f, width);
+    const position = toPosition(freq);
+
+    // Draw notch indicator spanning the removed band
+    const edges = audioEngine.getNotchEdges(freq, octaves);
+    const lowEdge = toPosition(edges.low);
+    const highEdge = toPosition(edges.high);
+    ctx.fillStyle = 'rgba(231, 76, 60, 0.3)';
+    if (vertical) {
+        ctx.fillRect(0, highEdge, width, lowEdge - highEdge);
+    } else {
+        ctx.fillRect(lowEdge, 0, highEdge - lowEdge, height);
+    }
+
+    // Draw center line
+    ctx.strokeStyle = '#E74C3C';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.beginPath();
+    if (vertical) {
+        ctx.moveTo(0, position);
+        ctx.lineTo(width, position);
+    } else {
+        ctx.moveTo(position, 0);
+        ctx.lineTo(position, height);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Draw label
+    const text = `${label ? `${label} ` : ''}${t('visualizer.notched', { frequency: freq })}`;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 14px Inter';
+    if (vertical) {
+        ctx.textAlign = 'right';
+        ctx.fillText(text, width - 8, position - 6 - index * 16);
+    } else {
+        ctx.textAlign = 'center';
+        ctx.fillText(text, position, 20 + index * 20);
+    }
+}
+
+/**
+ * Draw idle state visualization
+ */
+function drawIdleState(ctx, width, height) {
+    const time = Date.now() / 1000;
+
+    ctx.strokeStyle = 'rgba(74, 144, 226, 0.5)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+
+    for (let x = 0; x < width; x++) {
+        const y = height / 2 + Math.sin((x / width) * Math.PI * 4 + time) * 20;
+
+        if (x === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+
+    ctx.stroke();
+
+    // Draw message
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = '16px Noto Sans KR';
+    ctx.textAlign = 'center';
+    ctx.fillText(t('visualizer.idle'), width / 2, height / 2 + 60);
+}
+
+/**
+ * History chart ranges: bar count, totals source, goal per bar and bar label
+ */
+const HISTORY_RANGES = {
+    daily: {
+        count: 14,
+        getTotals: (count) => dataStore.getDailyTotals(count),
+        getGoal: (date) => getDailyGoal(date),
+        getLabel: (date) => I18n.formatDate(date, { month: 'numeric', day: 'numeric' })
+    },
+    weekly: {
+        count: 8,
+        getTotals: (count) => dataStore.getWeeklyTotals(count),
+        getGoal: (date) => sumDailyGoals(date, 7),
+        getLabel: (date) => `${I18n.formatDate(date, { month: 'numeric', day: 'numeric' })}~`
+    },
+    monthly: {
+        count: 6,
+        getTotals: (count) => dataStore.getMonthlyTotals(count),
+        getGoal: (date) => sumDailyGoals(date, new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()),
+        getLabel: (date) => I18n.formatDate(date, { month: 'short' })
+    }
+};
+
+/**
+ * Setup session recording and the history view
+ */
+function setupHistory() {
+    audioEngine.addEventListener('session-end', ({ detail: session }) => {
+        if (session.duration < MIN_SESSION_SECONDS) return;
+
+        dataStore.addSession(session);
+        renderHistory();
+
+        // Sessions ended by the sleep timer leave the sleeper undisturbed
+        if (dataStore.getSettings().askRatings && !session.autoStopped) {
+            askRating('after');
+        }
+    });
+
+    window.addEventListener('resize', () => drawHistoryChart());
+    renderHistory();
+}
+
+/**
+ * Switch history chart range
+ * @param {string} range 'daily', 'weekly' or 'monthly'
+ */
+function setHistoryRange(range) {
+    historyRange = range;
+
+    document.querySelectorAll('.history-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.range === range);
+    });
+
+    drawHistoryChart();
+}
+
+/**
+ * Render history stats, chart and recent sessions
+ */
+function renderHistory() {
+    const [today] = dataStore.getDailyTotals(1);
+    const [week] = dataStore.getWeeklyTotals(1);
+    const [month] = dataStore.getMonthlyTotals(1);
+    const sessions = dataStore.getSessions();
+
+    document.getElementById('statToday').textContent = formatDuration(today.seconds);
+    document.getElementById('statWeek').textContent = formatDuration(week.seconds);
+    document.getElementById('statMonth').textContent = formatDuration(month.seconds);
+    document.getElementById('statSessions').textContent = t('history.sessionCount', { count: sessions.length });
+
+    drawHistoryChart();
+    renderProgram();
+    renderOutcomes();
+    renderSessionList(sessions.slice(-10).reverse());
+    applyDailyLimit();
+}
+
+/**
+ * Draw listening totals against the goal
+ */
+function drawHistoryChart() {
+    const canvas = document.getElementById('historyChart');
+    const ctx = canvas.getContext('2d');
+    canvas.width = canvas.parentElement.clientWidth;
+    canvas.height = 240;
+
+    const { width, height } = canvas;
+    const range = HISTORY_RANGES[historyRange];
+    const bars = range.getTotals(range.count).map(bar => ({
+        ...bar,
+        goal: range.getGoal(bar.date)
+    }));
+
+    const padding = { top: 24, right: 8, bottom: 28, left: 8 };
+    const chartHeight = height - padding.top - padding.bottom;
+    const slot = (width - padding.left - padding.right) / bars.length;
+    const maxValue = Math.max(...bars.map(bar => Math.max(bar.seconds, bar.goal))) * 1.1;
+    const toY = (seconds) => padding.top + chartHeight - (seconds / maxValue) * chartHeight;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.textAlign = 'center';
+
+    bars.forEach((bar, i) => {
+        const x = padding.left + i * slot;
+        const barWidth = slot * 0.6;
+        const barX = x + (slot - barWidth) / 2;
+
+        // Bar
+        ctx.fillStyle = bar.seconds >= bar.goal ? '#27AE60' : '#4A90E2';
+        ctx.fillRect(barX, toY(bar.seconds), barWidth, padding.top + chartHeight - toY(bar.seconds));
+
+        // Goal marker
+        ctx.strokeStyle = '#E74C3C';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x + 2, toY(bar.goal));
+        ctx.lineTo(x + slot - 2, toY(bar.goal));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Value and label
+        ctx.fillStyle = '#666666';
+        ctx.font = '11px Inter';
+        if (bar.seconds > 0) {
+            ctx.fillText(`${Math.round(bar.seconds / 60)}`, x + slot / 2, toY(bar.seconds) - 6);
+        }
+        ctx.fillText(range.getLabel(bar.date), x + slot / 2, height - 8);
+    });
+}
+
+/**
+ * Render recent sessions, newest first
+ */
+function renderSessionList(sessions) {
+    const list = document.getElementById('sessionList');
+    list.innerHTML = '';
+
+    sessions.forEach(session => {
+        const item = document.createElement('li');
+        item.className = 'session-item';
+
+        const date = document.createElement('span');
+        date.className = 'session-date';
+        date.textContent = I18n.formatDate(new Date(session.startTime), {
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        const duration = document.createElement('span');
+        duration.className = 'session-duration';
+        duration.textContent = formatDuration(session.duration);
+
+        const frequency = (session.ears
+            ? `L ${session.ears.left}Hz / R ${session.ears.right}Hz`
+            : `${session.frequency}Hz`) + formatSessionTones(session);
+        const details = document.createElement('span');
+        details.textContent = t('sessions.details', {
+            sound: getSessionSoundName(session),
+            frequency,
+            volume: Math.round(session.volume * 100)
+        });
+
+        item.append(date, duration, details);
+
+        if (session.autoStopped) {
+            const badge = document.createElement('span');
+            badge.className = 'session-badge';
+            badge.textContent = t('sessions.autoStopped');
+            item.appendChild(badge);
+        }
+
+        list.appendChild(item);
+    });
+
+    document.getElementById('sessionEmpty').hidden = sessions.length > 0;
+}
+
+/**
+ * Daily listening goal: the treatment program's target on its days, 30 minutes otherwise
+ * @returns {number} Seconds
+ */
+function getDailyGoal(date = new Date()) {
+    const saved = dataStore.getProgram();
+    const program = saved && TreatmentPrograms.find(saved.id);
+    if (!program) return DAILY_GOAL_SECONDS;
+
+    const target = TreatmentPrograms.targetFor(program, TreatmentPrograms.dayOf(parseDateKey(saved.startDate), date));
+    return target === null ? DAILY_GOAL_SECONDS : target;
+}
+
+/**
+ * Sum of daily goals over consecutive days
+ */
+function sumDailyGoals(start, days) {
+    let total = 0;
+    for (let i = 0; i < days; i++) {
+        total += getDailyGoal(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    }
+    return total;
+}
+
+/**
+ * Local date from a YYYY-MM-DD key
+ */
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
 
 /**
- * Initialize application
+ * Setup treatment program choices and reminders
  */
-function initializeApp() {
-    // Create audio engine
-    audioEngine = new TinnitusAudioEngine();
+function setupPrograms() {
+    renderProgramOptions();
+    setupReminders();
+    renderProgram();
+}
 
-    // Setup event listeners
-    setupFrequencyControls();
-    setupVolumeControl();
-    setupSoundSelection();
-    setupVisualizer();
-    setupBottomNav();
+/**
+ * Render a card with a start button for each program
+ */
+function renderProgramOptions() {
+    const options = document.getElementById('programOptions');
+    options.innerHTML = '';
+
+    TreatmentPrograms.PROGRAMS.forEach(program => {
+        const option = document.createElement('div');
+        option.className = 'program-option';
+
+        const info = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'program-name';
+        name.textContent = t(`program.${program.id}.name`);
+        const description = document.createElement('div');
+        description.className = 'exposure-hint';
+        description.textContent = t(`program.${program.id}.description`);
+        info.append(name, description);
+
+        const start = document.createElement('button');
+        start.className = 'btn btn-primary btn-small';
+        start.textContent = t('program.begin');
+        start.addEventListener('click', () => startProgram(program.id));
+
+        option.append(info, start);
+        options.appendChild(option);
+    });
+}
 
-    // Setup auto-stop callback
-    audioEngine.onAutoStop = () => {
-        updateTherapyUI(false);
-        alert('권장 치료 시간인 30분이 경과하여 치료를 자동으로 종료합니다. 수고하셨습니다!');
-    };
+/**
+ * Start a treatment program today
+ */
+function startProgram(id) {
+    dataStore.startProgram(id);
+    renderHistory();
+}
 
-    // Set initial sound selection
-    selectSound('whitenoise');
+/**
+ * Leave the current treatment program
+ */
+function stopProgram() {
+    if (!confirm(t('program.confirmStop'))) return;
 
-    console.log('Tinnitus Care initialized');
+    dataStore.stopProgram();
+    renderHistory();
 }
 
 /**
- * Setup bottom navigation for mobile
+ * Show the program choices or the current program's progress
  */
-function setupBottomNav() {
-    const bottomNavItems = document.querySelectorAll('.bottom-nav-item');
-    bottomNavItems.forEach(item => {
-        item.addEventListener('click', (e) => {
-            // Remove active from all
-            bottomNavItems.forEach(i => i.classList.remove('active'));
-            // Add to clicked
-            item.classList.add('active');
-        });
-    });
+function renderProgram() {
+    const saved = dataStore.getProgram();
+    const program = saved && TreatmentPrograms.find(saved.id);
+
+    document.getElementById('programOptions').hidden = Boolean(program);
+    document.getElementById('programProgress').hidden = !program;
+    document.getElementById('programStopBtn').hidden = !program;
+    if (!program) return;
+
+    const totalDays = TreatmentPrograms.totalDays(program);
+    const start = parseDateKey(saved.startDate);
+    const day = TreatmentPrograms.dayOf(start, new Date());
+    const ended = day >= totalDays;
+    const lastDay = new Date(start.getFullYear(), start.getMonth(), start.getDate() + Math.min(day, totalDays - 1));
+    const totals = dataStore.getDailyTotals(Math.min(day, totalDays - 1) + 1, lastDay);
+    const progress = TreatmentPrograms.progress(program, totals.map(total => total.seconds), ended);
+
+    document.getElementById('programName').textContent = t(`program.${program.id}.name`);
+    document.getElementById('programDay').textContent = progress.finished
+        ? t('program.finished', { weeks: totalDays / 7 })
+        : t('program.day', { week: progress.week, day: progress.day, total: totalDays });
+    document.getElementById('programToday').textContent = ended
+        ? ''
+        : t('program.today', { done: formatDuration(progress.todaySeconds), target: formatDuration(progress.todayTarget) });
+
+    const fill = document.getElementById('programFill');
+    fill.style.width = `${Math.min(100, ended ? (progress.completedDays / totalDays) * 100 : (progress.todaySeconds / progress.todayTarget) * 100)}%`;
+
+    let hint = '';
+    if (progress.finished) {
+        hint = t('program.finishedHint', { total: totalDays, completed: progress.completedDays });
+    } else if (progress.recovery > 0) {
+        hint = t('program.recovery', { duration: formatDuration(progress.recovery) });
+    } else if (progress.todaySeconds >= progress.todayTarget) {
+        hint = t('program.todayMet');
+    }
+    document.getElementById('programHint').textContent = hint;
+
+    document.getElementById('programStreak').textContent = t('common.days', { count: progress.streak });
+    document.getElementById('programBestStreak').textContent = t('common.days', { count: progress.bestStreak });
+    document.getElementById('programCompleted').textContent = t('common.days', { count: progress.completedDays });
+    document.getElementById('programMissed').textContent = t('common.days', { count: progress.missedDays });
 }
 
 /**
- * Setup frequency controls
+ * Setup daily reminders through the Notifications API
  */
-function setupFrequencyControls() {
-    const slider = document.getElementById('frequencySlider');
-    const display = document.getElementById('frequencyValue');
+function setupReminders() {
+    const toggle = document.getElementById('reminderToggle');
+    const supported = 'Notification' in window;
+    const settings = dataStore.getSettings();
+    const hint = document.getElementById('reminderHint');
+
+    toggle.disabled = !supported;
+    toggle.checked = supported && settings.remindersEnabled && Notification.permission === 'granted';
+    if (!supported) {
+        hint.dataset.i18n = 'reminder.unsupported';
+        hint.textContent = t(hint.dataset.i18n);
+    }
 
-    slider.addEventListener('input', (e) => {
-        const frequency = parseInt(e.target.value);
-        updateFrequency(frequency);
+    toggle.addEventListener('change', async () => {
+        if (toggle.checked && Notification.permission !== 'granted') {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                toggle.checked = false;
+                hint.dataset.i18n = 'reminder.denied';
+                hint.textContent = t(hint.dataset.i18n);
+            }
+        }
+
+        dataStore.updateSettings({ remindersEnabled: toggle.checked });
+        renderReminderTimes();
     });
 
-    // Initialize display
-    updateFrequency(slider.value);
+    renderReminderTimes();
+    setInterval(checkReminders, REMINDER_CHECK_INTERVAL);
 }
 
 /**
- * Update frequency
+ * Render editable reminder times
  */
-function updateFrequency(frequency) {
-    const display = document.getElementById('frequencyValue');
-    const slider = document.getElementById('frequencySlider');
+function renderReminderTimes() {
+    const container = document.getElementById('reminderTimes');
+    const { remindersEnabled, reminderTimes } = dataStore.getSettings();
+    container.innerHTML = '';
+    container.hidden = !remindersEnabled;
+
+    reminderTimes.forEach((time, index) => {
+        const item = document.createElement('span');
+        item.className = 'music-btn blend-chip';
+
+        const input = document.createElement('input');
+        input.type = 'time';
+        input.className = 'reminder-time';
+        input.value = time;
+        // Read the saved times again, other rows may have changed since rendering
+        input.addEventListener('change', () => {
+            if (!input.value) return;
+            const times = [...dataStore.getSettings().reminderTimes];
+            times[index] = input.value;
+            dataStore.updateSettings({ reminderTimes: times });
+        });
 
-    display.textContent = frequency;
-    slider.value = frequency;
+        const remove = document.createElement('button');
+        remove.className = 'playlist-remove';
+        remove.title = t('common.delete');
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            const times = dataStore.getSettings().reminderTimes;
+            dataStore.updateSettings({ reminderTimes: times.filter((_, i) => i !== index) });
+            renderReminderTimes();
+        });
 
-    if (audioEngine) {
-        audioEngine.setFrequency(frequency);
-    }
+        item.append(input, remove);
+        container.appendChild(item);
+    });
+
+    const add = document.createElement('button');
+    add.className = 'music-btn';
+    add.textContent = t('reminder.add');
+    add.addEventListener('click', () => {
+        dataStore.updateSettings({ reminderTimes: [...dataStore.getSettings().reminderTimes, '09:00'] });
+        renderReminderTimes();
+    });
+    container.appendChild(add);
 }
 
 /**
- * Adjust frequency by delta
+ * Send a reminder for a time that has just passed if today's goal is not met yet
  */
-function adjustFrequency(delta) {
-    const slider = document.getElementById('frequencySlider');
-    const currentFreq = parseInt(slider.value);
-    const newFreq = Math.max(250, Math.min(16000, currentFreq + delta));
-    updateFrequency(newFreq);
+function checkReminders() {
+    const { remindersEnabled, reminderTimes } = dataStore.getSettings();
+    if (!remindersEnabled || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const now = new Date();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const [today] = dataStore.getDailyTotals(1);
+    const goal = getDailyGoal(now);
+
+    reminderTimes.forEach(time => {
+        const [hour, minute] = time.split(':').map(Number);
+        const late = minutes - (hour * 60 + minute);
+        const key = `${today.key} ${time}`;
+        if (late < 0 || late > REMINDER_GRACE_MINUTES || remindedTimes.has(key)) return;
+
+        remindedTimes.add(key);
+        if (today.seconds >= goal || audioEngine.isTherapyPlaying) return;
+
+        showReminder(t('reminder.body', { goal: formatDuration(goal), remaining: formatDuration(goal - today.seconds) }));
+    });
 }
 
 /**
- * Set preset frequency
+ * Show a reminder notification, through the service worker where available
  */
-function setPreset(frequency, label) {
-    updateFrequency(frequency);
+async function showReminder(body) {
+    const title = t('reminder.title');
+    const options = { body, icon: 'icon-192.png', tag: 'therapy-reminder' };
+
+    try {
+        const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            new Notification(title, options);
+        }
+    } catch (error) {
+        console.warn('Reminder notification failed:', error);
+    }
+}
 
-    // Update active state
-    document.querySelectorAll('.preset-btn').forEach(btn => {
-        btn.classList.remove('active');
+/**
+ * Setup restoring a backup file
+ */
+function setupDataTransfer() {
+    document.getElementById('importInput').addEventListener('change', (e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (file) {
+            importData(file);
+        }
     });
-    event.target.closest('.preset-btn').classList.add('active');
 }
 
 /**
- * Toggle test tone
+ * Download everything stored as a JSON backup or CSV tables
+ * @param {string} format 'json' or 'csv'
  */
-async function toggleTestTone() {
-    const btn = document.getElementById('testToneBtn');
-    const text = document.getElementById('testToneText');
+function exportData(format) {
+    const backup = dataStore.exportData();
+    const fileName = `tinnitus-care_${toDateKey(new Date())}.${format}`;
 
-    if (audioEngine.isTestTonePlaying) {
-        audioEngine.stopTestTone();
-        btn.classList.remove('playing');
-        text.textContent = '테스트 톤 재생';
-    } else {
-        await audioEngine.playTestTone();
-        btn.classList.add('playing');
-        text.textContent = '테스트 톤 정지';
-    }
+    const blob = format === 'csv'
+        // The byte order mark lets spreadsheet apps read Korean text as UTF-8
+        ? new Blob(['\ufeff' + ClinicianReport.toCsv(backup)], { type: 'text/csv;charset=utf-8' })
+        : new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+
+    downloadBlob(blob, fileName);
+    document.getElementById('dataStatus').textContent = t('common.saved', { fileName });
 }
 
 /**
- * Setup volume control
+ * Replace this browser's data with a JSON backup
  */
-function setupVolumeControl() {
-    const slider = document.getElementById('volumeSlider');
-    const display = document.getElementById('volumeValue');
+async function importData(file) {
+    const status = document.getElementById('dataStatus');
+
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch (error) {
+        status.textContent = t('data.readFailed');
+        return;
+    }
 
-    slider.addEventListener('input', (e) => {
-        const volume = parseInt(e.target.value) / 100;
-        display.textContent = `${e.target.value}%`;
+    if (!confirm(t('data.confirmImport'))) return;
 
-        if (audioEngine) {
-            audioEngine.setVolume(volume);
-        }
-    });
+    try {
+        dataStore.importData(backup);
+    } catch (error) {
+        console.error('Import failed:', error);
+        status.textContent = t('data.invalid');
+        return;
+    }
+
+    // Reload so every control picks up the restored profile and settings
+    location.reload();
 }
 
 /**
- * Setup sound selection
+ * Open the printable clinician report
  */
-function setupSoundSelection() {
-    // Sound cards will be clicked via onclick in HTML
+function openReport() {
+    openModal('reportModal');
+    document.body.classList.add('report-open');
+    renderReport();
 }
 
 /**
- * Select sound type
+ * Close the clinician report
  */
-function selectSound(soundType) {
-    audioEngine.currentSound = soundType;
-
-    // Update active state
-    document.querySelectorAll('.sound-card').forEach(card => {
-        card.classList.remove('active');
-    });
-    event.target.closest('.sound-card').classList.add('active');
-
-    // Update selected sound display
-    const soundNames = {
-        'whitenoise': '화이트 노이즈',
-        'rain': '빗소리',
-        'forest': '숲속 바람',
-        'temple': '풍경 소리',
-        'night': '밤 벌레 소리',
-        'wave': '파도 소리'
-    };
+function closeReport() {
+    document.body.classList.remove('report-open');
+    closeModal('reportModal');
+}
 
-    document.getElementById('selectedSoundName').textContent = soundNames[soundType] || soundType;
+/**
+ * Build the clinician report from everything stored
+ */
+function renderReport() {
+    const { data } = dataStore.exportData();
+    const profile = dataStore.getProfile();
+    const sessions = data.sessions || [];
+    const summary = ClinicianReport.sessionSummary(sessions);
+    const report = document.getElementById('clinicianReport');
+    report.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'report-header';
+    const title = document.createElement('h2');
+    title.className = 'modal-title';
+    title.textContent = t('report.title');
+    const meta = document.createElement('div');
+    meta.className = 'report-meta';
+    meta.textContent = t('report.created', { date: toDateKey(new Date()) }) + (summary.count
+        ? ` · ${t('report.period', { first: toDateKey(new Date(summary.first)), last: toDateKey(new Date(summary.last)) })}`
+        : '');
+    header.append(title, meta);
+    report.appendChild(header);
+
+    const frequency = profile.perEarMode
+        ? t('report.leftRight', { left: profile.ears.left.frequency, right: profile.ears.right.frequency })
+        : `${profile.frequency}Hz`;
+    const settingRows = [
+        [t('report.frequency'), frequency],
+        [t('report.notch'), t('report.notchValue', { width: profile.notchWidth.toFixed(2), depth: profile.notchDepth })],
+        [t('report.volume'), `${Math.round(profile.volume * 100)}%`],
+        [t('compensation.name'), t(profile.compensation ? 'common.on' : 'common.off')]
+    ];
+    if (profile.tones.length > 0) {
+        settingRows.splice(2, 0, [t('tones.title'), profile.tones
+            .map(tone => t('tones.value', { frequency: tone.frequency, width: tone.width.toFixed(2) }))
+            .join(', ')]);
+    }
+    if (profile.loudness) {
+        settingRows.push(
+            [t('rating.loudness'), t('report.loudnessValue', {
+                level: profile.loudness.sensationLevel,
+                frequency: profile.loudness.frequency
+            })],
+            [t('loudness.result.masking'), t('common.dbSl', { level: profile.loudness.maskingSensationLevel })]
+        );
+    }
+    appendReportSection(report, t('report.settings'), createReportList(settingRows));
+
+    appendReportSection(report, t('report.matches'), createReportTable(
+        [t('report.time'), t('report.ear'), t('report.frequencyColumn'), t('report.range'), t('report.spread')],
+        profile.matches.map(match => [
+            ClinicianReport.formatTime(match.time),
+            t(match.ear ? `common.${match.ear}` : 'common.both'),
+            `${Math.round(match.frequency)}Hz`,
+            `${Math.round(match.low)}~${Math.round(match.high)}Hz`,
+            formatOctaves(match.spread)
+        ])
+    ));
+
+    if (profile.audiogram) {
+        const chart = document.createElement('div');
+        const canvas = document.createElement('canvas');
+        const note = document.createElement('div');
+        note.className = 'report-meta';
+        note.textContent = t('report.audiogramNote', { date: toDateKey(new Date(profile.audiogram.time)) });
+        chart.append(canvas, note);
+        appendReportSection(report, t('screening.title'), chart);
+        drawAudiogram(canvas, profile.audiogram.levels);
+    }
 
-    // IF therapy is already playing, update the sound in real-time
-    if (audioEngine.isTherapyPlaying) {
-        audioEngine.startTherapy(soundType, true);
+    appendReportSection(report, t('thi.title'), createReportTable(
+        [t('report.time'), t('thi.total'), t('thi.functional'), t('thi.emotional'), t('thi.catastrophic'), t('thi.severity')],
+        (data.thi || []).map(result => [
+            ClinicianReport.formatTime(result.time),
+            result.total,
+            result.subscales.F,
+            result.subscales.E,
+            result.subscales.C,
+            t('report.thiGrade', { grade: result.grade, label: t(`thi.grade.${result.grade}`) })
+        ])
+    ));
+
+    const average = (ratings) => ratings ? `${ratings.loudness.toFixed(1)} / ${ratings.annoyance.toFixed(1)}` : '-';
+    appendReportSection(report, t('report.ratings'), createReportTable(
+        [t('report.month'), t('rating.phase.before'), t('rating.phase.after'), t('report.count')],
+        ClinicianReport.monthlyRatings(data.ratings || []).map(({ month, before, after }) => [
+            month,
+            average(before),
+            average(after),
+            (before ? before.count : 0) + (after ? after.count : 0)
+        ])
+    ));
+
+    const adherenceRows = [
+        [t('history.sessions'), t('history.sessionCount', { count: summary.count })],
+        [t('report.totalTime'), formatDuration(summary.seconds)],
+        [t('report.days'), t('common.days', { count: summary.days })],
+        [t('report.average'), formatDuration(summary.days ? summary.seconds / summary.days : 0)]
+    ];
+    const program = data.program && TreatmentPrograms.find(data.program.id);
+    if (program) {
+        adherenceRows.push([t('program.title'), t('report.programValue', {
+            name: t(`program.${program.id}.name`),
+            date: data.program.startDate
+        })]);
     }
+    appendReportSection(report, t('report.adherence'), createReportList(adherenceRows));
+
+    appendReportSection(report, t('report.sessions'), createReportTable(
+        [t('report.start'), t('report.duration'), t('report.sound'), t('report.frequencyColumn'), t('report.notchColumn'), t('common.volume')],
+        sessions.slice(-30).reverse().map(session => [
+            ClinicianReport.formatTime(session.startTime),
+            formatDuration(session.duration),
+            getSessionSoundName(session),
+            (session.ears ? `L ${session.ears.left} / R ${session.ears.right}Hz` : `${session.frequency}Hz`) + formatSessionTones(session),
+            `${session.notchWidth.toFixed(2)}oct · ${session.notchDepth}dB`,
+            `${Math.round(session.volume * 100)}%`
+        ])
+    ));
 }
 
 /**
- * Toggle therapy
+ * Add a titled section to the report
  */
+function appendReportSection(report, title, content) {
+    const section = document.createElement('section');
+    section.className = 'report-section';
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.append(heading, content);
+    report.appendChild(section);
+}
+
 /**
- * Update therapy UI state
+ * Label/value list for the report
+ * @param {Array<string[]>} rows [label, value] pairs
  */
-function updateTherapyUI(isPlaying) {
-    const btn = document.getElementById('therapyBtn');
-    const icon = document.getElementById('therapyBtnIcon');
-    const text = document.getElementById('therapyBtnText');
-
-    if (isPlaying) {
-        btn.classList.add('playing');
-        icon.textContent = '⏸';
-        text.textContent = '치료 중지';
-    } else {
-        btn.classList.remove('playing');
-        icon.textContent = '▶';
-        text.textContent = '치료 시작';
-    }
+function createReportList(rows) {
+    const list = document.createElement('dl');
+    list.className = 'report-list';
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        list.append(term, detail);
+    });
+    return list;
 }
 
 /**
- * Toggle therapy
+ * Table for the report, or a note when there are no rows
  */
-async function toggleTherapy() {
-    if (audioEngine.isTherapyPlaying) {
-        audioEngine.stopTherapy();
-        updateTherapyUI(false);
-    } else {
-        await audioEngine.startTherapy(audioEngine.currentSound);
-        updateTherapyUI(true);
+function createReportTable(headers, rows) {
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'report-empty';
+        empty.textContent = t('report.empty');
+        return empty;
     }
+
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    const head = table.createTHead().insertRow();
+    headers.forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        head.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    rows.forEach(values => {
+        const row = body.insertRow();
+        values.forEach(value => {
+            row.insertCell().textContent = value;
+        });
+    });
+    return table;
 }
 
 /**
- * Setup audio visualizer
+ * Setup THI questionnaire and before/after ratings
  */
-function setupVisualizer() {
-    const canvas = document.getElementById('visualizer');
-    const ctx = canvas.getContext('2d');
+function setupOutcomes() {
+    const toggle = document.getElementById('askRatingsToggle');
+    toggle.checked = dataStore.getSettings().askRatings;
+    toggle.addEventListener('change', (e) => {
+        dataStore.updateSettings({ askRatings: e.target.checked });
+    });
 
-    // Set canvas size
-    const resizeCanvas = () => {
-        const container = canvas.parentElement;
-        canvas.width = container.clientWidth;
-        canvas.height = 200;
-    };
+    ['loudness', 'annoyance'].forEach(field => {
+        document.getElementById(`${field}Slider`).addEventListener('input', (e) => {
+            document.getElementById(`${field}Value`).textContent = e.target.value;
+        });
+    });
 
-    resizeCanvas();
-    window.addEventListener('resize', resizeCanvas);
+    // Build THI items; data-i18n keeps them translated when the language changes
+    const list = document.getElementById('thiItems');
+    ThiQuestionnaire.ITEMS.forEach((item, i) => {
+        const entry = document.createElement('li');
+        entry.className = 'thi-item';
+
+        const text = document.createElement('div');
+        text.className = 'thi-item-text';
+        text.dataset.i18n = `thi.item.${i + 1}`;
+        text.textContent = t(text.dataset.i18n);
+
+        const options = document.createElement('div');
+        options.className = 'thi-options';
+        ThiQuestionnaire.ANSWERS.forEach(answer => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = `thi-${i}`;
+            input.value = answer.value;
+            const name = document.createElement('span');
+            name.dataset.i18n = `thi.answer.${answer.value}`;
+            name.textContent = t(name.dataset.i18n);
+            label.append(input, name);
+            options.appendChild(label);
+        });
 
-    // Animation loop
-    function draw() {
-        requestAnimationFrame(draw);
+        entry.append(text, options);
+        list.appendChild(entry);
+    });
 
-        const width = canvas.width;
-        const height = canvas.height;
+    window.addEventListener('resize', () => renderOutcomes());
+}
 
-        // Clear canvas with a slight trail
-        ctx.fillStyle = 'rgba(13, 40, 71, 0.2)';
-        ctx.fillRect(0, 0, width, height);
+/**
+ * Ask for a 0-10 loudness/annoyance rating
+ * @param {string} phase 'before' or 'after' a session
+ * @returns {Promise<Object|null>} Saved rating, or null when skipped
+ */
+function askRating(phase) {
+    // A prompt that is still open counts as skipped
+    if (ratingResolver) {
+        submitRating(false);
+    }
 
-        // Get analyser data
-        const analyserData = audioEngine.getAnalyserData();
+    ratingPhase = phase;
+    const title = document.getElementById('ratingTitle');
+    title.dataset.i18n = `rating.${phase}.title`;
+    title.textContent = t(title.dataset.i18n);
+
+    // Start from the latest rating so only the change needs adjusting
+    const last = dataStore.getRatings().slice(-1)[0];
+    ['loudness', 'annoyance'].forEach(field => {
+        const value = last ? last[field] : 5;
+        document.getElementById(`${field}Slider`).value = value;
+        document.getElementById(`${field}Value`).textContent = value;
+    });
 
-        if (analyserData && audioEngine.isTherapyPlaying) {
-            const { bufferLength, dataArray } = analyserData;
+    openModal('ratingModal');
+    return new Promise(resolve => {
+        ratingResolver = resolve;
+    });
+}
 
-            // Draw waveform
-            ctx.lineWidth = 3;
-            ctx.strokeStyle = '#4A90E2';
-            ctx.shadowBlur = 10;
-            ctx.shadowColor = '#4A90E2';
-            ctx.beginPath();
+/**
+ * Close the rating prompt, saving it if requested
+ */
+function submitRating(save) {
+    if (!ratingResolver) return;
+
+    let rating = null;
+    if (save) {
+        rating = {
+            time: Date.now(),
+            phase: ratingPhase,
+            loudness: parseInt(document.getElementById('loudnessSlider').value),
+            annoyance: parseInt(document.getElementById('annoyanceSlider').value)
+        };
+        dataStore.addRating(rating);
+        renderOutcomes();
+    }
 
-            const sliceWidth = width / bufferLength;
-            let x = 0;
+    closeModal('ratingModal');
+    const resolve = ratingResolver;
+    ratingResolver = null;
+    resolve(rating);
+}
 
-            for (let i = 0; i < bufferLength; i++) {
-                const v = dataArray[i] / 128.0;
-                const y = (v * height) / 2;
+/**
+ * Open the THI questionnaire
+ */
+function openThi() {
+    document.getElementById('thiForm').reset();
+    document.getElementById('thiForm').hidden = false;
+    document.getElementById('thiResult').hidden = true;
+    document.getElementById('thiError').textContent = '';
+    openModal('thiModal');
+}
 
-                if (i === 0) {
-                    ctx.moveTo(x, y);
-                } else {
-                    ctx.lineTo(x, y);
-                }
+/**
+ * Score and save the THI questionnaire
+ */
+function submitThi(event) {
+    event.preventDefault();
 
-                x += sliceWidth;
-            }
+    const form = event.target;
+    const answers = ThiQuestionnaire.ITEMS.map((_, i) => {
+        const checked = form.querySelector(`input[name="thi-${i}"]:checked`);
+        return checked ? checked.value : null;
+    });
 
-            ctx.lineTo(width, height / 2);
-            ctx.stroke();
+    const missing = answers.indexOf(null);
+    if (missing !== -1) {
+        document.getElementById('thiError').textContent = t('thi.missing', { number: missing + 1 });
+        form.querySelectorAll('.thi-item')[missing].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+    }
 
-            // Reset shadow
-            ctx.shadowBlur = 0;
+    const result = { time: Date.now(), answers, ...ThiQuestionnaire.score(answers) };
+    dataStore.addThiResult(result);
 
-            // Draw frequency indicator
-            drawFrequencyIndicator(ctx, width, height);
-        } else {
-            // Draw idle state
-            drawIdleState(ctx, width, height);
-        }
-    }
+    const resultView = document.getElementById('thiResult');
+    resultView.innerHTML = '';
+    resultView.append(...createThiSummary(result));
+    resultView.hidden = false;
+    form.hidden = true;
 
-    draw();
+    renderOutcomes();
 }
 
 /**
- * Draw frequency indicator on visualizer
+ * Build score, grade and subscale elements for a THI result
  */
-function drawFrequencyIndicator(ctx, width, height) {
-    const freq = audioEngine.currentFrequency;
-    const minFreq = 250;
-    const maxFreq = 16000;
+function createThiSummary(result) {
+    const score = document.createElement('div');
+    score.className = 'thi-score';
+    score.textContent = t('thi.score', { total: result.total });
 
-    // Calculate position (logarithmic scale for better visualization)
-    const minLog = Math.log10(minFreq);
-    const maxLog = Math.log10(maxFreq);
-    const freqLog = Math.log10(freq);
-    const position = ((freqLog - minLog) / (maxLog - minLog)) * width;
+    const grade = document.createElement('div');
+    grade.className = 'thi-grade';
+    grade.textContent = t('thi.gradeLabel', { grade: result.grade, label: t(`thi.grade.${result.grade}`) });
 
-    // Draw notch indicator
-    ctx.fillStyle = 'rgba(231, 76, 60, 0.3)';
-    ctx.fillRect(position - 20, 0, 40, height);
+    const detail = document.createElement('div');
+    detail.className = 'thi-detail';
+    detail.textContent = t('thi.subscales', result.subscales);
 
-    // Draw center line
-    ctx.strokeStyle = '#E74C3C';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 5]);
-    ctx.beginPath();
-    ctx.moveTo(position, 0);
-    ctx.lineTo(position, height);
-    ctx.stroke();
-    ctx.setLineDash([]);
+    return [score, grade, detail];
+}
 
-    // Draw label
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = 'bold 14px Inter';
-    ctx.textAlign = 'center';
-    ctx.fillText(`${freq}Hz (Notched)`, position, 20);
+/**
+ * Render THI summary, rating trend and frequency history
+ */
+function renderOutcomes() {
+    const results = dataStore.getThiResults();
+    const summary = document.getElementById('thiSummary');
+
+    if (results.length > 0) {
+        const latest = results[results.length - 1];
+        const date = document.createElement('div');
+        date.className = 'thi-detail';
+        date.textContent = I18n.formatDate(new Date(latest.time), { dateStyle: 'medium' });
+
+        const elements = [...createThiSummary(latest), date];
+        if (results.length > 1) {
+            const change = latest.total - results[0].total;
+            const trend = document.createElement('div');
+            trend.className = 'thi-detail';
+            trend.textContent = t('thi.trend', { change: `${change > 0 ? '+' : ''}${change}` });
+            elements.push(trend);
+        }
+
+        summary.innerHTML = '';
+        summary.append(...elements);
+    }
+
+    const days = 30;
+    const ratings = dataStore.getDailyRatings(days, 'before');
+    const labels = ratings.map(day => I18n.formatDate(day.date, { month: 'numeric', day: 'numeric' }));
+
+    drawLineChart(document.getElementById('ratingChart'), {
+        labels,
+        min: 0,
+        max: 10,
+        series: [
+            { values: ratings.map(day => day.loudness), color: '#4A90E2' },
+            { values: ratings.map(day => day.annoyance), color: '#E67E22' }
+        ]
+    });
+
+    // Average change from before to after a session
+    const before = dataStore.getRatings().filter(rating => rating.phase === 'before');
+    const after = dataStore.getRatings().filter(rating => rating.phase === 'after');
+    const average = (items, field) => items.reduce((sum, item) => sum + item[field], 0) / items.length;
+    document.getElementById('ratingChange').textContent = before.length && after.length
+        ? t('outcomes.ratingChange', {
+            loudness: (average(after, 'loudness') - average(before, 'loudness')).toFixed(1),
+            annoyance: (average(after, 'annoyance') - average(before, 'annoyance')).toFixed(1)
+        })
+        : '';
+
+    const { audiogram } = dataStore.getProfile();
+    drawAudiogram(document.getElementById('audiogramChart'), audiogram && audiogram.levels);
+    document.getElementById('audiogramDate').textContent = audiogram
+        ? I18n.formatDate(new Date(audiogram.time), { dateStyle: 'medium' })
+        : '';
+
+    const frequencies = dataStore.getDailyFrequencies(days);
+    const values = frequencies.flatMap(day => [day.frequency, day.left, day.right]).filter(value => value !== null);
+
+    drawLineChart(document.getElementById('frequencyChart'), {
+        labels,
+        min: values.length ? Math.min(...values) * 0.8 : 250,
+        max: values.length ? Math.max(...values) * 1.2 : 12000,
+        series: [
+            { values: frequencies.map(day => day.frequency !== null ? day.frequency : day.left), color: '#4A90E2' },
+            { values: frequencies.map(day => day.right), color: '#E67E22' }
+        ]
+    });
 }
 
 /**
- * Draw idle state visualization
+ * Draw a simple line chart; null values leave gaps
+ * @param {HTMLCanvasElement} canvas Target canvas
+ * @param {{labels: string[], min: number, max: number, series: Array<{values: Array<?number>, color: string}>}} chart
  */
-function drawIdleState(ctx, width, height) {
-    const time = Date.now() / 1000;
+function drawLineChart(canvas, { labels, min, max, series }) {
+    const ctx = canvas.getContext('2d');
+    canvas.width = canvas.parentElement.clientWidth;
+    canvas.height = 200;
+
+    const { width, height } = canvas;
+    const padding = { top: 12, right: 8, bottom: 24, left: 40 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const toX = (i) => padding.left + (labels.length > 1 ? (i / (labels.length - 1)) * chartWidth : chartWidth / 2);
+    const toY = (value) => padding.top + chartHeight - ((value - min) / (max - min || 1)) * chartHeight;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Axis labels and grid
+    ctx.fillStyle = '#999999';
+    ctx.strokeStyle = '#EFF6FC';
+    ctx.font = '11px Inter';
+    ctx.lineWidth = 1;
+    [min, (min + max) / 2, max].forEach(value => {
+        ctx.textAlign = 'right';
+        ctx.fillText(`${Math.round(value)}`, padding.left - 6, toY(value) + 4);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, toY(value));
+        ctx.lineTo(width - padding.right, toY(value));
+        ctx.stroke();
+    });
 
-    ctx.strokeStyle = 'rgba(74, 144, 226, 0.5)';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
+    ctx.textAlign = 'center';
+    [0, Math.floor((labels.length - 1) / 2), labels.length - 1].forEach(i => {
+        ctx.fillText(labels[i], toX(i), height - 6);
+    });
 
-    for (let x = 0; x < width; x++) {
-        const y = height / 2 + Math.sin((x / width) * Math.PI * 4 + time) * 20;
+    // Series
+    series.forEach(({ values, color }) => {
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+
+        let drawing = false;
+        values.forEach((value, i) => {
+            if (value === null) {
+                drawing = false;
+                return;
+            }
+            if (drawing) {
+                ctx.lineTo(toX(i), toY(value));
+            } else {
+                ctx.moveTo(toX(i), toY(value));
+                drawing = true;
+            }
+        });
+        ctx.stroke();
 
-        if (x === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
-        }
+        values.forEach((value, i) => {
+            if (value === null) return;
+            ctx.beginPath();
+            ctx.arc(toX(i), toY(value), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+}
+
+/**
+ * Format seconds as hours and minutes
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (hours > 0) {
+        return t('duration.hoursMinutes', { hours, minutes });
     }
+    return t('duration.minutes', { minutes });
+}
 
-    ctx.stroke();
+/**
+ * Format seconds as a mm:ss clock
+ */
+function formatClock(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
 
-    // Draw message
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-    ctx.font = '16px Noto Sans KR';
-    ctx.textAlign = 'center';
-    ctx.fillText('치료를 시작하려면 아래 버튼을 클릭하세요', width / 2, height / 2 + 60);
+/**
+ * Format a width in octaves with two decimals
+ */
+function formatOctaves(octaves) {
+    return t('common.octaves', { value: I18n.formatNumber(octaves, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) });
 }
 
 /**
@@ -369,7 +3574,7 @@ function scrollToAbout() {
  * Update active nav link on scroll
  */
 window.addEventListener('scroll', () => {
-    const sections = ['home', 'therapy', 'about', 'guide'];
+    const sections = ['home', 'therapy', 'history', 'about', 'guide'];
     const scrollPosition = window.scrollY + 100;
 
     sections.forEach(sectionId => {
@@ -408,23 +3613,47 @@ window.addEventListener('beforeunload', () => {
     }
 });
 
+/**
+ * Modal Functions
+ */
+function openModal(id) {
+    document.getElementById(id).style.display = 'block';
+    document.body.style.overflow = 'hidden'; // Prevent scroll
+}
+
+function closeModal(id) {
+    document.getElementById(id).style.display = 'none';
+    document.body.style.overflow = 'auto'; // Restore scroll
+}
+
 /**
  * Terms Modal Functions
  */
 function openTerms() {
-    document.getElementById('termsModal').style.display = 'block';
-    document.body.style.overflow = 'hidden'; // Prevent scroll
+    openModal('termsModal');
 }
 
 function closeTerms() {
-    document.getElementById('termsModal').style.display = 'none';
-    document.body.style.overflow = 'auto'; // Restore scroll
+    closeModal('termsModal');
 }
 
 // Close modal when clicking outside
 window.onclick = function (event) {
-    const modal = document.getElementById('termsModal');
-    if (event.target == modal) {
-        closeTerms();
+    if (!event.target.classList.contains('modal')) return;
+
+    if (event.target.id === 'ratingModal') {
+        submitRating(false);
+    } else if (event.target.id === 'wizardModal') {
+        closeWizard();
+    } else if (event.target.id === 'loudnessModal') {
+        closeLoudness();
+    } else if (event.target.id === 'screeningModal') {
+        closeScreening();
+    } else if (event.target.id === 'outputModal') {
+        closeOutputCheck(false);
+    } else if (event.target.id === 'reportModal') {
+        closeReport();
+    } else {
+        closeModal(event.target.id);
     }
 }
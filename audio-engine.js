@@ -1,419 +1,2322 @@
 /**
  * Tinnitus Care - Audio Engine
  * Web Audio API based Notched Sound Therapy Implementation
+ *
+ * An ES module without page access: the host supplies the audio context,
+ * media elements and randomness, and listens for events (state-change,
+ * tick, auto-stop, session-end, error, ...) carrying their data in `detail`.
  */
 
-class TinnitusAudioEngine {
-    constructor() {
+import { PARAM_SMOOTHING, setParam } from './audio-params.js';
+import { THERAPY_MODES } from './therapy-modes.js';
+
+// Band-stop prototype order (number of all-pass biquads per notch)
+const NOTCH_ORDER = 7;
+
+// Ears in stereo channel order
+const EARS = ['left', 'right'];
+
+// Local music formats accepted for notched playback
+const MUSIC_EXTENSIONS = ['mp3', 'm4a', 'aac', 'wav', 'flac', 'ogg'];
+
+// AudioWorklet module with the streaming soundscape generators
+const GENERATOR_MODULE = 'sound-generators.js';
+
+// Built-in sounds that can be layered in a mix
+const MIX_SOUNDS = ['whitenoise', 'rain', 'wave', 'forest', 'night', 'temple'];
+
+// Test stimuli for frequency matching
+const TEST_TONE_TYPES = ['pure', 'pulsed', 'warble', 'noise', 'mixed'];
+
+// Gain of the therapy sound ahead of the master volume
+const THERAPY_LEVEL = 0.7;
+
+// Suggested therapy level sits this far below the minimum masking level (dB)
+const MASKING_HEADROOM = 5;
+
+// Pulsed tone on/off rate and warble rate/depth
+const PULSE_RATE = 2; // Hz
+const WARBLE_RATE = 5; // Hz
+const WARBLE_DEPTH = 0.05; // fraction of the test frequency
+
+// Left/right headphone check: beep pitch, count and spacing
+const CHANNEL_CHECK_FREQUENCY = 1000; // Hz
+const CHANNEL_CHECK_BEEPS = 3;
+const CHANNEL_CHECK_INTERVAL = 0.4; // seconds
+
+// Output limiter ceiling (dBFS)
+const LIMITER_THRESHOLD = -3;
+const LIMITER_RATIO = 20;
+// DynamicsCompressorNode adds makeup gain of 0.6 times its reduction at 0 dBFS (dB)
+const LIMITER_MAKEUP = 0.6 * -LIMITER_THRESHOLD * (1 - 1 / LIMITER_RATIO);
+// Points in the clipping curve that enforces the ceiling
+const CLIPPER_CURVE_LENGTH = 4097;
+
+// Volume rises of this many dB within the window trigger a warning,
+// once the volume is loud enough for the rise to matter
+const SUDDEN_RISE_DB = 10;
+const SUDDEN_RISE_WINDOW = 3; // seconds
+const SUDDEN_RISE_MIN_VOLUME = 0.25;
+
+// Daily sound exposure: 80 dB for 8 hours is a full dose, and every 3 dB
+// more halves the allowed time (EU lower action value, NIOSH exchange rate)
+const EXPOSURE_REFERENCE_LEVEL = 80; // dB SPL
+const EXPOSURE_REFERENCE_HOURS = 8;
+const EXPOSURE_EXCHANGE_RATE = 3; // dB
+// Assumed level of a full-scale signal on typical phone headphones
+const FULL_SCALE_SPL = 100; // dB SPL
+
+// Equal-power crossfade between soundscapes
+const CROSSFADE_TIME = 1.5; // seconds
+const CROSSFADE_STEPS = 16; // linear segments approximating the curve
+
+// Fade when pausing and resuming therapy
+const PAUSE_FADE = 0.3; // seconds
+
+/**
+ * Schedule an equal-power fade on a gain parameter
+ * Fading in follows a sine and fading out a cosine, so two uncorrelated
+ * sounds keep a constant total power through a crossfade. Linear segments
+ * rather than a value curve let a later fade interrupt this one.
+ */
+function scheduleEqualPowerFade(param, from, to, time, duration) {
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(from, time);
+
+    for (let i = 1; i <= CROSSFADE_STEPS; i++) {
+        const x = (i / CROSSFADE_STEPS) * Math.PI / 2;
+        const value = to > from
+            ? from + (to - from) * Math.sin(x)
+            : to + (from - to) * Math.cos(x);
+        param.linearRampToValueAtTime(value, time + (duration * i) / CROSSFADE_STEPS);
+    }
+}
+
+/**
+ * WaveShaper curve passing samples unchanged up to `ceiling` and clipping above
+ */
+function createClipperCurve(ceiling) {
+    const curve = new Float32Array(CLIPPER_CURVE_LENGTH);
+    for (let i = 0; i < curve.length; i++) {
+        const x = (2 * i) / (curve.length - 1) - 1;
+        curve[i] = Math.max(-ceiling, Math.min(ceiling, x));
+    }
+    return curve;
+}
+
+/**
+ * Minimal complex arithmetic for the notch design
+ */
+const complex = {
+    add: (a, b) => ({ re: a.re + b.re, im: a.im + b.im }),
+    sub: (a, b) => ({ re: a.re - b.re, im: a.im - b.im }),
+    mul: (a, b) => ({ re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re }),
+    div: (a, b) => {
+        const d = b.re * b.re + b.im * b.im;
+        return { re: (a.re * b.re + a.im * b.im) / d, im: (a.im * b.re - a.re * b.im) / d };
+    },
+    sqrt: (a) => {
+        const r = Math.hypot(a.re, a.im);
+        const re = Math.sqrt((r + a.re) / 2);
+        const im = Math.sqrt((r - a.re) / 2);
+        return { re, im: a.im < 0 ? -im : im };
+    }
+};
+
+/**
+ * Octave-wide notch band
+ * Butterworth band-stop split into two parallel all-pass chains. Their sum
+ * removes the band, their difference passes it, so mixing the two sets a
+ * flat stopband floor (depth) without touching the passband.
+ */
+class NotchBand {
+    constructor(audioContext, frequency, width, depth) {
+        this.audioContext = audioContext;
+        this.frequency = frequency;
+        this.width = width;
+        this.depth = depth;
+
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+
+        const design = NotchBand.design(frequency, width, audioContext.sampleRate);
+        this.branches = design.map(sections => {
+            let previous = this.input;
+            const filters = sections.map(() => {
+                const filter = audioContext.createBiquadFilter();
+                filter.type = 'allpass';
+                previous.connect(filter);
+                previous = filter;
+                return filter;
+            });
+            const gain = audioContext.createGain();
+            previous.connect(gain);
+            gain.connect(this.output);
+            return { filters, gain };
+        });
+
+        this.update(0);
+    }
+
+    /**
+     * Compute all-pass sections for a band of `width` octaves centered on `frequency`
+     * @returns {Array<Array<{frequency: number, Q: number}>>} Sections of both branches
+     */
+    static design(frequency, width, sampleRate) {
+        const { low, high } = NotchBand.edges(frequency, width, sampleRate);
+
+        // Pre-warp band edges for the bilinear transform
+        const wl = 2 * sampleRate * Math.tan(Math.PI * low / sampleRate);
+        const wh = 2 * sampleRate * Math.tan(Math.PI * high / sampleRate);
+        const center = { re: wl * wh, im: 0 };
+        const halfBandwidth = { re: (wh - wl) / 2, im: 0 };
+
+        const branches = [[], []];
+
+        // Prototype poles in the upper half-plane, starting from the real axis.
+        // Alternating them between branches gives the all-pass decomposition.
+        for (let k = 0; k <= (NOTCH_ORDER - 1) / 2; k++) {
+            const angle = Math.PI - (k * Math.PI) / NOTCH_ORDER;
+            const pole = { re: Math.cos(angle), im: Math.sin(angle) };
+
+            // Low-pass to band-stop: s^2 - (B / p) s + w0^2 = 0
+            const half = complex.div(halfBandwidth, pole);
+            const root = complex.sqrt(complex.sub(complex.mul(half, half), center));
+            const roots = k === 0 ? [complex.add(half, root)] : [complex.add(half, root), complex.sub(half, root)];
+
+            roots.forEach(s => {
+                const twoFs = { re: 2 * sampleRate, im: 0 };
+                const z = complex.div(complex.add(twoFs, s), complex.sub(twoFs, s));
+                branches[k % 2].push(NotchBand.allpassSection(z, sampleRate));
+            });
+        }
+
+        return branches;
+    }
+
+    /**
+     * Band edges in Hz as filtered
+     */
+    static edges(frequency, width, sampleRate) {
+        return {
+            low: frequency * Math.pow(2, -width / 2),
+            // Keep the upper edge clear of Nyquist so every section stays realisable
+            high: Math.min(frequency * Math.pow(2, width / 2), sampleRate * 0.4)
+        };
+    }
+
+    /**
+     * Map a digital pole pair to BiquadFilterNode all-pass parameters
+     */
+    static allpassSection(pole, sampleRate) {
+        const radiusSq = pole.re * pole.re + pole.im * pole.im;
+        const alpha = (1 - radiusSq) / (1 + radiusSq);
+        const w0 = Math.acos(Math.max(-1, Math.min(1, pole.re * (1 + alpha))));
+
+        return {
+            frequency: (w0 * sampleRate) / (2 * Math.PI),
+            Q: Math.sin(w0) / (2 * alpha)
+        };
+    }
+
+    /**
+     * Get band edges in Hz
+     */
+    getEdges() {
+        return NotchBand.edges(this.frequency, this.width, this.audioContext.sampleRate);
+    }
+
+    setFrequency(frequency) {
+        this.frequency = frequency;
+        this.update();
+    }
+
+    setWidth(width) {
+        this.width = width;
+        this.update();
+    }
+
+    setDepth(depth) {
+        this.depth = depth;
+        this.update();
+    }
+
+    /**
+     * Apply current frequency, width and depth to the filter graph
+     * @param {number} smoothing Glide time constant in seconds, 0 to jump
+     */
+    update(smoothing = PARAM_SMOOTHING) {
+        const now = this.audioContext.currentTime;
+        const design = NotchBand.design(this.frequency, this.width, this.audioContext.sampleRate);
+
+        design.forEach((sections, b) => {
+            sections.forEach((section, i) => {
+                const filter = this.branches[b].filters[i];
+                setParam(filter.frequency, section.frequency, now, smoothing);
+                setParam(filter.Q, section.Q, now, smoothing);
+            });
+        });
+
+        // Sum of branches removes the band, difference passes it
+        const floor = Math.pow(10, -this.depth / 20);
+        setParam(this.branches[0].gain.gain, (1 + floor) / 2, now, smoothing);
+        setParam(this.branches[1].gain.gain, (1 - floor) / 2, now, smoothing);
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    disconnect() {
+        this.input.disconnect();
+        this.branches.forEach(({ filters, gain }) => {
+            filters.forEach(filter => filter.disconnect());
+            gain.disconnect();
+        });
+        this.output.disconnect();
+    }
+}
+
+/**
+ * Notched sound therapy engine
+ * Events: state-change, tick, auto-stop, session-end, level-warning,
+ * exposure, track-change, playlist-end and error.
+ */
+class TinnitusAudioEngine extends EventTarget {
+    /**
+     * @param {Object} options
+     * @param {() => AudioContext} options.createAudioContext Live context, the browser's by default
+     * @param {(channels: number, length: number, sampleRate: number) => OfflineAudioContext} options.createOfflineContext
+     *   Context for rendering therapy to a file
+     * @param {(() => HTMLMediaElement)|null} options.createMediaElement Element for background output
+     *   and music playback, null where there is none
+     * @param {() => number} options.random Uniform source in [0, 1) for the noise generators and shuffle
+     */
+    constructor({
+        createAudioContext = () => new (globalThis.AudioContext || globalThis.webkitAudioContext)(),
+        createOfflineContext = (channels, length, sampleRate) => new OfflineAudioContext(channels, length, sampleRate),
+        createMediaElement = typeof Audio === 'undefined' ? null : () => new Audio(),
+        random = Math.random
+    } = {}) {
+        super();
+
+        this.createAudioContext = createAudioContext;
+        this.createOfflineContext = createOfflineContext;
+        this.createMediaElement = createMediaElement;
+        this.random = random;
+
         this.audioContext = null;
         this.masterGain = null;
         this.analyser = null;
 
-        // Oscillator for test tone
-        this.testOscillator = null;
+        // Test tone stimulus
+        this.testStimulus = null; // { output, oscillator, bandpass, noiseLevel, warble, share, sources, nodes }
+        this.testToneType = 'pure';
+        this.testNoiseBandwidth = 1 / 3; // octaves, for narrowband noise
+        this.testLevel = null; // dBFS for calibrated measurements, bypassing the master volume
         this.testGain = null;
+        this.testPanner = null;
+        this.testEar = null;
+        this.probeFrequency = null; // overrides the matched frequency while probing
+        this.testToneIndex = null; // extra tone the test tone follows, null for the matched frequency
+
+        // AudioWorklet generator loading per context: Promise<boolean>
+        this.generatorModules = new WeakMap();
+
+        // Hearing safety: output limiter, level meter and volume ceiling
+        this.limiter = null;
+        this.limiterTrim = null; // cancels the compressor's makeup gain
+        this.clipper = null; // hard ceiling for transients the compressor lets through
+        this.outputMeter = null;
+        this.maxVolume = 1;
+        this.recentVolumes = []; // { time, volume } within SUDDEN_RISE_WINDOW
+        this.sessionDose = 0; // fraction of the daily exposure allowance
+
+        // Output device and headphone check
+        this.outputDeviceId = ''; // '' for the system default
+        this.outputConfirmed = false;
+        this.confirmOutput = null; // async () => boolean, asked before the first playback
+
+        // Media element carrying the master output for background playback
+        this.outputElement = null;
+
+        // Broadband noise for minimum masking level measurement
+        this.maskingSource = null;
+        this.maskingGain = null;
+        this.maskingPanner = null;
 
         // Therapy audio nodes
         this.therapySource = null;
+        this.therapySourceGain = null; // per-source gain for crossfades
+        this.fadingSources = []; // { source, gain, timeout } being crossfaded out
+        this.therapyInput = null;
         this.therapyGain = null;
-        this.notchFilter = null;
+        this.earSplitter = null;
+        this.earMerger = null;
+        this.earPaths = null; // { left, right }: notches + gain per channel
 
         // State
         this.isTestTonePlaying = false;
         this.isTherapyPlaying = false;
         this.currentFrequency = 4000;
         this.currentVolume = 0.5;
+        this.notchWidth = 1.0; // octaves
+        this.notchDepth = 40; // dB of attenuation inside the band
+
+        // Further tinnitus tones { frequency, width }, each notched in both ears
+        this.extraTones = [];
+
+        // Hearing compensation EQ: per-ear [{ frequency, gain }] boosts in dB, or null for flat
+        this.compensation = null;
+
+        // Per-ear settings, used instead of currentFrequency in per-ear mode
+        this.perEarMode = false;
+        this.ears = {
+            left: { frequency: 4000, volume: 1 },
+            right: { frequency: 4000, volume: 1 }
+        };
         this.currentSound = 'whitenoise';
 
-        // Timer
+        // 'notched' plays currentSound through the notch; other modes come from THERAPY_MODES
+        this.therapyMode = 'notched';
+
+        // Soundscape mix: level 0-1 per built-in sound, played as sound type 'mix'
+        this.mixLayers = { rain: 0.7, temple: 0.5 };
+
+        // User music playlist
+        this.playlist = []; // { name, file, url }
+        this.playlistIndex = 0;
+        this.playOrder = [];
+        this.shuffle = false;
+        this.repeatMode = 'all'; // 'off' | 'all' | 'one'
+        this.musicElement = null;
+        this.musicSource = null;
+
+        // Timer: elapsed listening time excludes pauses
+        this.state = 'stopped'; // 'stopped' | 'playing' | 'paused'; isTherapyPlaying covers the last two
         this.therapyStartTime = null;
-        this.therapyDuration = 0;
+        this.therapyDuration = 0; // whole seconds listened this session
+        this.listenedBefore = 0; // ms listened before the current stretch
+        this.resumedAt = null; // when the current stretch started
         this.timerInterval = null;
 
-        this.onAutoStop = null;
-        this.maxDuration = 1800; // 30 minutes in seconds
+        this.maxDuration = 1800; // listening limit in seconds, 0 for no limit
+        this.dailyLimit = false; // whether priorListening counts toward maxDuration
+        this.priorListening = 0; // seconds listened earlier today
+        this.fadeIn = 10; // seconds
+        this.fadeOut = 60; // seconds, before the session length is reached
+        this.isFadingOut = false;
+        this.fadeTimeout = null;
+        this.stopWaiters = []; // resolvers of fades waiting for therapy to stop
+        this.pendingStart = null; // start in progress, shared by overlapping calls
 
         this.initAudioContext();
     }
 
+    /**
+     * Notify listeners
+     * @param {string} type Event name
+     * @param {*} detail Event data
+     */
+    emit(type, detail = null) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Change the therapy state, announcing it with state-change
+     * @param {string} state 'stopped', 'playing' or 'paused'
+     */
+    setState(state) {
+        if (state === this.state) return;
+
+        const previous = this.state;
+        this.state = state;
+        this.emit('state-change', { state, previous });
+    }
+
     /**
      * Initialize Web Audio API context
      */
     initAudioContext() {
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.audioContext = this.createAudioContext();
 
             // Create master gain node
             this.masterGain = this.audioContext.createGain();
             this.masterGain.gain.value = this.currentVolume;
-            this.masterGain.connect(this.audioContext.destination);
+
+            // Limiter after the master volume, then the output level meter.
+            // The compressor smooths the gain reduction; its makeup gain is
+            // undone and a clipper catches what gets through during the attack.
+            this.limiter = this.audioContext.createDynamicsCompressor();
+            this.limiter.threshold.value = LIMITER_THRESHOLD;
+            this.limiter.knee.value = 0;
+            this.limiter.ratio.value = LIMITER_RATIO;
+            this.limiter.attack.value = 0.001;
+            this.limiter.release.value = 0.1;
+            this.limiterTrim = this.audioContext.createGain();
+            this.limiterTrim.gain.value = Math.pow(10, -LIMITER_MAKEUP / 20);
+            this.clipper = this.audioContext.createWaveShaper();
+            this.clipper.curve = createClipperCurve(Math.pow(10, LIMITER_THRESHOLD / 20));
+            this.outputMeter = this.audioContext.createAnalyser();
+            this.outputMeter.fftSize = 2048;
+            this.masterGain.connect(this.limiter);
+            this.limiter.connect(this.limiterTrim);
+            this.limiterTrim.connect(this.clipper);
+            this.clipper.connect(this.outputMeter);
+            this.connectOutput();
 
             // Create analyser for visualization
             this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = 2048;
+            // Long enough to resolve the notch edges at low frequencies (about 5 Hz bins)
+            this.analyser.fftSize = 8192;
             this.analyser.connect(this.masterGain);
 
+            // Load the generators ahead of the first session
+            this.loadGenerators();
+
             console.log('Audio context initialized successfully');
         } catch (error) {
             console.error('Failed to initialize audio context:', error);
-            alert('오디오 시스템을 초기화할 수 없습니다. 브라우저가 Web Audio API를 지원하는지 확인해주세요.');
+            // Wait for the constructor to return so listeners can be attached
+            queueMicrotask(() => this.emit('error', { code: 'audio-init', error }));
+        }
+    }
+
+    /**
+     * Route the master output through a media element where possible
+     * Browsers keep media elements playing with the screen locked and show
+     * their Media Session controls, which plain Web Audio output does not get.
+     */
+    connectOutput() {
+        if (typeof this.audioContext.createMediaStreamDestination !== 'function' || !this.createMediaElement) {
+            this.outputMeter.connect(this.audioContext.destination);
+            return;
+        }
+
+        const streamDestination = this.audioContext.createMediaStreamDestination();
+        this.outputElement = this.createMediaElement();
+        this.outputElement.srcObject = streamDestination.stream;
+        this.outputMeter.connect(streamDestination);
+    }
+
+    /**
+     * Resume audio context (required for user interaction)
+     */
+    async resumeContext() {
+        if (this.audioContext.state !== 'running') {
+            await this.audioContext.resume();
+        }
+
+        if (this.outputElement && this.outputElement.paused) {
+            try {
+                await this.outputElement.play();
+            } catch (error) {
+                // Fall back to direct output; audio then stops with the screen
+                console.warn('Background output unavailable:', error);
+                this.outputMeter.disconnect();
+                this.outputMeter.connect(this.audioContext.destination);
+                this.outputElement = null;
+                if (this.outputDeviceId) {
+                    this.setOutputDevice(this.outputDeviceId);
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether the output device can be chosen (setSinkId)
+     */
+    canSelectOutput() {
+        return [this.outputElement, this.audioContext].some(target => target && typeof target.setSinkId === 'function');
+    }
+
+    /**
+     * List audio output devices
+     * Names may be empty until the browser has granted media permission.
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async getOutputDevices() {
+        if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audiooutput')
+            .map(({ deviceId, label }) => ({ deviceId, label }));
+    }
+
+    /**
+     * Send all output to one device
+     * Calibrated tones play on the context destination, so both it and the
+     * background media element are switched.
+     * @param {string} deviceId Device from getOutputDevices, '' for the default
+     * @returns {Promise<boolean>} Whether the device could be selected
+     */
+    async setOutputDevice(deviceId) {
+        const targets = [this.outputElement, this.audioContext]
+            .filter(target => target && typeof target.setSinkId === 'function');
+        if (targets.length === 0) return false;
+
+        await Promise.all(targets.map(target => target.setSinkId(deviceId)));
+        this.outputDeviceId = deviceId;
+        return true;
+    }
+
+    /**
+     * Play short beeps in one ear or both to check the headphones
+     * @param {string} channel 'left', 'right' or 'both'
+     * @returns {Promise<void>} Resolves when the beeps have ended
+     */
+    async playChannelCheck(channel) {
+        await this.resumeContext();
+
+        const context = this.audioContext;
+        const now = context.currentTime;
+        const duration = CHANNEL_CHECK_BEEPS * CHANNEL_CHECK_INTERVAL;
+
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        const panner = context.createStereoPanner();
+        oscillator.frequency.value = CHANNEL_CHECK_FREQUENCY;
+        panner.pan.value = channel === 'left' ? -1 : channel === 'right' ? 1 : 0;
+
+        envelope.gain.setValueAtTime(0, now);
+        for (let i = 0; i < CHANNEL_CHECK_BEEPS; i++) {
+            const start = now + i * CHANNEL_CHECK_INTERVAL;
+            setParam(envelope.gain, 0.3, start);
+            setParam(envelope.gain, 0, start + CHANNEL_CHECK_INTERVAL * 0.6);
+        }
+
+        oscillator.connect(envelope);
+        envelope.connect(panner);
+        panner.connect(this.masterGain);
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+
+        await new Promise(resolve => setTimeout(resolve, duration * 1000));
+        [oscillator, envelope, panner].forEach(node => node.disconnect());
+    }
+
+    /**
+     * Ask once, through confirmOutput, that headphones are on before sound plays
+     * @returns {Promise<boolean>} Whether playback may go ahead
+     */
+    async ensureOutputConfirmed() {
+        if (this.outputConfirmed || typeof this.confirmOutput !== 'function') return true;
+
+        this.outputConfirmed = await this.confirmOutput();
+        return this.outputConfirmed;
+    }
+
+    /**
+     * Set tinnitus frequency
+     */
+    setFrequency(frequency) {
+        this.currentFrequency = frequency;
+        this.updateModeFrequency();
+
+        // Per-ear frequencies are set through setEarFrequency
+        if (!this.perEarMode) {
+            this.updateTestTone();
+            this.updateEarPaths();
+        }
+    }
+
+    /**
+     * Switch between one shared frequency and independent left/right settings
+     */
+    setPerEarMode(enabled) {
+        if (enabled && !this.perEarMode) {
+            // Start both ears from the shared match
+            EARS.forEach(ear => {
+                this.ears[ear].frequency = this.currentFrequency;
+            });
+        }
+
+        this.perEarMode = enabled;
+
+        if (this.isTestTonePlaying) {
+            this.stopTestTone();
+        }
+        this.updateEarPaths();
+    }
+
+    /**
+     * Set tinnitus frequency for one ear (per-ear mode)
+     */
+    setEarFrequency(ear, frequency) {
+        this.ears[ear].frequency = frequency;
+
+        if (this.perEarMode) {
+            this.updateTestTone();
+            this.updateEarPaths();
+        }
+    }
+
+    /**
+     * Set relative volume for one ear (per-ear mode)
+     */
+    setEarVolume(ear, volume) {
+        this.ears[ear].volume = volume;
+
+        if (this.perEarMode) {
+            this.updateTestTone();
+            this.updateEarPaths();
+        }
+    }
+
+    /**
+     * Get the notch frequency applied to one ear
+     */
+    getEarFrequency(ear) {
+        return this.perEarMode ? this.ears[ear].frequency : this.currentFrequency;
+    }
+
+    /**
+     * Get the relative volume applied to one ear
+     */
+    getEarVolume(ear) {
+        return this.perEarMode ? this.ears[ear].volume : 1;
+    }
+
+    /**
+     * Add another tinnitus tone, notched in both ears
+     * @param {number} frequency Tone frequency in Hz
+     * @param {number} width Notch width in octaves
+     * @returns {number} Index of the new tone
+     */
+    addTone(frequency, width = this.notchWidth) {
+        this.extraTones.push({ frequency, width });
+        this.connectToneNotches();
+        return this.extraTones.length - 1;
+    }
+
+    /**
+     * Remove one of the extra tones
+     */
+    removeTone(index) {
+        if (!this.extraTones[index]) return;
+
+        if (this.testToneIndex === index) {
+            this.stopTestTone();
+        } else if (this.testToneIndex > index) {
+            this.testToneIndex--;
+        }
+
+        this.extraTones.splice(index, 1);
+        this.connectToneNotches();
+    }
+
+    /**
+     * Replace all extra tones, e.g. from a saved profile
+     * @param {Array<{frequency: number, width: number}>} tones
+     */
+    setTones(tones) {
+        if (this.testToneIndex !== null) {
+            this.stopTestTone();
+        }
+
+        this.extraTones = tones.map(({ frequency, width }) => ({ frequency, width }));
+        this.connectToneNotches();
+    }
+
+    /**
+     * Set the frequency of one extra tone
+     */
+    setToneFrequency(index, frequency) {
+        this.extraTones[index].frequency = frequency;
+        this.updateTestTone();
+        this.updateEarPaths();
+    }
+
+    /**
+     * Set the notch width of one extra tone in octaves
+     */
+    setToneWidth(index, width) {
+        this.extraTones[index].width = width;
+        this.updateEarPaths();
+    }
+
+    /**
+     * Set notch width in octaves
+     */
+    setNotchWidth(width) {
+        this.notchWidth = width;
+        if (this.earPaths) {
+            EARS.forEach(ear => this.earPaths[ear].notch.setWidth(width));
+        }
+    }
+
+    /**
+     * Set notch depth in dB
+     */
+    setNotchDepth(depth) {
+        this.notchDepth = depth;
+        if (this.earPaths) {
+            EARS.forEach(ear => {
+                const { notch, toneNotches } = this.earPaths[ear];
+                [notch, ...toneNotches].forEach(band => band.setDepth(depth));
+            });
+        }
+    }
+
+    /**
+     * Set volume, capped at the maximum volume
+     * @returns {number} Volume actually applied
+     */
+    setVolume(volume) {
+        this.currentVolume = Math.min(volume, this.maxVolume);
+        if (this.masterGain) {
+            setParam(this.masterGain.gain, this.currentVolume, this.audioContext.currentTime);
+        }
+
+        this.checkVolumeRise();
+        return this.currentVolume;
+    }
+
+    /**
+     * Set the highest volume the slider may reach
+     * @param {number} maxVolume Ceiling from 0 to 1
+     */
+    setMaxVolume(maxVolume) {
+        this.maxVolume = maxVolume;
+        if (this.currentVolume > maxVolume) {
+            this.setVolume(maxVolume);
+        }
+    }
+
+    /**
+     * Warn with a level-warning event when the volume jumps during therapy
+     */
+    checkVolumeRise() {
+        const now = Date.now();
+        this.recentVolumes = this.recentVolumes.filter(entry => now - entry.time <= SUDDEN_RISE_WINDOW * 1000);
+        this.recentVolumes.push({ time: now, volume: this.currentVolume });
+
+        if (!this.isTherapyPlaying || this.currentVolume < SUDDEN_RISE_MIN_VOLUME) return;
+
+        const lowest = Math.min(...this.recentVolumes.map(entry => entry.volume));
+        const rise = 20 * Math.log10(this.currentVolume / lowest);
+        if (rise >= SUDDEN_RISE_DB) {
+            // Start over so one jump warns once
+            this.recentVolumes = [{ time: now, volume: this.currentVolume }];
+            this.emit('level-warning', { rise, volume: this.currentVolume });
+        }
+    }
+
+    /**
+     * Output level after the limiter
+     * @returns {number} RMS level in dBFS, -Infinity when silent
+     */
+    getOutputLevel() {
+        if (!this.outputMeter) return -Infinity;
+
+        const samples = new Float32Array(this.outputMeter.fftSize);
+        this.outputMeter.getFloatTimeDomainData(samples);
+        const power = samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length;
+        return 10 * Math.log10(power);
+    }
+
+    /**
+     * Fraction of the daily exposure allowance used by listening at a level
+     * @param {number} level Estimated level in dB SPL
+     * @param {number} seconds Listening time
+     */
+    getExposureDose(level, seconds) {
+        if (!isFinite(level)) return 0;
+
+        const allowed = EXPOSURE_REFERENCE_HOURS * 3600 / Math.pow(2, (level - EXPOSURE_REFERENCE_LEVEL) / EXPOSURE_EXCHANGE_RATE);
+        return seconds / allowed;
+    }
+
+    /**
+     * Add listening time at the current output level to the exposure estimate
+     */
+    trackExposure(seconds) {
+        const level = this.getOutputLevel() + FULL_SCALE_SPL;
+        const dose = this.getExposureDose(level, seconds);
+        this.sessionDose += dose;
+
+        this.emit('exposure', { dose, level });
+    }
+
+    /**
+     * Play test tone at current frequency
+     * @param {string|null} ear 'left' or 'right' to play one ear's tone in per-ear mode
+     * @param {string} type Test stimulus, defaults to the chosen one
+     */
+    async playTestTone(ear = null, type = this.testToneType) {
+        await this.resumeContext();
+
+        if (this.isTestTonePlaying) {
+            this.stopTestTone();
+            return;
+        }
+
+        if (!(await this.ensureOutputConfirmed())) return;
+
+        // Probes at a fixed frequency may target one ear in any mode
+        this.testEar = this.perEarMode || this.probeFrequency ? ear : null;
+
+        // Create gain for test tone
+        this.testGain = this.audioContext.createGain();
+
+        // Pan to the ear being matched
+        this.testPanner = this.audioContext.createStereoPanner();
+
+        this.testStimulus = this.createTestStimulus(type);
+        this.updateTestTone(0);
+
+        // Connect nodes
+        this.testStimulus.output.connect(this.testGain);
+        this.testGain.connect(this.testPanner);
+        this.testPanner.connect(this.testLevel === null ? this.masterGain : this.audioContext.destination);
+
+        // Start sources
+        this.testStimulus.sources.forEach(source => source.start());
+        this.isTestTonePlaying = true;
+
+        console.log(`Test tone (${type}) playing${this.testEar ? ` (${this.testEar})` : ''}`);
+    }
+
+    /**
+     * Build the nodes for one test stimulus
+     * Frequencies and levels are set afterwards by updateTestTone.
+     * @param {string} type One of TEST_TONE_TYPES
+     */
+    createTestStimulus(type) {
+        const ctx = this.audioContext;
+        const hasTone = type !== 'noise';
+        const hasNoise = type === 'noise' || type === 'mixed';
+
+        const stimulus = {
+            output: ctx.createGain(),
+            oscillator: null,
+            bandpass: null,
+            noiseLevel: null,
+            warble: null,
+            share: hasTone && hasNoise ? 0.5 : 1, // tone plus noise splits the level
+            sources: [],
+            nodes: []
+        };
+        stimulus.nodes.push(stimulus.output);
+
+        const track = node => {
+            stimulus.nodes.push(node);
+            return node;
+        };
+
+        if (hasTone) {
+            stimulus.oscillator = track(ctx.createOscillator());
+            stimulus.oscillator.type = 'sine';
+            stimulus.sources.push(stimulus.oscillator);
+
+            const toneLevel = track(ctx.createGain());
+            toneLevel.gain.value = stimulus.share;
+            stimulus.oscillator.connect(toneLevel);
+            toneLevel.connect(stimulus.output);
+        }
+
+        if (hasNoise) {
+            const noise = track(ctx.createBufferSource());
+            noise.buffer = this.createWhiteNoiseBuffer();
+            noise.loop = true;
+            stimulus.sources.push(noise);
+
+            // Two band-pass stages for steeper skirts around the test frequency
+            stimulus.bandpass = [track(ctx.createBiquadFilter()), track(ctx.createBiquadFilter())];
+            stimulus.bandpass.forEach(filter => {
+                filter.type = 'bandpass';
+            });
+            stimulus.noiseLevel = track(ctx.createGain());
+
+            noise.connect(stimulus.bandpass[0]);
+            stimulus.bandpass[0].connect(stimulus.bandpass[1]);
+            stimulus.bandpass[1].connect(stimulus.noiseLevel);
+            stimulus.noiseLevel.connect(stimulus.output);
+        }
+
+        if (type === 'pulsed') {
+            // Square LFO, smoothed to avoid clicks, switches the tone on and off
+            const lfo = track(ctx.createOscillator());
+            lfo.type = 'square';
+            lfo.frequency.value = PULSE_RATE;
+            const smoothing = track(ctx.createBiquadFilter());
+            smoothing.type = 'lowpass';
+            smoothing.frequency.value = 40;
+            const depth = track(ctx.createGain());
+            depth.gain.value = 0.5;
+
+            stimulus.output.gain.value = 0.5;
+            lfo.connect(smoothing);
+            smoothing.connect(depth);
+            depth.connect(stimulus.output.gain);
+            stimulus.sources.push(lfo);
+        }
+
+        if (type === 'warble') {
+            // Sine LFO sweeps the tone a few percent around the test frequency
+            const lfo = track(ctx.createOscillator());
+            lfo.type = 'sine';
+            lfo.frequency.value = WARBLE_RATE;
+            stimulus.warble = track(ctx.createGain());
+
+            lfo.connect(stimulus.warble);
+            stimulus.warble.connect(stimulus.oscillator.frequency);
+            stimulus.sources.push(lfo);
+        }
+
+        return stimulus;
+    }
+
+    /**
+     * Choose the test stimulus
+     * @param {string} type 'pure', 'pulsed', 'warble', 'noise' or 'mixed'
+     */
+    setTestToneType(type) {
+        if (!TEST_TONE_TYPES.includes(type)) return;
+        this.testToneType = type;
+
+        // Rebuild a playing tone with the new stimulus
+        if (this.isTestTonePlaying) {
+            const ear = this.testEar;
+            const toneIndex = this.testToneIndex;
+            this.stopTestTone();
+            return toneIndex !== null ? this.playToneTest(toneIndex) : this.playTestTone(ear);
+        }
+    }
+
+    /**
+     * Set narrowband noise bandwidth
+     * @param {number} bandwidth Bandwidth in octaves
+     */
+    setTestNoiseBandwidth(bandwidth) {
+        this.testNoiseBandwidth = bandwidth;
+        this.updateTestTone();
+    }
+
+    /**
+     * Set a calibrated test tone level
+     * Set it before playing: calibrated tones skip the master volume so
+     * measurements stay comparable.
+     * @param {number|null} level Level in dBFS, or null for the normal test tone
+     */
+    setTestLevel(level) {
+        this.testLevel = level;
+        this.updateTestTone();
+    }
+
+    /**
+     * Play a calibrated pure tone in one ear for hearing screening
+     * @param {number} frequency Tone frequency in Hz
+     * @param {string} ear 'left' or 'right'
+     * @param {number} level Level in dBFS
+     */
+    async playScreeningTone(frequency, ear, level) {
+        if (this.isTestTonePlaying) {
+            this.stopTestTone();
+        }
+
+        this.testLevel = level;
+        this.probeFrequency = frequency;
+        await this.playTestTone(ear, 'pure');
+    }
+
+    /**
+     * Play broadband noise for minimum masking level measurement
+     * The noise skips the master volume but shares the limiter and output with
+     * therapy, so the measured level maps onto the therapy volume.
+     * @param {number} level Level in dBFS, bypassing the master volume
+     * @param {string|null} ear 'left' or 'right' to measure one ear in per-ear mode
+     */
+    async playMaskingNoise(level, ear = null) {
+        await this.resumeContext();
+        this.stopMaskingNoise();
+
+        this.maskingSource = this.audioContext.createBufferSource();
+        this.maskingSource.buffer = this.createWhiteNoiseBuffer();
+        this.maskingSource.loop = true;
+
+        this.maskingGain = this.audioContext.createGain();
+        this.setMaskingLevel(level, 0);
+
+        this.maskingPanner = this.audioContext.createStereoPanner();
+        this.maskingPanner.pan.value = ear === 'left' ? -1 : ear === 'right' ? 1 : 0;
+
+        this.maskingSource.connect(this.maskingGain);
+        this.maskingGain.connect(this.maskingPanner);
+        this.maskingPanner.connect(this.limiter);
+        this.maskingSource.start();
+    }
+
+    /**
+     * Set masking noise level
+     * @param {number} level Level in dBFS
+     * @param {number} smoothing Glide time constant in seconds, 0 to jump
+     */
+    setMaskingLevel(level, smoothing = PARAM_SMOOTHING) {
+        if (this.maskingGain) {
+            setParam(this.maskingGain.gain, Math.pow(10, level / 20), this.audioContext.currentTime, smoothing);
+        }
+    }
+
+    /**
+     * Stop masking noise
+     */
+    stopMaskingNoise() {
+        if (this.maskingSource) {
+            this.maskingSource.stop();
+            this.maskingSource.disconnect();
+            this.maskingSource = null;
+        }
+
+        if (this.maskingGain) {
+            this.maskingGain.disconnect();
+            this.maskingGain = null;
+        }
+
+        if (this.maskingPanner) {
+            this.maskingPanner.disconnect();
+            this.maskingPanner = null;
+        }
+    }
+
+    /**
+     * Starting therapy volume from a minimum masking level
+     * The white noise therapy sound then plays just below the level that
+     * covers the tinnitus, so the tinnitus stays partly audible.
+     * @param {number} maskingLevel Minimum masking level in dBFS of the masking noise
+     * @returns {number} Master volume from 0.05 to 1
+     */
+    getSuggestedVolume(maskingLevel) {
+        const volume = Math.pow(10, (maskingLevel - MASKING_HEADROOM) / 20) / THERAPY_LEVEL;
+        return Math.max(0.05, Math.min(1, volume));
+    }
+
+    /**
+     * Play the test tone at a given frequency for a fixed time
+     * Used by guided matching to present comparison tones.
+     * @param {number} frequency Tone frequency in Hz
+     * @param {number} duration Seconds to play
+     * @param {string|null} ear 'left' or 'right' in per-ear mode
+     */
+    async playProbeTone(frequency, duration, ear = null) {
+        if (this.isTestTonePlaying) {
+            this.stopTestTone();
+        }
+
+        this.probeFrequency = frequency;
+        await this.playTestTone(ear);
+        const stimulus = this.testStimulus;
+        await new Promise(resolve => setTimeout(resolve, duration * 1000));
+
+        // Another tone may have replaced this one in the meantime
+        if (this.testStimulus === stimulus) {
+            this.stopTestTone();
+        }
+    }
+
+    /**
+     * Play the test tone at one of the extra tones, to match it
+     * @param {number} index Index into extraTones
+     */
+    async playToneTest(index) {
+        if (this.isTestTonePlaying) {
+            this.stopTestTone();
+        }
+
+        this.testToneIndex = index;
+        await this.playTestTone();
+
+        // The headphone check may have been cancelled
+        if (!this.isTestTonePlaying) {
+            this.testToneIndex = null;
+        }
+    }
+
+    /**
+     * Apply frequency, level and panning to the playing test tone
+     * @param {number} smoothing Glide time constant in seconds, 0 to jump
+     */
+    updateTestTone(smoothing = PARAM_SMOOTHING) {
+        if (!this.testStimulus) return;
+
+        const now = this.audioContext.currentTime;
+        const matched = this.testToneIndex !== null
+            ? this.extraTones[this.testToneIndex].frequency
+            : this.testEar ? this.ears[this.testEar].frequency : this.currentFrequency;
+        const frequency = this.probeFrequency || matched;
+        const volume = this.testEar ? this.ears[this.testEar].volume : 1;
+        const pan = this.testEar === 'left' ? -1 : this.testEar === 'right' ? 1 : 0;
+
+        const level = this.testLevel === null ? 0.3 * volume : Math.pow(10, this.testLevel / 20);
+        setParam(this.testGain.gain, level, now, smoothing);
+        setParam(this.testPanner.pan, pan, now, smoothing);
+
+        const { oscillator, bandpass, noiseLevel, warble, share } = this.testStimulus;
+
+        if (oscillator) {
+            setParam(oscillator.frequency, frequency, now, smoothing);
+        }
+
+        if (warble) {
+            setParam(warble.gain, frequency * WARBLE_DEPTH, now, smoothing);
+        }
+
+        if (bandpass) {
+            const ratio = Math.pow(2, this.testNoiseBandwidth);
+            const bandwidth = frequency * (ratio - 1) / Math.sqrt(ratio);
+            bandpass.forEach(filter => {
+                setParam(filter.frequency, frequency, now, smoothing);
+                setParam(filter.Q, frequency / bandwidth, now, smoothing);
+            });
+
+            // Narrow bands keep only a sliver of the white noise power, so boost
+            // them to roughly the RMS level of the pure tone
+            const nyquist = this.audioContext.sampleRate / 2;
+            const makeup = 1.38 * Math.sqrt(nyquist / bandwidth);
+            setParam(noiseLevel.gain, share * makeup, now, smoothing);
+        }
+    }
+
+    /**
+     * Stop test tone
+     */
+    stopTestTone() {
+        if (this.testStimulus) {
+            this.testStimulus.sources.forEach(source => source.stop());
+            this.testStimulus.nodes.forEach(node => node.disconnect());
+            this.testStimulus = null;
+        }
+
+        if (this.testGain) {
+            this.testGain.disconnect();
+            this.testGain = null;
+        }
+
+        if (this.testPanner) {
+            this.testPanner.disconnect();
+            this.testPanner = null;
+        }
+
+        this.isTestTonePlaying = false;
+        this.testEar = null;
+        this.probeFrequency = null;
+        this.testToneIndex = null;
+        console.log('Test tone stopped');
+    }
+
+    /**
+     * Generate white noise buffer
+     */
+    createWhiteNoiseBuffer(duration = 2, context = this.audioContext) {
+        const sampleRate = context.sampleRate;
+        const bufferSize = sampleRate * duration;
+        const buffer = context.createBuffer(2, bufferSize, sampleRate);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < bufferSize; i++) {
+                data[i] = this.random() * 2 - 1;
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Rain: Brown noise + high-freq crackles
+     */
+    createRainBuffer(duration = 4, context = this.audioContext) {
+        const sampleRate = context.sampleRate;
+        const bufferSize = sampleRate * duration;
+        const buffer = context.createBuffer(2, bufferSize, sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            let lastOut = 0;
+            for (let i = 0; i < bufferSize; i++) {
+                const white = this.random() * 2 - 1;
+                let out = (lastOut + (0.02 * white)) / 1.002;
+                data[i] = out * 2;
+                lastOut = out;
+                if (this.random() > 0.9995) {
+                    data[i] += (this.random() * 2 - 1) * 0.5;
+                }
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Wave: Brown noise + slow volume modulation
+     */
+    createWaveBuffer(duration = 6, context = this.audioContext) {
+        const sampleRate = context.sampleRate;
+        const bufferSize = sampleRate * duration;
+        const buffer = context.createBuffer(2, bufferSize, sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            let lastOut = 0;
+            for (let i = 0; i < bufferSize; i++) {
+                const white = this.random() * 2 - 1;
+                let out = (lastOut + (0.02 * white)) / 1.002;
+                lastOut = out;
+                const lfo = 0.5 + 0.5 * Math.sin((i / bufferSize) * Math.PI * 2);
+                data[i] = out * 4 * lfo;
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Forest: Pink noise + subtle frequency modulation
+     */
+    createForestBuffer(duration = 4, context = this.audioContext) {
+        const sampleRate = context.sampleRate;
+        const bufferSize = sampleRate * duration;
+        const buffer = context.createBuffer(2, bufferSize, sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+            for (let i = 0; i < bufferSize; i++) {
+                const white = this.random() * 2 - 1;
+                b0 = 0.99886 * b0 + white * 0.0555179;
+                b1 = 0.99332 * b1 + white * 0.0750759;
+                b2 = 0.96900 * b2 + white * 0.1538520;
+                b3 = 0.86650 * b3 + white * 0.3104856;
+                b4 = 0.55000 * b4 + white * 0.5329522;
+                b5 = -0.7616 * b5 - white * 0.0168980;
+                let out = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+                b6 = white * 0.115926;
+                const wind = 0.7 + 0.3 * Math.sin((i / bufferSize) * Math.PI * 4);
+                data[i] = out * wind;
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Night Insects: Pink noise + high freq rhythmic chirps
+     */
+    createNightBuffer(duration = 3, context = this.audioContext) {
+        const sampleRate = context.sampleRate;
+        const bufferSize = sampleRate * duration;
+        const buffer = context.createBuffer(2, bufferSize, sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+            for (let i = 0; i < bufferSize; i++) {
+                const white = this.random() * 2 - 1;
+                b0 = 0.99886 * b0 + white * 0.0555179;
+                b1 = 0.99332 * b1 + white * 0.0750759;
+                b2 = 0.96900 * b2 + white * 0.1538520;
+                b3 = 0.86650 * b3 + white * 0.3104856;
+                b4 = 0.55000 * b4 + white * 0.5329522;
+                b5 = -0.7616 * b5 - white * 0.0168980;
+                let out = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+                b6 = white * 0.115926;
+                const chirpEnv = Math.pow(0.5 + 0.5 * Math.sin((i / sampleRate) * Math.PI * 10), 20);
+                const chirp = (this.random() * 2 - 1) * chirpEnv * 0.15;
+                data[i] = out * 0.4 + chirp;
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Temple: Pink noise + resonant peak for "metallic" hum
+     */
+    createTempleBuffer(duration = 4, context = this.audioContext) {
+        const sampleRate = context.sampleRate;
+        const bufferSize = sampleRate * duration;
+        const buffer = context.createBuffer(2, bufferSize, sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+            for (let i = 0; i < bufferSize; i++) {
+                const white = this.random() * 2 - 1;
+                b0 = 0.99886 * b0 + white * 0.0555179;
+                b1 = 0.99332 * b1 + white * 0.0750759;
+                b2 = 0.96900 * b2 + white * 0.1538520;
+                b3 = 0.86650 * b3 + white * 0.3104856;
+                b4 = 0.55000 * b4 + white * 0.5329522;
+                b5 = -0.7616 * b5 - white * 0.0168980;
+                let out = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+                b6 = white * 0.115926;
+                const resonance = Math.sin((i / sampleRate) * Math.PI * 2 * 380) * 0.015;
+                data[i] = out + resonance;
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Create notch filter
+     * This is the core of the therapy - removes the tinnitus frequency band
+     * @param {number} frequency Band center in Hz
+     * @param {number} width Band width in octaves
+     * @param {number} depth Attenuation inside the band in dB
+     * @param {BaseAudioContext} context Live or offline context
+     */
+    createNotchFilter(frequency, width = this.notchWidth, depth = this.notchDepth, context = this.audioContext) {
+        return new NotchBand(context, frequency, width, depth);
+    }
+
+    /**
+     * Edges of a notch band in Hz, as the filter removes it
+     * @param {number} frequency Band center in Hz
+     * @param {number} width Band width in octaves
+     */
+    getNotchEdges(frequency, width = this.notchWidth) {
+        const sampleRate = this.audioContext ? this.audioContext.sampleRate : 44100;
+        return NotchBand.edges(frequency, width, sampleRate);
+    }
+
+    /**
+     * Add local audio files to the playlist
+     * Files never leave the browser; they are played from object URLs.
+     * @param {FileList|File[]} files Files picked by the user
+     * @returns {{added: number, rejected: string[]}} Result summary
+     */
+    addMusicFiles(files) {
+        const rejected = [];
+        let added = 0;
+
+        Array.from(files).forEach(file => {
+            const extension = file.name.split('.').pop().toLowerCase();
+            if (!file.type.startsWith('audio/') && !MUSIC_EXTENSIONS.includes(extension)) {
+                rejected.push(file.name);
+                return;
+            }
+
+            this.playlist.push({
+                name: file.name.replace(/\.[^.]+$/, ''),
+                file,
+                url: URL.createObjectURL(file)
+            });
+            added++;
+        });
+
+        this.buildPlayOrder();
+        return { added, rejected };
+    }
+
+    /**
+     * Remove a track from the playlist
+     */
+    removeTrack(index) {
+        const [track] = this.playlist.splice(index, 1);
+        if (!track) return;
+
+        URL.revokeObjectURL(track.url);
+        const wasCurrent = index === this.playlistIndex;
+
+        if (index < this.playlistIndex) {
+            this.playlistIndex--;
+        }
+        this.playlistIndex = Math.min(this.playlistIndex, Math.max(0, this.playlist.length - 1));
+        this.buildPlayOrder();
+
+        // Removing the playing track moves on, or ends music therapy when nothing is left
+        if (wasCurrent && this.isTherapyPlaying && this.therapySource === this.musicSource) {
+            if (this.playlist.length === 0) {
+                this.stopTherapy();
+                this.emit('playlist-end');
+            } else {
+                this.playTrackInBackground(this.playlistIndex);
+            }
+        }
+    }
+
+    /**
+     * Get the selected playlist track
+     */
+    getCurrentTrack() {
+        return this.playlist[this.playlistIndex] || null;
+    }
+
+    /**
+     * Build the playback order, shuffled with the current track first
+     */
+    buildPlayOrder() {
+        this.playOrder = this.playlist.map((_, i) => i);
+        if (!this.shuffle) return;
+
+        const rest = this.playOrder.filter(i => i !== this.playlistIndex);
+        for (let i = rest.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [rest[i], rest[j]] = [rest[j], rest[i]];
+        }
+        this.playOrder = this.playlist.length ? [this.playlistIndex, ...rest] : [];
+    }
+
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        this.buildPlayOrder();
+    }
+
+    /**
+     * @param {string} mode 'off', 'all' or 'one'
+     */
+    setRepeatMode(mode) {
+        this.repeatMode = mode;
+    }
+
+    /**
+     * Get the playlist index `step` positions away in play order
+     * @returns {number} Index, or -1 past either end without repeat
+     */
+    getAdjacentTrackIndex(step) {
+        const length = this.playOrder.length;
+        if (length === 0) return -1;
+
+        const position = this.playOrder.indexOf(this.playlistIndex) + step;
+        if ((position < 0 || position >= length) && this.repeatMode === 'off') {
+            return -1;
+        }
+        return this.playOrder[(position + length) % length];
+    }
+
+    nextTrack() {
+        this.skipTrack(1);
+    }
+
+    previousTrack() {
+        this.skipTrack(-1);
+    }
+
+    /**
+     * Move through the playlist; playback follows if music therapy is running
+     */
+    skipTrack(step) {
+        const index = this.getAdjacentTrackIndex(step);
+        if (index === -1) return;
+        this.selectTrack(index);
+    }
+
+    /**
+     * Select a track, playing it right away if music therapy is running
+     */
+    selectTrack(index) {
+        if (!this.playlist[index]) return;
+
+        if (this.isTherapyPlaying && this.therapySource === this.musicSource) {
+            this.playTrackInBackground(index);
+            return;
+        }
+
+        this.playlistIndex = index;
+        this.emit('track-change', { track: this.playlist[index], index });
+    }
+
+    /**
+     * Create the media element source for music playback (once per engine)
+     */
+    createMusicSource() {
+        if (!this.musicSource) {
+            if (!this.createMediaElement) {
+                throw new Error('Music playback needs a media element');
+            }
+            this.musicElement = this.createMediaElement();
+            this.musicElement.addEventListener('ended', () => this.handleTrackEnded());
+            this.musicSource = this.audioContext.createMediaElementSource(this.musicElement);
+        }
+        return this.musicSource;
+    }
+
+    /**
+     * Play a playlist track through the therapy chain
+     */
+    async playTrack(index) {
+        const track = this.playlist[index];
+        if (!track) return;
+
+        this.playlistIndex = index;
+        this.musicElement.src = track.url;
+        await this.musicElement.play();
+
+        this.emit('track-change', { track, index });
+    }
+
+    /**
+     * Play a track without a caller to await it, reporting failures as error events
+     */
+    playTrackInBackground(index) {
+        this.playTrack(index).catch(error => this.emit('error', { code: 'playback', error }));
+    }
+
+    /**
+     * Advance after a track finishes according to repeat mode
+     */
+    handleTrackEnded() {
+        if (this.repeatMode === 'one') {
+            this.playTrackInBackground(this.playlistIndex);
+            return;
+        }
+
+        const index = this.getAdjacentTrackIndex(1);
+        if (index === -1) {
+            // Next session starts from the top again
+            this.playlistIndex = this.playOrder[0];
+            this.stopTherapy();
+            this.emit('playlist-end');
+            return;
+        }
+
+        // Reshuffle at the end of each pass
+        if (this.shuffle && this.playOrder.indexOf(this.playlistIndex) === this.playOrder.length - 1) {
+            this.playlistIndex = index;
+            this.buildPlayOrder();
+        }
+        this.playTrackInBackground(index);
+    }
+
+    /**
+     * Stop and disconnect the current therapy source and any fading out
+     */
+    stopTherapySource() {
+        const sources = [...this.fadingSources];
+        if (this.therapySource) {
+            sources.push({ source: this.therapySource, gain: this.therapySourceGain });
+        }
+
+        this.fadingSources.forEach(fading => clearTimeout(fading.timeout));
+        this.fadingSources = [];
+        this.therapySource = null;
+        this.therapySourceGain = null;
+
+        sources.forEach(entry => this.releaseSource(entry));
+    }
+
+    /**
+     * Fade the current therapy source out, releasing it once silent
+     * Used when switching sounds, while the next source fades in.
+     */
+    fadeOutTherapySource() {
+        if (!this.therapySource) return;
+
+        const fading = { source: this.therapySource, gain: this.therapySourceGain };
+        const param = fading.gain.gain;
+        scheduleEqualPowerFade(param, param.value, 0, this.audioContext.currentTime, CROSSFADE_TIME);
+
+        fading.timeout = setTimeout(() => {
+            this.fadingSources = this.fadingSources.filter(entry => entry !== fading);
+            this.releaseSource(fading);
+        }, CROSSFADE_TIME * 1000);
+
+        this.fadingSources.push(fading);
+        this.therapySource = null;
+        this.therapySourceGain = null;
+    }
+
+    /**
+     * Stop and disconnect one therapy source with its gain
+     */
+    releaseSource({ source, gain }) {
+        gain.disconnect();
+
+        // The music element may already be playing again as the new source
+        if (source === this.therapySource) {
+            source.disconnect(gain);
+            return;
+        }
+
+        this.stopSource(source);
+    }
+
+    /**
+     * Start a built-in sound or mix
+     * Worklet generators run as soon as they exist; buffer sources need a start.
+     */
+    startSource(source) {
+        if (source.mode) {
+            source.mode.sources.forEach(node => this.startSource(node));
+        } else if (source.layers) {
+            Object.values(source.layers)
+                .filter(layer => layer.source)
+                .forEach(layer => this.startSource(layer.source));
+        } else if (source.start) {
+            source.start();
+        }
+    }
+
+    /**
+     * Stop and disconnect any therapy source
+     */
+    stopSource(source) {
+        if (source === this.musicSource) {
+            this.musicElement.pause();
+        } else if (source.mode) {
+            source.mode.sources.forEach(node => this.stopSource(node));
+            source.mode.nodes.forEach(node => node.disconnect());
+        } else if (source.layers) {
+            source.released = true;
+            Object.values(source.layers)
+                .filter(layer => layer.source)
+                .forEach(layer => this.stopSource(layer.source));
+        } else if (source.port) {
+            // Worklet generators end once told to stop
+            source.port.postMessage('stop');
+        } else {
+            try {
+                source.stop();
+            } catch (e) { }
+        }
+
+        source.disconnect();
+    }
+
+    /**
+     * Whether the mix has at least one audible layer
+     */
+    hasMixLayers() {
+        return Object.values(this.mixLayers).some(level => level > 0);
+    }
+
+    /**
+     * Bus gain that keeps a mix about as loud as one sound at full level
+     * Uncorrelated layers add in power, so divide by the root of summed squares.
+     */
+    getMixNormalization(layers = this.mixLayers) {
+        const power = Object.values(layers).reduce((sum, level) => sum + level * level, 0);
+        return 1 / Math.max(1, Math.sqrt(power));
+    }
+
+    /**
+     * Create a mix of built-in sounds, each with its own level
+     * The layers sum into one bus that feeds the notch like a single sound.
+     * @param {Object<string, number>} layers Level 0-1 per sound type
+     * @param {BaseAudioContext} context Live or offline context
+     * @returns {Promise<GainNode>} Mix bus with `layers`: { source, gain } per sound type
+     */
+    async createMixSource(layers = this.mixLayers, context = this.audioContext) {
+        const bus = context.createGain();
+        bus.gain.value = this.getMixNormalization(layers);
+        bus.layers = {};
+
+        await Promise.all(Object.entries(layers)
+            .filter(([, level]) => level > 0)
+            .map(([soundType, level]) => this.addMixLayer(bus, soundType, level)));
+
+        return bus;
+    }
+
+    /**
+     * Add one sound to a mix bus
+     * The layer is registered right away; its source follows once created.
+     * @param {boolean} start Start the source, for layers added while playing
+     */
+    async addMixLayer(bus, soundType, level, start = false) {
+        const gain = bus.context.createGain();
+        gain.gain.value = level;
+        gain.connect(bus);
+
+        const layer = { source: null, gain };
+        bus.layers[soundType] = layer;
+
+        const source = await this.createSoundSource(soundType, bus.context);
+        if (bus.released) {
+            // The mix stopped while this layer was being created
+            this.stopSource(source);
+            return layer;
+        }
+
+        source.connect(gain);
+        layer.source = source;
+        if (start) {
+            this.startSource(source);
+        }
+        return layer;
+    }
+
+    /**
+     * Set the level of one sound in the mix, live if the mix is playing
+     * @param {string} soundType One of MIX_SOUNDS
+     * @param {number} level Level from 0 to 1
+     */
+    setMixLevel(soundType, level) {
+        this.mixLayers = { ...this.mixLayers, [soundType]: level };
+
+        const bus = this.therapySource && this.therapySource.layers ? this.therapySource : null;
+        if (!bus) return;
+
+        const now = this.audioContext.currentTime;
+        if (!bus.layers[soundType] && level > 0) {
+            // New layers fade in from silence
+            this.addMixLayer(bus, soundType, 0, true);
+        }
+        if (bus.layers[soundType]) {
+            setParam(bus.layers[soundType].gain.gain, level, now);
+        }
+        setParam(bus.gain, this.getMixNormalization(), now);
+    }
+
+    /**
+     * Replace all mix levels, e.g. when loading a saved blend
+     * @param {Object<string, number>} layers Level 0-1 per sound type
+     */
+    setMixLayers(layers) {
+        MIX_SOUNDS.forEach(soundType => this.setMixLevel(soundType, layers[soundType] || 0));
+    }
+
+    /**
+     * Create the per-channel notch paths for live playback
+     */
+    createEarPaths() {
+        const { input, splitter, merger, paths } = this.buildEarPaths(this.audioContext);
+
+        this.therapyInput = input;
+        this.earSplitter = splitter;
+        this.earMerger = merger;
+        this.earPaths = paths;
+    }
+
+    /**
+     * Build per-channel notch paths with the current settings
+     * Input -> Splitter -> (Notch -> Extra tone notches -> EQ -> Gain) per ear -> Merger
+     * @param {BaseAudioContext} context Live or offline context
+     */
+    buildEarPaths(context) {
+        // Up-mix everything to stereo so mono sources reach both ears
+        const input = context.createGain();
+        input.channelCount = 2;
+        input.channelCountMode = 'explicit';
+        input.channelInterpretation = 'speakers';
+
+        const splitter = context.createChannelSplitter(2);
+        const merger = context.createChannelMerger(2);
+        input.connect(splitter);
+
+        const paths = {};
+        EARS.forEach((ear, channel) => {
+            const notch = this.createNotchFilter(this.getEarFrequency(ear), this.notchWidth, this.notchDepth, context);
+            const gain = context.createGain();
+
+            splitter.connect(notch.input, channel);
+            gain.connect(merger, 0, channel);
+
+            paths[ear] = { notch, toneNotches: [], equalizer: [], gain };
+        });
+
+        this.connectToneNotches(paths);
+        this.updateEarPaths(paths, 0);
+
+        return { input, splitter, merger, paths };
+    }
+
+    /**
+     * Apply per-ear frequencies and volumes to the notch paths
+     * @param {number} smoothing Glide time constant in seconds, 0 to jump
+     */
+    updateEarPaths(paths = this.earPaths, smoothing = PARAM_SMOOTHING) {
+        if (!paths) return;
+
+        // Boosts are offset by the largest one so the EQ never clips
+        const headroom = Math.pow(10, -this.getCompensationBoost() / 20);
+
+        EARS.forEach(ear => {
+            const { notch, toneNotches, gain } = paths[ear];
+            notch.setFrequency(this.getEarFrequency(ear));
+            toneNotches.forEach((band, i) => {
+                band.frequency = this.extraTones[i].frequency;
+                band.width = this.extraTones[i].width;
+                band.update(smoothing);
+            });
+            setParam(gain.gain, this.getEarVolume(ear) * headroom, gain.context.currentTime, smoothing);
+        });
+    }
+
+    /**
+     * Rebuild the extra tone notches after each ear's main notch
+     */
+    connectToneNotches(paths = this.earPaths) {
+        if (!paths) return;
+
+        EARS.forEach(ear => {
+            const path = paths[ear];
+            path.toneNotches.forEach(band => band.disconnect());
+            path.toneNotches = this.extraTones.map(tone =>
+                this.createNotchFilter(tone.frequency, tone.width, this.notchDepth, path.gain.context)
+            );
+        });
+
+        this.connectEqualizers(paths);
+    }
+
+    /**
+     * Set the hearing compensation EQ
+     * @param {{left: Array<{frequency: number, gain: number}>, right: Array<{frequency: number, gain: number}>}|null} compensation
+     *   Boost in dB per band and ear, or null for a flat response
+     */
+    setCompensation(compensation) {
+        this.compensation = compensation;
+        this.connectEqualizers();
+        this.updateEarPaths();
+    }
+
+    /**
+     * Largest compensation boost over both ears in dB
+     */
+    getCompensationBoost() {
+        if (!this.compensation) return 0;
+        return Math.max(0, ...EARS.flatMap(ear => this.compensation[ear].map(band => band.gain)));
+    }
+
+    /**
+     * Rebuild the peaking filters between the last notch and each ear gain
+     */
+    connectEqualizers(paths = this.earPaths) {
+        if (!paths) return;
+
+        EARS.forEach(ear => {
+            const path = paths[ear];
+            const notches = [path.notch, ...path.toneNotches];
+            notches.forEach(notch => notch.output.disconnect());
+            path.equalizer.forEach(filter => filter.disconnect());
+
+            // Chain the notches, one per tinnitus tone
+            const last = notches.reduce((from, to) => {
+                from.connect(to.input);
+                return to;
+            });
+
+            const bands = this.compensation ? this.compensation[ear].filter(band => band.gain > 0) : [];
+            path.equalizer = bands.map(band => {
+                const filter = path.gain.context.createBiquadFilter();
+                filter.type = 'peaking';
+                filter.frequency.value = band.frequency;
+                filter.Q.value = 1.4; // about one octave, so neighbouring bands blend
+                filter.gain.value = band.gain;
+                return filter;
+            });
+
+            [last.output, ...path.equalizer, path.gain].reduce((from, to) => {
+                from.connect(to);
+                return to;
+            });
+        });
+    }
+
+    /**
+     * Disconnect and release the per-channel notch paths
+     */
+    destroyEarPaths() {
+        if (!this.earPaths) return;
+
+        this.therapyInput.disconnect();
+        this.earSplitter.disconnect();
+        EARS.forEach(ear => {
+            this.earPaths[ear].notch.disconnect();
+            this.earPaths[ear].toneNotches.forEach(notch => notch.disconnect());
+            this.earPaths[ear].equalizer.forEach(filter => filter.disconnect());
+            this.earPaths[ear].gain.disconnect();
+        });
+        this.earMerger.disconnect();
+
+        this.therapyInput = null;
+        this.earSplitter = null;
+        this.earMerger = null;
+        this.earPaths = null;
+    }
+
+    /**
+     * Load the streaming sound generators into a context
+     * @param {BaseAudioContext} context Live or offline context
+     * @returns {Promise<boolean>} Whether the AudioWorklet generators can be used
+     */
+    loadGenerators(context = this.audioContext) {
+        if (!context.audioWorklet) return Promise.resolve(false);
+
+        if (!this.generatorModules.has(context)) {
+            // Resolved against this module so hosts can serve it from anywhere
+            const loading = context.audioWorklet.addModule(new URL(GENERATOR_MODULE, import.meta.url).href)
+                .then(() => true)
+                .catch(error => {
+                    console.warn('Streaming sound generators unavailable, using looped buffers:', error);
+                    return false;
+                });
+            this.generatorModules.set(context, loading);
+        }
+
+        return this.generatorModules.get(context);
+    }
+
+    /**
+     * Create a source for one of the built-in sounds
+     * Synthesized continuously by the AudioWorklet generators; browsers
+     * without AudioWorklet fall back to looped buffers, which must be started.
+     * @param {string} soundType Type of sound to play
+     * @param {BaseAudioContext} context Live or offline context
+     * @returns {Promise<AudioNode>} Generator node or looping buffer source
+     */
+    async createSoundSource(soundType, context = this.audioContext) {
+        if (await this.loadGenerators(context)) {
+            return new AudioWorkletNode(context, 'soundscape-generator', {
+                numberOfInputs: 0,
+                outputChannelCount: [2],
+                // Seeded from the engine's random source so injected sources reach the worklet
+                processorOptions: { sound: soundType, seed: Math.floor(this.random() * 2 ** 32) }
+            });
+        }
+
+        // Create audio buffer based on sound type
+        let buffer;
+        switch (soundType) {
+            case 'whitenoise':
+                buffer = this.createWhiteNoiseBuffer(2, context);
+                break;
+            case 'rain':
+                buffer = this.createRainBuffer(4, context);
+                break;
+            case 'wave':
+                buffer = this.createWaveBuffer(6, context);
+                break;
+            case 'forest':
+                buffer = this.createForestBuffer(4, context);
+                break;
+            case 'night':
+                buffer = this.createNightBuffer(3, context);
+                break;
+            case 'temple':
+                buffer = this.createTempleBuffer(4, context);
+                break;
+            default:
+                buffer = this.createWhiteNoiseBuffer(2, context);
         }
+
+        // Create buffer source
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        return source;
     }
 
     /**
-     * Resume audio context (required for user interaction)
+     * Create a source for a built-in sound or the mix, or the therapy mode's graph
+     * @param {string} soundType Built-in sound type or 'mix'
+     * @param {BaseAudioContext} context Live or offline context
      */
-    async resumeContext() {
-        if (this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
+    createTherapySource(soundType, context = this.audioContext) {
+        if (this.therapyMode !== 'notched') {
+            return this.createModeSource(context);
         }
+
+        return soundType === 'mix'
+            ? this.createMixSource(this.mixLayers, context)
+            : this.createSoundSource(soundType, context);
     }
 
     /**
-     * Set tinnitus frequency
+     * Build the current therapy mode around the matched frequency
+     * Modes replace the notched sound, so their output skips the notch paths.
+     * @param {BaseAudioContext} context Live or offline context
+     * @returns {Promise<GainNode>} Mode output with `mode`: the graph from THERAPY_MODES
      */
-    setFrequency(frequency) {
-        this.currentFrequency = frequency;
+    async createModeSource(context = this.audioContext) {
+        const graph = await THERAPY_MODES[this.therapyMode].create(context, {
+            frequency: this.currentFrequency,
+            width: this.notchWidth,
+            random: this.random,
+            // Streaming white noise, or a looped buffer without AudioWorklet
+            createNoise: () => this.createSoundSource('whitenoise', context)
+        });
 
-        // Update test oscillator if playing
-        if (this.isTestTonePlaying && this.testOscillator) {
-            this.testOscillator.frequency.setValueAtTime(
-                frequency,
-                this.audioContext.currentTime
-            );
-        }
+        graph.output.mode = graph;
+        return graph.output;
+    }
 
-        // Update notch filter if therapy is playing
-        if (this.isTherapyPlaying && this.notchFilter) {
-            this.notchFilter.frequency.setValueAtTime(
-                frequency,
-                this.audioContext.currentTime
-            );
+    /**
+     * Choose notched sound or another therapy mode, crossfading if a session is running
+     * @param {string} mode 'notched' or a THERAPY_MODES id
+     * @returns {Promise<void>}
+     */
+    async setTherapyMode(mode) {
+        if (mode === this.therapyMode || (mode !== 'notched' && !(mode in THERAPY_MODES))) return;
+
+        this.therapyMode = mode;
+        if (this.isTherapyPlaying) {
+            await this.startTherapy(this.currentSound, true);
         }
     }
 
     /**
-     * Set volume
+     * Retune a playing therapy mode to the matched frequency
      */
-    setVolume(volume) {
-        this.currentVolume = volume;
-        if (this.masterGain) {
-            this.masterGain.gain.setValueAtTime(
-                volume,
-                this.audioContext.currentTime
-            );
+    updateModeFrequency() {
+        const source = this.therapySource;
+        if (source && source.mode) {
+            source.mode.setFrequency(this.currentFrequency, this.audioContext.currentTime);
         }
     }
 
     /**
-     * Play test tone at current frequency
+     * Pitches the current therapy mode plays, for display
+     * @returns {{frequencies: number[], band: boolean}|null} null for notched sound
      */
-    async playTestTone() {
-        await this.resumeContext();
+    getModeFrequencies() {
+        if (this.therapyMode === 'notched') return null;
 
-        if (this.isTestTonePlaying) {
-            this.stopTestTone();
-            return;
-        }
+        const mode = THERAPY_MODES[this.therapyMode];
+        return { frequencies: mode.frequencies(this.currentFrequency), band: mode.band };
+    }
 
-        // Create oscillator
-        this.testOscillator = this.audioContext.createOscillator();
-        this.testOscillator.type = 'sine';
-        this.testOscillator.frequency.setValueAtTime(
-            this.currentFrequency,
-            this.audioContext.currentTime
-        );
+    /**
+     * Render the notched therapy sound offline
+     * Uses the current frequency, per-ear, notch and compensation settings
+     * without the master volume, fading in and out at the ends.
+     * @param {Object} options
+     * @param {string} options.soundType Built-in sound or 'mix', used when no file is given
+     * @param {File|null} options.file Audio file to notch instead, looped to length
+     * @param {number} options.duration Length in seconds
+     * @returns {Promise<AudioBuffer>} Rendered stereo audio
+     */
+    async renderTherapy({ soundType = 'whitenoise', file = null, duration = 300 }) {
+        const sampleRate = this.audioContext ? this.audioContext.sampleRate : 44100;
+        const offline = this.createOfflineContext(2, Math.round(duration * sampleRate), sampleRate);
 
-        // Create gain for test tone
-        this.testGain = this.audioContext.createGain();
-        this.testGain.gain.setValueAtTime(0.3, this.audioContext.currentTime);
+        let source;
+        if (file && this.therapyMode === 'notched') {
+            source = offline.createBufferSource();
+            source.buffer = await offline.decodeAudioData(await file.arrayBuffer());
+            source.loop = true;
+        } else {
+            source = await this.createTherapySource(soundType, offline);
+        }
 
-        // Connect nodes
-        this.testOscillator.connect(this.testGain);
-        this.testGain.connect(this.masterGain);
+        const { input, merger } = this.buildEarPaths(offline);
+        const level = offline.createGain();
+        const fade = Math.min(2, duration / 4);
+        level.gain.setValueAtTime(0, 0);
+        level.gain.linearRampToValueAtTime(THERAPY_LEVEL, fade);
+        level.gain.setValueAtTime(THERAPY_LEVEL, duration - fade);
+        level.gain.linearRampToValueAtTime(0, duration);
 
-        // Start oscillator
-        this.testOscillator.start();
-        this.isTestTonePlaying = true;
+        source.connect(source.mode ? level : input);
+        merger.connect(level);
+        level.connect(offline.destination);
+        this.startSource(source);
 
-        console.log(`Test tone playing at ${this.currentFrequency}Hz`);
+        return offline.startRendering();
     }
 
     /**
-     * Stop test tone
+     * Start therapy with the selected sound, or resume it when paused
+     * @param {string} soundType Sound to play, defaults to the selected one
+     * @returns {Promise<boolean>} Whether therapy is playing; false if the headphone
+     *   check was cancelled or the playlist or mix is empty
      */
-    stopTestTone() {
-        if (this.testOscillator) {
-            this.testOscillator.stop();
-            this.testOscillator.disconnect();
-            this.testOscillator = null;
-        }
-
-        if (this.testGain) {
-            this.testGain.disconnect();
-            this.testGain = null;
+    start(soundType = this.currentSound) {
+        // A double tap or a second play request joins the start in progress
+        if (!this.pendingStart) {
+            this.pendingStart = this.runStart(soundType).finally(() => {
+                this.pendingStart = null;
+            });
         }
 
-        this.isTestTonePlaying = false;
-        console.log('Test tone stopped');
+        return this.pendingStart;
     }
 
     /**
-     * Generate white noise buffer
+     * Resume, start or switch therapy for start
      */
-    createWhiteNoiseBuffer(duration = 2) {
-        const sampleRate = this.audioContext.sampleRate;
-        const bufferSize = sampleRate * duration;
-        const buffer = this.audioContext.createBuffer(2, bufferSize, sampleRate);
+    async runStart(soundType) {
+        if (this.state === 'paused') {
+            await this.resume();
+        }
 
-        for (let channel = 0; channel < 2; channel++) {
-            const data = buffer.getChannelData(channel);
-            for (let i = 0; i < bufferSize; i++) {
-                data[i] = Math.random() * 2 - 1;
-            }
+        if (!this.isTherapyPlaying) {
+            await this.startTherapy(soundType);
+        } else if (soundType !== this.currentSound) {
+            await this.switchSound(soundType);
         }
 
-        return buffer;
+        return this.isTherapyPlaying;
     }
 
     /**
-     * Rain: Brown noise + high-freq crackles
+     * Stop therapy
+     * @param {Object} options
+     * @param {number} options.fade Seconds to fade out first, 0 to stop at once
+     * @returns {Promise<void>} Resolves once therapy has stopped
      */
-    createRainBuffer(duration = 4) {
-        const sampleRate = this.audioContext.sampleRate;
-        const bufferSize = sampleRate * duration;
-        const buffer = this.audioContext.createBuffer(2, bufferSize, sampleRate);
-        for (let channel = 0; channel < 2; channel++) {
-            const data = buffer.getChannelData(channel);
-            let lastOut = 0;
-            for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
-                let out = (lastOut + (0.02 * white)) / 1.002;
-                data[i] = out * 2;
-                lastOut = out;
-                if (Math.random() > 0.9995) {
-                    data[i] += (Math.random() * 2 - 1) * 0.5;
-                }
-            }
-        }
-        return buffer;
+    stop({ fade = 0 } = {}) {
+        // A paused session is silent already
+        return this.fadeOutTherapy(this.state === 'paused' ? 0 : fade);
     }
 
     /**
-     * Wave: Brown noise + slow volume modulation
+     * Pause therapy, keeping the session and its elapsed time
+     * Pausing while fading out finishes the stop instead.
+     * @returns {Promise<void>} Resolves once the sound has faded out
      */
-    createWaveBuffer(duration = 6) {
-        const sampleRate = this.audioContext.sampleRate;
-        const bufferSize = sampleRate * duration;
-        const buffer = this.audioContext.createBuffer(2, bufferSize, sampleRate);
-        for (let channel = 0; channel < 2; channel++) {
-            const data = buffer.getChannelData(channel);
-            let lastOut = 0;
-            for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
-                let out = (lastOut + (0.02 * white)) / 1.002;
-                lastOut = out;
-                const lfo = 0.5 + 0.5 * Math.sin((i / bufferSize) * Math.PI * 2);
-                data[i] = out * 4 * lfo;
-            }
+    async pause() {
+        if (this.state !== 'playing') return;
+        if (this.isFadingOut) {
+            await this.stop();
+            return;
         }
-        return buffer;
-    }
 
-    /**
-     * Forest: Pink noise + subtle frequency modulation
-     */
-    createForestBuffer(duration = 4) {
-        const sampleRate = this.audioContext.sampleRate;
-        const bufferSize = sampleRate * duration;
-        const buffer = this.audioContext.createBuffer(2, bufferSize, sampleRate);
-        for (let channel = 0; channel < 2; channel++) {
-            const data = buffer.getChannelData(channel);
-            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
-            for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
-                b0 = 0.99886 * b0 + white * 0.0555179;
-                b1 = 0.99332 * b1 + white * 0.0750759;
-                b2 = 0.96900 * b2 + white * 0.1538520;
-                b3 = 0.86650 * b3 + white * 0.3104856;
-                b4 = 0.55000 * b4 + white * 0.5329522;
-                b5 = -0.7616 * b5 - white * 0.0168980;
-                let out = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
-                b6 = white * 0.115926;
-                const wind = 0.7 + 0.3 * Math.sin((i / bufferSize) * Math.PI * 4);
-                data[i] = out * wind;
-            }
+        this.stopTimer();
+        this.setState('paused');
+
+        const gain = this.therapyGain.gain;
+        const now = this.audioContext.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + PAUSE_FADE);
+
+        await new Promise(resolve => setTimeout(resolve, PAUSE_FADE * 1000));
+        if (this.state === 'paused' && this.therapySource === this.musicSource) {
+            this.musicElement.pause();
         }
-        return buffer;
     }
 
     /**
-     * Night Insects: Pink noise + high freq rhythmic chirps
+     * Resume paused therapy where it left off
+     * @returns {Promise<void>}
      */
-    createNightBuffer(duration = 3) {
-        const sampleRate = this.audioContext.sampleRate;
-        const bufferSize = sampleRate * duration;
-        const buffer = this.audioContext.createBuffer(2, bufferSize, sampleRate);
-        for (let channel = 0; channel < 2; channel++) {
-            const data = buffer.getChannelData(channel);
-            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
-            for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
-                b0 = 0.99886 * b0 + white * 0.0555179;
-                b1 = 0.99332 * b1 + white * 0.0750759;
-                b2 = 0.96900 * b2 + white * 0.1538520;
-                b3 = 0.86650 * b3 + white * 0.3104856;
-                b4 = 0.55000 * b4 + white * 0.5329522;
-                b5 = -0.7616 * b5 - white * 0.0168980;
-                let out = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
-                b6 = white * 0.115926;
-                const chirpEnv = Math.pow(0.5 + 0.5 * Math.sin((i / sampleRate) * Math.PI * 10), 20);
-                const chirp = (Math.random() * 2 - 1) * chirpEnv * 0.15;
-                data[i] = out * 0.4 + chirp;
-            }
+    async resume() {
+        if (this.state !== 'paused') return;
+
+        await this.resumeContext();
+        if (this.therapySource === this.musicSource) {
+            await this.musicElement.play();
         }
-        return buffer;
+
+        const gain = this.therapyGain.gain;
+        const now = this.audioContext.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(THERAPY_LEVEL, now + PAUSE_FADE);
+
+        this.runTimer();
+        this.setState('playing');
     }
 
     /**
-     * Temple: Pink noise + resonant peak for "metallic" hum
+     * Select the therapy sound, crossfading to it if a session is running
+     * @param {string} soundType Built-in sound, 'mix' or 'music'
+     * @returns {Promise<void>}
      */
-    createTempleBuffer(duration = 4) {
-        const sampleRate = this.audioContext.sampleRate;
-        const bufferSize = sampleRate * duration;
-        const buffer = this.audioContext.createBuffer(2, bufferSize, sampleRate);
-        for (let channel = 0; channel < 2; channel++) {
-            const data = buffer.getChannelData(channel);
-            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
-            for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
-                b0 = 0.99886 * b0 + white * 0.0555179;
-                b1 = 0.99332 * b1 + white * 0.0750759;
-                b2 = 0.96900 * b2 + white * 0.1538520;
-                b3 = 0.86650 * b3 + white * 0.3104856;
-                b4 = 0.55000 * b4 + white * 0.5329522;
-                b5 = -0.7616 * b5 - white * 0.0168980;
-                let out = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
-                b6 = white * 0.115926;
-                const resonance = Math.sin((i / sampleRate) * Math.PI * 2 * 380) * 0.015;
-                data[i] = out + resonance;
-            }
+    async switchSound(soundType) {
+        // Therapy modes do not use the sound
+        if (!this.isTherapyPlaying || this.therapyMode !== 'notched') {
+            this.currentSound = soundType;
+            return;
         }
-        return buffer;
-    }
 
-    /**
-     * Create notch filter
-     * This is the core of the therapy - removes the tinnitus frequency band
-     */
-    createNotchFilter(frequency, Q = 30) {
-        const filter = this.audioContext.createBiquadFilter();
-        filter.type = 'notch';
-        filter.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-        filter.Q.setValueAtTime(Q, this.audioContext.currentTime);
-        return filter;
+        await this.startTherapy(soundType, true);
     }
 
     /**
-     * Start therapy with selected sound
+     * Build the therapy graph and start a sound
+     * Called through start() and switchSound().
      * @param {string} soundType Type of sound to play
-     * @param {boolean} isSwitching Internal flag for real-time sound switching
+     * @param {boolean} isSwitching Crossfade from the sound already playing
      */
     async startTherapy(soundType = 'whitenoise', isSwitching = false) {
         await this.resumeContext();
 
-        // If already playing and NOT switching, stop therapy
-        if (this.isTherapyPlaying && !isSwitching) {
-            this.stopTherapy();
+        if (this.isTherapyPlaying && !isSwitching) return;
+
+        if (!isSwitching && !(await this.ensureOutputConfirmed())) return;
+
+        const notched = this.therapyMode === 'notched';
+        if (notched && soundType === 'music' && this.playlist.length === 0) {
+            console.warn('Music therapy requested with an empty playlist');
             return;
         }
 
-        // If switching, cleanup the current source before starting new one
-        if (isSwitching && this.therapySource) {
-            try {
-                this.therapySource.stop();
-                this.therapySource.disconnect();
-            } catch (e) { }
+        if (notched && soundType === 'mix' && !this.hasMixLayers()) {
+            console.warn('Mix therapy requested without any layers');
+            return;
         }
 
-        this.currentSound = soundType;
+        // Create the new source before touching the old one, so nothing
+        // changes hands across the wait for the generators
+        const source = notched && soundType === 'music'
+            ? this.createMusicSource()
+            : await this.createTherapySource(soundType);
 
-        // Create audio buffer based on sound type
-        let buffer;
-        switch (soundType) {
-            case 'whitenoise':
-                buffer = this.createWhiteNoiseBuffer(2);
-                break;
-            case 'rain':
-                buffer = this.createRainBuffer(4);
-                break;
-            case 'wave':
-                buffer = this.createWaveBuffer(6);
-                break;
-            case 'forest':
-                buffer = this.createForestBuffer(4);
-                break;
-            case 'night':
-                buffer = this.createNightBuffer(3);
-                break;
-            case 'temple':
-                buffer = this.createTempleBuffer(4);
-                break;
-            default:
-                buffer = this.createWhiteNoiseBuffer(2);
+        // Another start may have finished during the waits above
+        if (this.isTherapyPlaying && !isSwitching) {
+            if (source !== this.musicSource) {
+                this.stopSource(source);
+            }
+            return;
         }
 
-        // Create buffer source
-        this.therapySource = this.audioContext.createBufferSource();
-        this.therapySource.buffer = buffer;
-        this.therapySource.loop = true;
+        // If switching, fade the current source out while the new one fades in
+        const crossfade = isSwitching && this.therapySource !== null;
+        if (crossfade) {
+            this.fadeOutTherapySource();
+        }
 
-        // Create notch filter if it doesn't exist
-        if (!this.notchFilter) {
-            this.notchFilter = this.createNotchFilter(this.currentFrequency);
+        this.currentSound = soundType;
+        this.therapySource = source;
+
+        // Create per-ear notch filters if they don't exist
+        if (!this.earPaths) {
+            this.createEarPaths();
         }
 
-        // Create gain for therapy if it doesn't exist
+        // Create gain for therapy if it doesn't exist, fading in from silence
         if (!this.therapyGain) {
+            const now = this.audioContext.currentTime;
             this.therapyGain = this.audioContext.createGain();
-            this.therapyGain.gain.setValueAtTime(0.7, this.audioContext.currentTime);
+            this.therapyGain.gain.setValueAtTime(this.fadeIn > 0 ? 0 : THERAPY_LEVEL, now);
+            if (this.fadeIn > 0) {
+                this.therapyGain.gain.linearRampToValueAtTime(THERAPY_LEVEL, now + this.fadeIn);
+            }
         }
 
-        // Connect audio graph
-        this.therapySource.connect(this.notchFilter);
-        if (this.notchFilter.numberOfOutputs === 0 || !this.notchFilter.connected) {
-            this.notchFilter.connect(this.therapyGain);
+        this.therapySourceGain = this.audioContext.createGain();
+        if (crossfade) {
+            scheduleEqualPowerFade(this.therapySourceGain.gain, 0, 1, this.audioContext.currentTime, CROSSFADE_TIME);
         }
+
+        // Connect audio graph; therapy modes bypass the notch
+        this.therapySource.connect(this.therapySourceGain);
+        this.therapySourceGain.connect(source.mode ? this.therapyGain : this.therapyInput);
+        this.earMerger.connect(this.therapyGain);
         if (this.therapyGain.numberOfOutputs === 0 || !this.therapyGain.connected) {
             this.therapyGain.connect(this.analyser);
         }
 
         // Start playback
-        this.therapySource.start();
         this.isTherapyPlaying = true;
+        if (source === this.musicSource) {
+            await this.playTrack(this.playlistIndex);
+        } else {
+            this.startSource(this.therapySource);
+        }
 
         // Start timer only if not switching
         if (!isSwitching) {
             this.startTimer();
+            this.setState('playing');
         }
 
-        console.log(`Therapy ${isSwitching ? 'switched to' : 'started with'} ${soundType} at ${this.currentFrequency}Hz (notched)`);
+        const notchInfo = this.perEarMode
+            ? `L ${this.ears.left.frequency}Hz / R ${this.ears.right.frequency}Hz`
+            : `${this.currentFrequency}Hz`;
+        console.log(`Therapy ${isSwitching ? 'switched to' : 'started with'} ${notched ? soundType : this.therapyMode} at ${notchInfo} (${this.therapyMode})`);
     }
 
     /**
-     * Stop therapy
+     * Tear down the therapy graph and end the session
+     * @param {boolean} autoStopped Whether the timer ended the session
      */
-    stopTherapy() {
-        if (this.therapySource) {
-            this.therapySource.stop();
-            this.therapySource.disconnect();
-            this.therapySource = null;
-        }
+    stopTherapy(autoStopped = false) {
+        const session = this.therapyStartTime !== null ? this.getSessionSummary(autoStopped) : null;
 
-        if (this.notchFilter) {
-            this.notchFilter.disconnect();
-            this.notchFilter = null;
-        }
+        clearTimeout(this.fadeTimeout);
+        this.fadeTimeout = null;
+        this.isFadingOut = false;
+
+        this.stopTherapySource();
+
+        this.destroyEarPaths();
 
         if (this.therapyGain) {
             this.therapyGain.disconnect();
@@ -422,51 +2325,180 @@ class TinnitusAudioEngine {
 
         this.isTherapyPlaying = false;
         this.stopTimer();
+        this.therapyStartTime = null;
+        this.setState('stopped');
+
+        if (session) {
+            this.emit('session-end', session);
+        }
+        if (autoStopped) {
+            this.emit('auto-stop', session);
+        }
+        this.stopWaiters.splice(0).forEach(resolve => resolve());
 
         console.log('Therapy stopped');
     }
 
     /**
-     * Start therapy timer
+     * Fade the therapy sound out, then stop
+     * @param {number} duration Fade length in seconds
+     * @param {boolean} autoStopped Whether the timer ended the session
+     * @returns {Promise<void>} Resolves once therapy has stopped
+     */
+    fadeOutTherapy(duration = this.fadeOut, autoStopped = false) {
+        if (!this.isTherapyPlaying) return Promise.resolve();
+
+        // A second request while fading stops right away
+        if (this.isFadingOut || duration <= 0) {
+            this.stopTherapy(autoStopped);
+            return Promise.resolve();
+        }
+
+        this.isFadingOut = true;
+        const gain = this.therapyGain.gain;
+        const now = this.audioContext.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + duration);
+
+        // Resolves on whichever stop ends the fade, this one or an earlier one
+        return new Promise(resolve => {
+            this.stopWaiters.push(resolve);
+            this.fadeTimeout = setTimeout(() => this.stopTherapy(autoStopped), duration * 1000);
+        });
+    }
+
+    /**
+     * Set the session length
+     * @param {number} seconds Length in seconds, 0 for no limit
+     * @param {Object} options
+     * @param {boolean} options.daily The length is a daily total: earlier listening counts toward it
+     */
+    setSessionLength(seconds, { daily = false } = {}) {
+        this.maxDuration = seconds;
+        this.dailyLimit = daily;
+    }
+
+    /**
+     * Set today's listening from earlier sessions
+     * It is added to the tick total, and with a daily length auto-stop ends
+     * therapy once the day's listening reaches it rather than after each session.
+     * @param {number} seconds Seconds already listened
+     */
+    setPriorListening(seconds) {
+        this.priorListening = seconds;
+    }
+
+    /**
+     * Seconds left before auto-stop
+     * @returns {number|null} Remaining seconds, null without a session length
+     */
+    getRemainingTime() {
+        if (this.maxDuration <= 0) return null;
+
+        const listened = this.isTherapyPlaying ? this.therapyDuration : 0;
+        return this.maxDuration - (this.dailyLimit ? this.priorListening : 0) - listened;
+    }
+
+    /**
+     * Set fade-in and fade-out times
+     * @param {number} fadeIn Seconds to fade in when therapy starts
+     * @param {number} fadeOut Seconds to fade out before the session length is reached
+     */
+    setFades(fadeIn, fadeOut) {
+        this.fadeIn = fadeIn;
+        this.fadeOut = fadeOut;
+    }
+
+    /**
+     * Describe the running session for the session log
+     */
+    getSessionSummary(autoStopped) {
+        const endTime = Date.now();
+
+        return {
+            startTime: this.therapyStartTime,
+            endTime,
+            duration: Math.floor(this.getListenedTime() / 1000),
+            sound: this.currentSound,
+            mode: this.therapyMode,
+            frequency: this.currentFrequency,
+            ears: this.perEarMode
+                ? { left: this.ears.left.frequency, right: this.ears.right.frequency }
+                : null,
+            tones: this.extraTones.map(tone => ({ ...tone })),
+            notchWidth: this.notchWidth,
+            notchDepth: this.notchDepth,
+            volume: this.currentVolume,
+            compensation: this.compensation !== null,
+            exposure: this.sessionDose,
+            autoStopped
+        };
+    }
+
+    /**
+     * Start therapy timer for a new session
      */
     startTimer() {
         this.therapyStartTime = Date.now();
-        this.timerInterval = setInterval(() => {
-            this.therapyDuration = Math.floor((Date.now() - this.therapyStartTime) / 1000);
-            this.updateTimerDisplay();
+        this.therapyDuration = 0;
+        this.listenedBefore = 0;
+        this.sessionDose = 0;
+        this.runTimer();
+    }
 
-            // Auto-stop check
-            if (this.therapyDuration >= this.maxDuration) {
-                this.stopTherapy();
-                if (typeof this.onAutoStop === 'function') {
-                    this.onAutoStop();
-                }
-            }
-        }, 1000);
+    /**
+     * Count listening time from now, ticking every second
+     */
+    runTimer() {
+        this.resumedAt = Date.now();
+        this.timerInterval = setInterval(() => this.tick(), 1000);
+    }
+
+    /**
+     * Advance the session by one second
+     * Emits tick with the seconds listened this session (elapsed), including
+     * prior listening (total) and left (remaining, null without a session
+     * length), then starts the auto-stop fade when due.
+     */
+    tick() {
+        this.therapyDuration = Math.floor(this.getListenedTime() / 1000);
+        this.trackExposure(1);
+
+        const remaining = this.getRemainingTime();
+        this.emit('tick', {
+            elapsed: this.therapyDuration,
+            total: this.priorListening + this.therapyDuration,
+            remaining
+        });
+
+        // Auto-stop: fade out so the session ends at the chosen length
+        if (remaining !== null && remaining <= this.fadeOut && !this.isFadingOut) {
+            this.fadeOutTherapy(Math.max(0, remaining), true);
+        }
     }
 
     /**
-     * Stop therapy timer
+     * Stop therapy timer, banking the time listened so far
      */
     stopTimer() {
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
         }
+
+        if (this.resumedAt !== null) {
+            this.listenedBefore += Date.now() - this.resumedAt;
+            this.resumedAt = null;
+        }
     }
 
     /**
-     * Update timer display
+     * Time listened this session, without pauses
+     * @returns {number} Milliseconds
      */
-    updateTimerDisplay() {
-        const minutes = Math.floor(this.therapyDuration / 60);
-        const seconds = this.therapyDuration % 60;
-        const display = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-
-        const timerElement = document.querySelector('.timer-time');
-        if (timerElement) {
-            timerElement.textContent = display;
-        }
+    getListenedTime() {
+        return this.listenedBefore + (this.resumedAt === null ? 0 : Date.now() - this.resumedAt);
     }
 
     /**
@@ -485,18 +2517,38 @@ class TinnitusAudioEngine {
         };
     }
 
+    /**
+     * Get the therapy spectrum for visualization
+     * @returns {{bins: Float32Array, binWidth: number}|null} Level per bin in dB and bin spacing in Hz
+     */
+    getSpectrumData() {
+        if (!this.analyser) return null;
+
+        const bins = new Float32Array(this.analyser.frequencyBinCount);
+        this.analyser.getFloatFrequencyData(bins);
+
+        return {
+            bins,
+            binWidth: this.audioContext.sampleRate / this.analyser.fftSize
+        };
+    }
+
     /**
      * Cleanup
      */
     destroy() {
         this.stopTestTone();
+        this.stopMaskingNoise();
         this.stopTherapy();
 
+        if (this.outputElement) {
+            this.outputElement.pause();
+        }
+
         if (this.audioContext) {
             this.audioContext.close();
         }
     }
 }
 
-// Export for use in app.js
-window.TinnitusAudioEngine = TinnitusAudioEngine;
+export { TinnitusAudioEngine, NotchBand, NOTCH_ORDER };
@@ -0,0 +1,22 @@
+/**
+ * Tinnitus Care - Audio Parameters
+ * Parameter smoothing shared by the audio engine and the therapy modes
+ */
+
+// Time constant for parameter changes while sound plays (seconds)
+const PARAM_SMOOTHING = 0.02;
+
+/**
+ * Move an AudioParam to a value, gliding unless `smoothing` is 0
+ * A short exponential approach avoids the zipper noise of stepped changes
+ * while a slider is dragged.
+ */
+function setParam(param, value, time, smoothing = PARAM_SMOOTHING) {
+    if (smoothing > 0) {
+        param.setTargetAtTime(value, time, smoothing);
+    } else {
+        param.setValueAtTime(value, time);
+    }
+}
+
+export { PARAM_SMOOTHING, setParam };
@@ -0,0 +1,166 @@
+/**
+ * Tinnitus Care - Clinician Report
+ * Summaries and CSV tables of an exported backup for ENT visits
+ */
+
+const ClinicianReport = {
+    /**
+     * Listening totals over all sessions
+     * @returns {{count: number, seconds: number, days: number, first: ?number, last: ?number}}
+     *   first/last are session start times
+     */
+    sessionSummary(sessions) {
+        const days = new Set(sessions.map(session => toDateKey(new Date(session.startTime))));
+
+        return {
+            count: sessions.length,
+            seconds: sessions.reduce((total, session) => total + session.duration, 0),
+            days: days.size,
+            first: sessions.length ? sessions[0].startTime : null,
+            last: sessions.length ? sessions[sessions.length - 1].startTime : null
+        };
+    },
+
+    /**
+     * Average before/after ratings per calendar month
+     * @returns {Array<{month: string, before: ?{loudness: number, annoyance: number, count: number},
+     *   after: ?{loudness: number, annoyance: number, count: number}}>} Oldest month first
+     */
+    monthlyRatings(ratings) {
+        const months = {};
+        ratings.forEach(rating => {
+            const month = toDateKey(new Date(rating.time)).slice(0, 7);
+            const groups = months[month] = months[month] || { before: [], after: [] };
+            groups[rating.phase].push(rating);
+        });
+
+        const average = (items) => items.length === 0 ? null : {
+            loudness: items.reduce((sum, item) => sum + item.loudness, 0) / items.length,
+            annoyance: items.reduce((sum, item) => sum + item.annoyance, 0) / items.length,
+            count: items.length
+        };
+
+        return Object.keys(months).sort().map(month => ({
+            month,
+            before: average(months[month].before),
+            after: average(months[month].after)
+        }));
+    },
+
+    /**
+     * The backup as CSV: one titled table each for the profile, frequency
+     * matches, sessions, THI scores and ratings, headed in the current language
+     * @param {Object} backup From TinnitusDataStore.exportData
+     * @returns {string}
+     */
+    toCsv(backup) {
+        const { profile = {}, sessions = [], thi = [], ratings = [] } = backup.data;
+        const ears = profile.perEarMode ? profile.ears : null;
+
+        const tables = [
+            [t('csv.profile'), [
+                [t('csv.field'), t('csv.value')],
+                [t('csv.frequency'), ears ? '' : profile.frequency],
+                [t('csv.leftFrequency'), ears ? ears.left.frequency : ''],
+                [t('csv.rightFrequency'), ears ? ears.right.frequency : ''],
+                [t('csv.notchWidth'), profile.notchWidth],
+                [t('csv.tones'), this.formatTones(profile.tones)],
+                [t('csv.notchDepth'), profile.notchDepth],
+                [t('csv.volume'), profile.volume === undefined ? '' : Math.round(profile.volume * 100)],
+                [t('compensation.name'), t(profile.compensation ? 'common.on' : 'common.off')],
+                [t('csv.loudness'), profile.loudness ? profile.loudness.sensationLevel : ''],
+                [t('csv.masking'), profile.loudness ? profile.loudness.maskingSensationLevel : '']
+            ]],
+            [t('csv.matches'), [
+                [t('csv.time'), t('csv.ear'), t('csv.frequency'), t('csv.low'), t('csv.high'), t('csv.spread'), t('csv.stimulus')],
+                ...(profile.matches || []).map(match => [
+                    this.formatTime(match.time),
+                    t(match.ear ? `common.${match.ear}` : 'common.both'),
+                    Math.round(match.frequency),
+                    Math.round(match.low),
+                    Math.round(match.high),
+                    match.spread.toFixed(2),
+                    match.stimulus ? match.stimulus.type : ''
+                ])
+            ]],
+            [t('csv.sessions'), [
+                [
+                    t('csv.start'), t('csv.end'), t('csv.minutes'), t('csv.sound'), t('csv.mode'), t('csv.frequency'), t('csv.left'),
+                    t('csv.right'), t('csv.tones'), t('csv.notchWidth'), t('csv.notchDepth'), t('csv.volume'), t('csv.compensation'),
+                    t('csv.autoStopped')
+                ],
+                ...sessions.map(session => [
+                    this.formatTime(session.startTime),
+                    this.formatTime(session.endTime),
+                    (session.duration / 60).toFixed(1),
+                    session.sound,
+                    session.mode || 'notched',
+                    session.ears ? '' : session.frequency,
+                    session.ears ? session.ears.left : '',
+                    session.ears ? session.ears.right : '',
+                    this.formatTones(session.tones),
+                    session.notchWidth,
+                    session.notchDepth,
+                    Math.round(session.volume * 100),
+                    session.compensation ? 'Y' : 'N',
+                    session.autoStopped ? 'Y' : 'N'
+                ])
+            ]],
+            [t('csv.thi'), [
+                [t('csv.time'), t('csv.total'), t('csv.functional'), t('csv.emotional'), t('csv.catastrophic'), t('csv.grade'), t('csv.severity')],
+                ...thi.map(result => [
+                    this.formatTime(result.time),
+                    result.total,
+                    result.subscales.F,
+                    result.subscales.E,
+                    result.subscales.C,
+                    result.grade,
+                    t(`thi.grade.${result.grade}`)
+                ])
+            ]],
+            [t('csv.ratings'), [
+                [t('csv.time'), t('csv.phase'), t('csv.loudnessRating'), t('csv.annoyanceRating')],
+                ...ratings.map(rating => [
+                    this.formatTime(rating.time),
+                    t(`rating.phase.${rating.phase}`),
+                    rating.loudness,
+                    rating.annoyance
+                ])
+            ]]
+        ];
+
+        return tables
+            .map(([title, rows]) => [[title], ...rows].map(row => row.map(this.escapeCsv).join(',')).join('\r\n'))
+            .join('\r\n\r\n') + '\r\n';
+    },
+
+    /**
+     * Quote a CSV field when needed
+     */
+    escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Extra tinnitus tones as "frequency/width" pairs, e.g. 1000Hz/0.5oct 300Hz/1oct
+     */
+    formatTones(tones = []) {
+        return tones.map(tone => `${tone.frequency}Hz/${tone.width}oct`).join(' ');
+    },
+
+    /**
+     * Local date and time as YYYY-MM-DD HH:MM
+     */
+    formatTime(time) {
+        if (!time) return '';
+
+        const date = new Date(time);
+        const hours = String(date.getHours()).padStart(2, '0');
+        const minutes = String(date.getMinutes()).padStart(2, '0');
+        return `${toDateKey(date)} ${hours}:${minutes}`;
+    }
+};
+
+// Export for use in app.js
+window.ClinicianReport = ClinicianReport;
@@ -0,0 +1,515 @@
+/**
+ * Tinnitus Care - Data Store
+ * Local persistence for therapy sessions, outcomes and reports
+ */
+
+// Prefix for every localStorage key owned by the app
+const STORAGE_PREFIX = 'tinnitusCare.';
+
+// Keys carried by a backup, and its format tag and version
+const BACKUP_KEYS = ['settings', 'profile', 'sessions', 'thi', 'ratings', 'blends', 'exposure', 'program'];
+const BACKUP_FORMAT = 'tinnitus-care-backup';
+const BACKUP_VERSION = 1;
+
+// Defaults for user settings
+const DEFAULT_SETTINGS = {
+    language: '', // 'ko', 'en', or '' to follow the browser
+    askRatings: true,
+    therapyMode: 'notched', // 'notched' or a mode id from therapy-modes.js
+    sessionLength: 'goal', // daily listening in seconds, 0 for no limit, 'goal' for the daily goal
+    fadeIn: 10, // seconds
+    fadeOut: 60, // seconds
+    visualizerMode: 'spectrum', // 'waveform', 'spectrum' or 'spectrogram'
+    maxVolume: 1, // ceiling for the volume slider, 0-1
+    outputDeviceId: '', // chosen audio output, '' for the system default
+    remindersEnabled: false,
+    reminderTimes: ['20:00'] // local HH:MM times for daily reminders
+};
+
+// Defaults for the therapy profile
+const DEFAULT_PROFILE = {
+    frequency: 4000,
+    perEarMode: false,
+    ears: {
+        left: { frequency: 4000, volume: 1 },
+        right: { frequency: 4000, volume: 1 }
+    },
+    notchWidth: 1.0,
+    notchDepth: 40,
+    tones: [], // further tinnitus tones { frequency, width }, each with its own notch
+    volume: 0.5,
+    loudness: null, // last loudness match / minimum masking level measurement
+    audiogram: null, // last hearing screening
+    compensation: false, // hearing compensation EQ enabled
+    testToneType: 'pure',
+    testNoiseBandwidth: 1 / 3,
+    mixLayers: { rain: 0.7, temple: 0.5 }, // level 0-1 per sound in the mixer
+    matches: []
+};
+
+// Shape checks for each backup key, so a restored backup cannot break the app on reload.
+// Every field the app reads is checked; fields with a default must keep its type.
+const BACKUP_VALIDATORS = {
+    settings: value => isObject(value) &&
+        matchesDefaults(value, DEFAULT_SETTINGS, { sessionLength: length => length === 'goal' || isNumber(length) }) &&
+        (!('reminderTimes' in value) || isArrayOf(value.reminderTimes, time => typeof time === 'string')),
+    profile: value => isObject(value) &&
+        matchesDefaults(value, DEFAULT_PROFILE, {
+            ears: ears => isObject(ears) && isEar(ears.left) && isEar(ears.right),
+            tones: tones => isArrayOf(tones, tone => isObject(tone) && isNumber(tone.frequency) && isNumber(tone.width)),
+            loudness: isLoudnessResult,
+            audiogram: isAudiogram,
+            mixLayers: layers => isObject(layers) && Object.values(layers).every(isNumber),
+            matches: matches => isArrayOf(matches, isMatch)
+        }),
+    sessions: value => isArrayOf(value, isSession),
+    thi: value => isArrayOf(value, isThiResult),
+    ratings: value => isArrayOf(value, rating => isObject(rating) && isNumber(rating.time) &&
+        typeof rating.phase === 'string' && isNumber(rating.loudness) && isNumber(rating.annoyance)),
+    blends: value => isArrayOf(value, blend => isObject(blend) && typeof blend.name === 'string' &&
+        isObject(blend.layers) && Object.values(blend.layers).every(isNumber)),
+    exposure: value => isObject(value) && Object.values(value).every(isNumber),
+    program: value => value === null ||
+        (isObject(value) && typeof value.id === 'string' && typeof value.startDate === 'string')
+};
+
+class TinnitusDataStore {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Read a JSON value from storage
+     */
+    read(key, fallback) {
+        try {
+            const raw = this.storage.getItem(STORAGE_PREFIX + key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            console.error(`Failed to read ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a JSON value to storage
+     */
+    write(key, value) {
+        try {
+            this.storage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+        } catch (error) {
+            console.error(`Failed to write ${key}:`, error);
+        }
+    }
+
+    /**
+     * Everything the app has stored, for export or moving to another device
+     * @returns {{format: string, version: number, exportedAt: string, data: Object}}
+     */
+    exportData() {
+        const data = {};
+        BACKUP_KEYS.forEach(key => {
+            const value = this.read(key, null);
+            if (value !== null) {
+                data[key] = value;
+            }
+        });
+
+        return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+    }
+
+    /**
+     * Replace all stored data with a backup from exportData
+     * Keys missing from the backup are cleared.
+     */
+    importData(backup) {
+        if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.data !== 'object' || backup.data === null) {
+            throw new Error('Not a Tinnitus Care backup');
+        }
+        if (backup.version > BACKUP_VERSION) {
+            throw new Error(`Unsupported backup version ${backup.version}`);
+        }
+        // Check every key first so a bad backup leaves the stored data untouched
+        BACKUP_KEYS.forEach(key => {
+            if (key in backup.data && !BACKUP_VALIDATORS[key](backup.data[key])) {
+                throw new Error(`Invalid ${key} in backup`);
+            }
+        });
+
+        BACKUP_KEYS.forEach(key => {
+            if (key in backup.data) {
+                this.write(key, backup.data[key]);
+            } else {
+                this.storage.removeItem(STORAGE_PREFIX + key);
+            }
+        });
+    }
+
+    /**
+     * Get all recorded sessions, oldest first
+     */
+    getSessions() {
+        return this.read('sessions', []);
+    }
+
+    /**
+     * Record a finished therapy session
+     * @param {Object} session Summary from the engine's session-end event
+     */
+    addSession(session) {
+        const sessions = this.getSessions();
+        sessions.push({ id: `${session.startTime}`, ...session });
+        this.write('sessions', sessions);
+    }
+
+    /**
+     * Get user settings merged over defaults
+     */
+    getSettings() {
+        return { ...DEFAULT_SETTINGS, ...this.read('settings', {}) };
+    }
+
+    /**
+     * Update some user settings
+     */
+    updateSettings(changes) {
+        this.write('settings', { ...this.getSettings(), ...changes });
+    }
+
+    /**
+     * Get the therapy profile merged over defaults
+     */
+    getProfile() {
+        return { ...DEFAULT_PROFILE, ...this.read('profile', {}) };
+    }
+
+    /**
+     * Update some profile fields
+     */
+    updateProfile(changes) {
+        this.write('profile', { ...this.getProfile(), ...changes });
+    }
+
+    /**
+     * Record a guided frequency match in the profile
+     */
+    addMatch(match) {
+        const { matches } = this.getProfile();
+        this.updateProfile({ matches: [...matches, match] });
+    }
+
+    /**
+     * Daily sound exposure dose for one day
+     * @returns {number} Fraction of the daily allowance, 1 = 100%
+     */
+    getExposure(date = new Date()) {
+        return this.read('exposure', {})[toDateKey(date)] || 0;
+    }
+
+    /**
+     * Add to a day's sound exposure dose
+     */
+    addExposure(dose, date = new Date()) {
+        const exposure = this.read('exposure', {});
+        const key = toDateKey(date);
+        exposure[key] = (exposure[key] || 0) + dose;
+        this.write('exposure', exposure);
+    }
+
+    /**
+     * Current treatment program
+     * @returns {?{id: string, startDate: string}} Start date as YYYY-MM-DD
+     */
+    getProgram() {
+        return this.read('program', null);
+    }
+
+    /**
+     * Start a treatment program on a day, replacing the current one
+     */
+    startProgram(id, date = new Date()) {
+        this.write('program', { id, startDate: toDateKey(date) });
+    }
+
+    /**
+     * Leave the current treatment program
+     */
+    stopProgram() {
+        this.write('program', null);
+    }
+
+    /**
+     * Get saved soundscape blends, oldest first
+     * @returns {Array<{name: string, layers: Object<string, number>}>}
+     */
+    getBlends() {
+        return this.read('blends', []);
+    }
+
+    /**
+     * Save a named blend, replacing one with the same name
+     */
+    saveBlend(blend) {
+        const blends = this.getBlends().filter(saved => saved.name !== blend.name);
+        blends.push(blend);
+        this.write('blends', blends);
+    }
+
+    /**
+     * Delete a saved blend by name
+     */
+    removeBlend(name) {
+        this.write('blends', this.getBlends().filter(blend => blend.name !== name));
+    }
+
+    /**
+     * Get Tinnitus Handicap Inventory results, oldest first
+     */
+    getThiResults() {
+        return this.read('thi', []);
+    }
+
+    /**
+     * Record a scored THI questionnaire
+     */
+    addThiResult(result) {
+        const results = this.getThiResults();
+        results.push(result);
+        this.write('thi', results);
+    }
+
+    /**
+     * Get loudness/annoyance ratings, oldest first
+     */
+    getRatings() {
+        return this.read('ratings', []);
+    }
+
+    /**
+     * Record a 0-10 loudness/annoyance rating
+     * @param {{time: number, phase: string, loudness: number, annoyance: number}} rating
+     */
+    addRating(rating) {
+        const ratings = this.getRatings();
+        ratings.push(rating);
+        this.write('ratings', ratings);
+    }
+
+    /**
+     * Average ratings per day for one phase
+     * @param {number} days Number of days ending today
+     * @param {string} phase 'before' or 'after' a session
+     * @returns {Array<{key: string, date: Date, loudness: ?number, annoyance: ?number}>}
+     */
+    getDailyRatings(days, phase, today = new Date()) {
+        const groups = {};
+        this.getRatings()
+            .filter(rating => rating.phase === phase)
+            .forEach(rating => {
+                const key = toDateKey(new Date(rating.time));
+                (groups[key] = groups[key] || []).push(rating);
+            });
+
+        const average = (items, field) => items.reduce((sum, item) => sum + item[field], 0) / items.length;
+
+        return lastDays(days, today).map(date => {
+            const key = toDateKey(date);
+            const items = groups[key];
+            return {
+                key,
+                date,
+                loudness: items ? average(items, 'loudness') : null,
+                annoyance: items ? average(items, 'annoyance') : null
+            };
+        });
+    }
+
+    /**
+     * Matched frequency per day, taken from that day's last session
+     * @returns {Array<{key: string, date: Date, frequency: ?number, left: ?number, right: ?number}>}
+     */
+    getDailyFrequencies(days, today = new Date()) {
+        const latest = {};
+        this.getSessions().forEach(session => {
+            latest[toDateKey(new Date(session.startTime))] = session;
+        });
+
+        return lastDays(days, today).map(date => {
+            const key = toDateKey(date);
+            const session = latest[key];
+            return {
+                key,
+                date,
+                frequency: session && !session.ears ? session.frequency : null,
+                left: session && session.ears ? session.ears.left : null,
+                right: session && session.ears ? session.ears.right : null
+            };
+        });
+    }
+
+    /**
+     * Total listening seconds per day
+     * @param {number} days Number of days ending today
+     * @returns {Array<{key: string, date: Date, seconds: number}>}
+     */
+    getDailyTotals(days, today = new Date()) {
+        const totals = this.sumByKey(toDateKey);
+
+        return lastDays(days, today).map(date => {
+            const key = toDateKey(date);
+            return { key, date, seconds: totals[key] || 0 };
+        });
+    }
+
+    /**
+     * Total listening seconds per week (weeks start on Monday)
+     * @param {number} weeks Number of weeks ending with the current week
+     */
+    getWeeklyTotals(weeks, today = new Date()) {
+        const totals = this.sumByKey(date => toDateKey(startOfWeek(date)));
+        const currentWeek = startOfWeek(today);
+
+        return Array.from({ length: weeks }, (_, i) => {
+            const date = new Date(currentWeek.getFullYear(), currentWeek.getMonth(), currentWeek.getDate() - (weeks - 1 - i) * 7);
+            const key = toDateKey(date);
+            return { key, date, seconds: totals[key] || 0 };
+        });
+    }
+
+    /**
+     * Total listening seconds per calendar month
+     * @param {number} months Number of months ending with the current month
+     */
+    getMonthlyTotals(months, today = new Date()) {
+        const totals = this.sumByKey(date => toDateKey(date).slice(0, 7));
+
+        return Array.from({ length: months }, (_, i) => {
+            const date = new Date(today.getFullYear(), today.getMonth() - (months - 1 - i), 1);
+            const key = toDateKey(date).slice(0, 7);
+            return { key, date, seconds: totals[key] || 0 };
+        });
+    }
+
+    /**
+     * Sum session durations grouped by a key derived from the start date
+     */
+    sumByKey(keyOf) {
+        return this.getSessions().reduce((totals, session) => {
+            const key = keyOf(new Date(session.startTime));
+            totals[key] = (totals[key] || 0) + session.duration;
+            return totals;
+        }, {});
+    }
+}
+
+/**
+ * Plain object, not null or an array
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Finite number
+ */
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Array whose every item passes `check`
+ */
+function isArrayOf(value, check) {
+    return Array.isArray(value) && value.every(item => check(item));
+}
+
+/**
+ * Per-ear profile settings with a matched frequency
+ */
+function isEar(value) {
+    return isObject(value) && isNumber(value.frequency);
+}
+
+/**
+ * Every field of `value` that has a default is checked by its entry in `checks`,
+ * or else must have the default's type (numbers must be finite)
+ */
+function matchesDefaults(value, defaults, checks = {}) {
+    return Object.keys(defaults).every(key => {
+        if (!(key in value)) return true;
+        if (checks[key]) return checks[key](value[key]);
+        return typeof defaults[key] === 'number' ? isNumber(value[key]) : typeof value[key] === typeof defaults[key];
+    });
+}
+
+/**
+ * Guided frequency match as saved by the wizard
+ */
+function isMatch(value) {
+    return isObject(value) && isNumber(value.time) && isNumber(value.frequency) &&
+        isNumber(value.low) && isNumber(value.high) && isNumber(value.spread);
+}
+
+/**
+ * Loudness match / minimum masking level measurement, or null before the first one
+ */
+function isLoudnessResult(value) {
+    return value === null || (isObject(value) && isNumber(value.frequency) && isNumber(value.sensationLevel) &&
+        isNumber(value.maskingSensationLevel) && isNumber(value.suggestedVolume));
+}
+
+/**
+ * Hearing screening result, or null before the first one
+ */
+function isAudiogram(value) {
+    return value === null || (isObject(value) && isNumber(value.time) && isObject(value.levels) &&
+        isObject(value.levels.left) && isObject(value.levels.right));
+}
+
+/**
+ * Logged therapy session
+ */
+function isSession(value) {
+    return isObject(value) && isNumber(value.startTime) && isNumber(value.duration) &&
+        (value.ears ? isNumber(value.ears.left) && isNumber(value.ears.right) : isNumber(value.frequency)) &&
+        isNumber(value.notchWidth) && isNumber(value.notchDepth) && isNumber(value.volume) &&
+        (!('tones' in value) || isArrayOf(value.tones, tone => isObject(tone) && isNumber(tone.frequency)));
+}
+
+/**
+ * Scored THI questionnaire
+ */
+function isThiResult(value) {
+    return isObject(value) && isNumber(value.time) && isNumber(value.total) &&
+        Number.isInteger(value.grade) && value.grade >= 1 && value.grade <= 5 &&
+        isObject(value.subscales) && ['F', 'E', 'C'].every(subscale => isNumber(value.subscales[subscale]));
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Midnight of each of the last `days` days, ending with `today`
+ */
+function lastDays(days, today) {
+    return Array.from({ length: days }, (_, i) =>
+        new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i))
+    );
+}
+
+/**
+ * Monday of the week containing `date`
+ */
+function startOfWeek(date) {
+    const offset = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+}
+
+// Export for use in app.js
+window.TinnitusDataStore = TinnitusDataStore;
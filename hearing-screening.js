@@ -0,0 +1,72 @@
+/**
+ * Tinnitus Care - Hearing Screening
+ * Audiometric test frequencies, relative hearing levels and compensation EQ gains
+ */
+
+const HearingScreening = {
+    /**
+     * Test frequencies in Hz, low to high
+     */
+    FREQUENCIES: [250, 500, 1000, 2000, 3000, 4000, 6000, 8000, 10000, 12000],
+
+    /**
+     * Normal-hearing headphone thresholds relative to 1 kHz in dB
+     * (reference threshold levels of ISO 389-1/-5), so a flat hearing
+     * level means typical hearing
+     */
+    REFERENCE_LEVELS: {
+        250: 18.5, 500: 4.5, 1000: 0, 2000: 2, 3000: 3,
+        4000: 2.5, 6000: 8.5, 8000: 6, 10000: 16.5, 12000: 22.5
+    },
+
+    /**
+     * Largest compensation boost in dB
+     */
+    MAX_BOOST: 20,
+
+    /**
+     * Relative hearing levels from raw thresholds
+     * Browsers cannot be calibrated to dB HL, so levels are relative to the
+     * best-hearing point of both ears: 0 is the best, higher is worse.
+     * @param {{left: Object<number, ?number>, right: Object<number, ?number>}} thresholds
+     *   Threshold in dBFS per frequency and ear; null when nothing was heard
+     * @param {number} maxLevel Loudest tested level, used for no response
+     * @returns {{left: Object<number, number>, right: Object<number, number>}}
+     */
+    hearingLevels(thresholds, maxLevel) {
+        const normalized = {};
+        ['left', 'right'].forEach(ear => {
+            normalized[ear] = {};
+            this.FREQUENCIES.forEach(frequency => {
+                const threshold = thresholds[ear][frequency];
+                normalized[ear][frequency] = (threshold === null ? maxLevel : threshold) - this.REFERENCE_LEVELS[frequency];
+            });
+        });
+
+        const best = Math.min(...Object.values(normalized.left), ...Object.values(normalized.right));
+        ['left', 'right'].forEach(ear => {
+            this.FREQUENCIES.forEach(frequency => {
+                normalized[ear][frequency] = Math.round(normalized[ear][frequency] - best);
+            });
+        });
+
+        return normalized;
+    },
+
+    /**
+     * Compensation EQ bands by the half-gain rule
+     * @param {{left: Object<number, number>, right: Object<number, number>}} levels Relative hearing levels
+     * @returns {{left: Array<{frequency: number, gain: number}>, right: Array<{frequency: number, gain: number}>}}
+     */
+    compensation(levels) {
+        const bands = ear => this.FREQUENCIES.map(frequency => ({
+            frequency,
+            gain: Math.min(this.MAX_BOOST, Math.round(levels[ear][frequency] / 2))
+        }));
+
+        return { left: bands('left'), right: bands('right') };
+    }
+};
+
+// Export for use in app.js
+window.HearingScreening = HearingScreening;
@@ -0,0 +1,136 @@
+/**
+ * Tinnitus Care - Localization
+ * String catalogs, language detection, page translation and locale-aware formatting
+ */
+
+const I18n = {
+    /**
+     * Supported languages with their BCP 47 locale and native name
+     */
+    LANGUAGES: {
+        ko: { locale: 'ko-KR', name: '한국어' },
+        en: { locale: 'en-US', name: 'English' }
+    },
+
+    DEFAULT_LANGUAGE: 'ko',
+
+    /**
+     * Element attributes translated from data-i18n-<attribute>
+     */
+    ATTRIBUTES: ['placeholder', 'title', 'aria-label', 'alt', 'content'],
+
+    catalogs: {},
+    language: 'ko',
+
+    /**
+     * Register the strings of one language
+     * Values are strings with {name} placeholders, or plural forms by
+     * Intl.PluralRules category ({one, other}) chosen by the `count` parameter.
+     */
+    addCatalog(language, strings) {
+        this.catalogs[language] = { ...this.catalogs[language], ...strings };
+    },
+
+    /**
+     * First supported language among the user's preferences
+     * @param {string[]} preferred BCP 47 tags, most preferred first
+     */
+    detect(preferred = navigator.languages || [navigator.language]) {
+        const match = preferred
+            .map(tag => String(tag).toLowerCase().split('-')[0])
+            .find(language => language in this.LANGUAGES);
+        return match || this.DEFAULT_LANGUAGE;
+    },
+
+    /**
+     * Switch language and translate the page
+     */
+    setLanguage(language) {
+        this.language = language in this.LANGUAGES ? language : this.DEFAULT_LANGUAGE;
+        document.documentElement.lang = this.language;
+        this.apply();
+    },
+
+    /**
+     * BCP 47 locale of the current language
+     */
+    locale() {
+        return this.LANGUAGES[this.language].locale;
+    },
+
+    /**
+     * Translate a key, falling back to the default language, then the key itself
+     * @param {string} key Catalog key
+     * @param {Object} params Values for {name} placeholders
+     */
+    t(key, params = {}) {
+        let value = this.lookup(this.language, key);
+        if (value === undefined) {
+            value = this.lookup(this.DEFAULT_LANGUAGE, key);
+        }
+        if (value === undefined) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+
+        if (typeof value === 'object') {
+            const category = new Intl.PluralRules(this.locale()).select(params.count);
+            value = value[category] || value.other;
+        }
+
+        return value.replace(/\{(\w+)\}/g, (placeholder, name) => name in params ? params[name] : placeholder);
+    },
+
+    lookup(language, key) {
+        const catalog = this.catalogs[language];
+        return catalog ? catalog[key] : undefined;
+    },
+
+    /**
+     * Translate elements marked with data-i18n (text), data-i18n-html
+     * (trusted catalog markup) and data-i18n-<attribute>
+     * Placeholder values for data-i18n come from data-i18n-params as JSON.
+     */
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            element.textContent = this.t(element.dataset.i18n, params);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+        this.ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    },
+
+    /**
+     * Number in the current locale
+     * @param {Intl.NumberFormatOptions} options
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale(), options).format(value);
+    },
+
+    /**
+     * Date and/or time in the current locale
+     * @param {Date|number} date
+     * @param {Intl.DateTimeFormatOptions} options
+     */
+    formatDate(date, options = {}) {
+        return new Intl.DateTimeFormat(this.locale(), options).format(date);
+    }
+};
+
+/**
+ * Shorthand for I18n.t
+ */
+function t(key, params) {
+    return I18n.t(key, params);
+}
+
+// Export for use in the other scripts
+window.I18n = I18n;
+window.t = t;
@@ -0,0 +1,505 @@
+/**
+ * Tinnitus Care - English strings
+ */
+
+I18n.addCatalog('en', {
+    // App
+    'app.title': 'Tinnitus Care Plus - Your ear health companion, always by your side',
+    'app.description': 'Manage tinnitus with scientifically validated notched sound therapy. A treatment program tailored to you.',
+    'app.name': 'Tinnitus Care Plus',
+    'app.tagline': 'Your ear health companion, always by your side',
+    'app.language': 'Language',
+
+    // Common
+    'common.volume': 'Volume',
+    'common.left': 'Left',
+    'common.right': 'Right',
+    'common.both': 'Both',
+    'common.none': 'None',
+    'common.begin': 'Begin',
+    'common.save': 'Save',
+    'common.skip': 'Skip',
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.delete': 'Delete',
+    'common.heard': 'I hear it',
+    'common.on': 'On',
+    'common.off': 'Off',
+    'common.saved': '{fileName} saved',
+    'common.octaves': '{value} octaves',
+    'common.dbSl': '{level} dB SL',
+    'common.days': { one: '{count} day', other: '{count} days' },
+    'common.frequencyMatching': 'Frequency matching',
+
+    // Durations
+    'duration.hoursMinutes': '{hours} h {minutes} min',
+    'duration.minutes': '{minutes} min',
+    'duration.seconds': '{seconds} s',
+
+    // Navigation
+    'nav.home': 'Home',
+    'nav.therapy': 'Start therapy',
+    'nav.therapyShort': 'Therapy',
+    'nav.history': 'Therapy log',
+    'nav.historyShort': 'Log',
+    'nav.about': 'About',
+    'nav.aboutShort': 'About',
+    'nav.guide': 'User guide',
+    'nav.guideShort': 'Guide',
+
+    // Hero
+    'hero.title': '<span class="gradient-text">Tinnitus Care Plus</span><br>Your ear health companion, always by your side',
+    'hero.subtitle': 'Manage your tinnitus effectively<br>with scientifically validated notched sound therapy',
+    'hero.start': 'Start for free',
+    'hero.learn': 'Learn more',
+    'hero.imageAlt': 'Tinnitus Care Plus character',
+
+    // Therapy section
+    'therapy.title': 'Start your personal therapy',
+    'therapy.subtitle': 'Tinnitus care in three simple steps',
+    'therapy.start': 'Start therapy',
+    'therapy.stop': 'Stop therapy',
+    'therapy.pause': 'Pause',
+    'therapy.resume': 'Resume',
+    'therapy.limitReached': 'You have already listened for today\'s {minutes} minutes. Choose a longer time or No limit to keep listening.',
+    'timer.today': 'Today {total} / {goal}',
+    'therapy.comfortable': 'Listen at a comfortable volume.',
+    'therapy.description': 'Listen for 30 minutes a day, at a time that suits you',
+
+    // Frequency matching
+    'frequency.title': 'Find your tinnitus frequency',
+    'frequency.description': 'Move the slider to find the frequency that sounds most like your tinnitus',
+    'preset.hum': 'Hum',
+    'preset.beep': 'Beep',
+    'preset.cicada': 'Cicada',
+    'preset.hiss': 'Hiss',
+    'earMode.both': 'Same for both',
+    'earMode.split': 'Each ear',
+    'ear.left': 'Left ear',
+    'ear.right': 'Right ear',
+    'testTone.play': 'Play test tone',
+    'testTone.stop': 'Stop test tone',
+    'testTone.type': 'Test sound',
+    'testTone.pure': 'Pure tone',
+    'testTone.pulsed': 'Pulsed',
+    'testTone.warble': 'Warble',
+    'testTone.noise': 'Narrowband noise',
+    'testTone.mixed': 'Tone + noise',
+    'testTone.bandwidth': 'Noise bandwidth',
+    'testTone.hint': 'Tinnitus without a clear pitch, like a hiss, may sound closer to narrowband noise.',
+    'notch.width': 'Notch width',
+    'notch.depth': 'Notch depth',
+    'tones.title': 'More tinnitus tones',
+    'tones.hint': 'If you hear two or more tones, such as a whistle and a low hum, add each one and match it separately with the test tone. Every tone is notched out.',
+    'tones.add': '+ Add a tone',
+    'tones.label': 'Tone {number}',
+    'tones.value': '{frequency}Hz ({width} octaves)',
+    'output.open': '🎧 Output device · left/right check',
+    'wizard.open': '🧭 Step-by-step frequency finder',
+    'loudness.open': '📏 Tinnitus loudness · masking level',
+    'screening.open': '👂 Hearing screening',
+
+    // Sounds
+    'sound.title': 'Choose a therapy sound',
+    'sound.description': 'Pick a sound you can listen to in comfort',
+    'sound.whitenoise': 'White noise',
+    'sound.rain': 'Rain',
+    'sound.forest': 'Forest breeze',
+    'sound.temple': 'Wind chimes',
+    'sound.night': 'Night insects',
+    'sound.wave': 'Waves',
+    'sound.mix': 'My mix',
+    'sound.music': 'My music',
+    'sound.whitenoise.description': 'Even across frequencies',
+    'sound.rain.description': 'Sounds of nature',
+    'sound.forest.description': 'Bamboo forest',
+    'sound.temple.description': 'Temple calm',
+    'sound.night.description': 'Countryside night',
+    'sound.wave.description': 'Seaside peace',
+    'sound.mix.description': 'Layer several sounds and save them as a blend',
+    'sound.music.description': 'The notch filter on your favourite music',
+    'sound.selected': 'Selected sound:',
+
+    'mode.label': 'Therapy mode',
+    'mode.notched': 'Notched sound',
+    'mode.cr': 'CR tone sequence',
+    'mode.masking': 'Partial masking noise',
+    'mode.am': 'AM tone',
+    'mode.notched.description': 'Plays the chosen sound with the tinnitus band removed',
+    'mode.cr.description': 'Plays four tones around your tinnitus pitch in random order (3 cycles on, 2 off)',
+    'mode.masking.description': 'Plays noise over the tinnitus band. Set the volume so the tinnitus is still just audible',
+    'mode.am.description': 'Plays a tone at your tinnitus pitch, pulsing 40 times a second',
+
+    // Mixer
+    'mixer.namePlaceholder': 'Blend name (e.g. Chimes in the rain)',
+    'mixer.save': '💾 Save blend',
+    'mixer.empty': 'Turn on at least one sound in the mix first',
+    'mixer.nameRequired': 'Enter a name for the blend',
+    'mixer.saved': 'Saved the blend \'{name}\'',
+
+    // Music
+    'music.add': '🎵 Add music files',
+    'music.hint': 'MP3 · AAC · WAV · FLAC · files never leave your device',
+    'music.empty': 'No music added yet',
+    'music.previous': 'Previous track',
+    'music.next': 'Next track',
+    'music.shuffle': '🔀 Shuffle',
+    'music.repeat.off': '🔁 Repeat off',
+    'music.repeat.all': '🔁 Repeat all',
+    'music.repeat.one': '🔂 Repeat one',
+    'music.addFirst': 'Add music files first',
+    'music.unsupported': 'Unsupported file format: {files}',
+
+    // Therapy controls
+    'visualizer.waveform': 'Waveform',
+    'visualizer.spectrum': 'Spectrum',
+    'visualizer.spectrogram': 'Spectrogram',
+    'visualizer.idle': 'Press the button below to start therapy',
+    'visualizer.notched': '{frequency}Hz (Notched)',
+    'safety.maxVolume': 'Maximum volume',
+    'safety.exposure': 'Sound exposure today',
+    'safety.hint': 'Estimate for typical earphones · 100% equals 8 hours at 80 dB',
+    'safety.rise': 'The volume suddenly rose by {rise} dB. Raise the volume slowly to protect your ears.',
+    'safety.exposureOver': 'You have passed today\'s recommended sound exposure. Lower the volume or rest for today to protect your hearing.',
+    'safety.exposureWarning': 'You have reached {percent}% of today\'s recommended sound exposure. Consider lowering the volume a little.',
+    'sleep.length': 'Session length',
+    'sleep.goal': 'Daily goal',
+    'sleep.unlimited': 'No limit',
+    'sleep.fadeIn': 'Fade in',
+    'sleep.fadeOut': 'Fade out',
+    'notice.autoStop': 'Your {minutes}-minute session is complete. Well done!',
+    'notice.dailyGoalMet': 'You have listened for today\'s {minutes} minutes. Well done!',
+    'ratings.toggle': 'Rate tinnitus loudness and annoyance before and after therapy',
+    'compensation.toggle': 'Apply hearing compensation EQ (after a hearing screening)',
+    'compensation.name': 'Hearing compensation EQ',
+    'export.title': 'Listen on other devices',
+    'export.button': '💾 Export as WAV',
+    'export.hint': 'Saves the selected sound with your current notch settings. Play it on repeat on a bedroom speaker or MP3 player.',
+    'export.rendering': 'Creating the therapy sound...',
+    'export.failed': 'Export failed. For music files, check the file format.',
+    'export.fileTitle': 'Tinnitus Care notched therapy sound - {name}',
+    'info.recommended.title': 'Recommended use',
+    'info.recommended.text': '30 minutes or more a day, for at least 3 months',
+    'info.tip.title': 'Tip',
+    'info.tip.text': 'Works best with headphones',
+    'media.notch': 'Notch {frequency}',
+    'media.remaining': 'Notch {frequency} · {minutes} min left',
+
+    // Output check
+    'output.title': 'Output device · left/right check',
+    'output.intro': 'Put on your headphones or earphones. Frequency matching and per-ear settings are inaccurate with swapped sides or laptop speakers.',
+    'output.device': 'Output device',
+    'output.deviceFallback': 'Output device {index}',
+    'output.prompt': 'Press a button and check that the sound comes from the side shown',
+    'output.left': '◀ Left',
+    'output.right': 'Right ▶',
+    'output.confirm': 'My headphones are on and the sides are right',
+    'output.channel.left': 'Beeping on the left now',
+    'output.channel.right': 'Beeping on the right now',
+    'output.channel.both': 'Beeping on both sides now',
+
+    // Matching wizard
+    'wizard.title': 'Step-by-step frequency finder',
+    'wizard.intro': 'You will hear two sounds in turn. Each time you pick the one closer to your tinnitus, the range is halved. At the end, sounds an octave up and down check for octave confusion, and the whole process runs 3 times for accuracy. The comparison sounds use the test sound chosen above (pure tone, narrowband noise and so on).',
+    'wizard.toneA': '▶ Sound A',
+    'wizard.toneB': '▶ Sound B',
+    'wizard.pickA': 'A is closer',
+    'wizard.same': 'About the same',
+    'wizard.pickB': 'B is closer',
+    'wizard.retry': 'Try again',
+    'wizard.save': 'Use as therapy frequency',
+    'wizard.progress': 'Run {run} of {runs} · comparison {step}',
+    'wizard.question.octave': 'These two sounds are an octave apart. Which is closer to the pitch of your tinnitus?',
+    'wizard.question.bisect': 'Which sound is more like your tinnitus?',
+    'wizard.confidence.low': 'low - we suggest trying again',
+    'wizard.confidence.medium': 'medium',
+    'wizard.confidence.high': 'high',
+    'wizard.range': 'Likely range {low} to {high} Hz · consistency {confidence}',
+    'wizard.runs': 'Result per run: {frequencies}',
+
+    // Loudness and masking
+    'loudness.title': 'Tinnitus loudness · masking level',
+    'loudness.intro': 'Three steps at your matched frequency.',
+    'loudness.step.threshold': '<strong>Hearing threshold</strong>: find the moment a test sound, starting very quietly and rising, first becomes audible',
+    'loudness.step.match': '<strong>Loudness match</strong>: adjust the test sound until it is as loud as your tinnitus',
+    'loudness.step.masking': '<strong>Minimum masking level</strong>: find the moment a rising noise fully covers your tinnitus',
+    'loudness.note': 'Results are relative to your current headphones and device volume. Do not change the device volume while measuring.',
+    'loudness.softer': '− Softer',
+    'loudness.louder': '+ Louder',
+    'loudness.retry': 'Measure again',
+    'loudness.apply': 'Use suggested volume',
+    'loudness.stopTherapy': 'Stop therapy before measuring.',
+    'loudness.tooQuiet': 'The sound did not get loud enough. Turn the device volume up a little and measure again.',
+    'loudness.threshold.progress': '1 / 3 · Hearing threshold',
+    'loudness.threshold.question': 'A {frequency} Hz test sound starts very quietly and slowly gets louder. Press the button as soon as you hear it.',
+    'loudness.match.progress': '2 / 3 · Loudness match',
+    'loudness.match.question': 'Adjust the test sound until it is as loud as your tinnitus.',
+    'loudness.match.confirm': 'As loud as my tinnitus',
+    'loudness.masking.progress': '3 / 3 · Minimum masking level',
+    'loudness.noise.question': 'A noise starts very quietly and slowly gets louder. Press the button as soon as you hear the noise.',
+    'loudness.noise.confirm': 'I hear the noise',
+    'loudness.masking.question': 'The noise keeps getting louder. Press the button when you can no longer hear your tinnitus.',
+    'loudness.masking.confirm': 'Tinnitus is covered',
+    'loudness.result.frequency': 'Measured frequency',
+    'loudness.result.masking': 'Minimum masking level',
+    'loudness.result.volume': 'Suggested starting volume',
+    'loudness.summary': 'Last measurement: tinnitus loudness {level} dB SL at {frequency} Hz, minimum masking level {masking} dB SL',
+
+    // Hearing screening
+    'screening.title': 'Hearing screening',
+    'screening.intro': 'Starting with the left ear, you will hear beeps from 250 Hz to 12 kHz one at a time. Each starts too quietly to hear and slowly gets louder, so press the button the moment you hear it. Both ears take about 3 to 5 minutes.',
+    'screening.note': 'Wear headphones in a quiet place and do not change the device volume during the test. Results are uncalibrated relative values and do not replace a hearing test at a clinic.',
+    'screening.prompt': 'Press the button the moment you hear the sound',
+    'screening.resultNote': '0 dB is where you heard best. Save the result to apply a hearing compensation EQ to therapy sounds.',
+    'screening.retry': 'Test again',
+    'screening.stopTherapy': 'Stop therapy before testing.',
+    'screening.progress': '{ear} · {frequency} Hz ({index} / {total})',
+
+    // History
+    'history.title': 'My therapy log',
+    'history.subtitle': 'See how often you reached the 30 minutes a day goal',
+    'history.today': 'Today',
+    'history.week': 'This week',
+    'history.month': 'This month',
+    'history.sessions': 'Total sessions',
+    'history.sessionCount': { one: '{count} session', other: '{count} sessions' },
+    'history.daily': 'Daily',
+    'history.weekly': 'Weekly',
+    'history.monthly': 'Monthly',
+    'history.goalMet': 'Goal met',
+    'history.goalMissed': 'Below goal',
+    'history.goalLine': 'Goal (30 minutes a day without a program)',
+    'sessions.title': 'Recent sessions',
+    'sessions.empty': 'No sessions recorded yet',
+    'sessions.details': '{sound} · {frequency} · volume {volume}%',
+    'sessions.autoStopped': 'Auto-stopped',
+
+    // Treatment programs
+    'program.title': 'Treatment program',
+    'program.stop': 'Leave',
+    'program.begin': 'Start',
+    'program.confirmStop': 'Leave the treatment program? Your therapy log is kept.',
+    'program.streak': 'Current streak',
+    'program.bestStreak': 'Best streak',
+    'program.completed': 'Days met',
+    'program.missed': 'Days missed',
+    'program.finished': '{weeks}-week program complete',
+    'program.day': 'Week {week} · day {day} of {total}',
+    'program.today': 'Today {done} / {target}',
+    'program.finishedHint': 'You met your goal on {completed} of {total} days. Well done!',
+    'program.recovery': 'Listen {duration} extra today to make up for yesterday and keep your streak',
+    'program.todayMet': 'Today\'s goal is met!',
+    'program.starter.name': '4-week starter program',
+    'program.starter.description': 'Starts at 15 minutes a day and builds a 30-minute habit',
+    'program.notched12.name': '12-week notched sound program',
+    'program.notched12.description': 'Builds up from 20 to 60 minutes a day over 3 months',
+    'program.maintenance.name': '12-week maintenance program',
+    'program.maintenance.description': 'Keeps up 30 minutes a day once symptoms are stable',
+
+    // Reminders
+    'reminder.toggle': 'Daily therapy reminders',
+    'reminder.hint': 'Reminds you at the chosen times when today\'s goal is not met yet. Reminders appear while the app is open or the installed app is running.',
+    'reminder.unsupported': 'This browser does not support notifications',
+    'reminder.denied': 'Allow notifications for this site in your browser settings',
+    'reminder.add': '+ Add time',
+    'reminder.title': 'Time for tinnitus therapy',
+    'reminder.body': '{remaining} of today\'s {goal} goal to go. Find a comfortable spot and start your therapy.',
+
+    // Outcomes
+    'outcomes.title': 'Symptom changes',
+    'outcomes.ratingChart': 'Tinnitus loudness · annoyance before therapy (0-10, last 30 days)',
+    'outcomes.loudness': 'Loudness',
+    'outcomes.frequencyChart': 'Matched frequency (Hz, last 30 days)',
+    'outcomes.bothOrLeft': 'Both / left',
+    'outcomes.audiogramChart': 'Audiogram (relative dB, lower is worse hearing)',
+    'outcomes.ratingChange': 'Average change after therapy: loudness {loudness}, annoyance {annoyance}',
+
+    // Ratings
+    'rating.before.title': 'Tinnitus before therapy',
+    'rating.after.title': 'Tinnitus after therapy',
+    'rating.prompt': 'Rate your tinnitus right now from 0 to 10.',
+    'rating.loudness': 'Tinnitus loudness',
+    'rating.loudness.min': 'Not audible',
+    'rating.loudness.max': 'Very loud',
+    'rating.annoyance': 'Annoyance',
+    'rating.annoyance.min': 'Not annoying at all',
+    'rating.annoyance.max': 'Extremely annoying',
+    'rating.phase.before': 'Before therapy',
+    'rating.phase.after': 'After therapy',
+
+    // THI
+    'thi.title': 'Tinnitus Handicap Inventory (THI)',
+    'thi.open': 'Take the THI',
+    'thi.empty': 'Record how you are doing with the Tinnitus Handicap Inventory (THI)',
+    'thi.prompt': 'For each question, choose the answer closest to how things have been lately.',
+    'thi.submit': 'Score',
+    'thi.missing': 'Please answer question {number}.',
+    'thi.score': '{total} points',
+    'thi.gradeLabel': 'Grade {grade} · {label}',
+    'thi.subscales': 'Functional {F} · Emotional {E} · Catastrophic {C}',
+    'thi.trend': '{change} points since the first questionnaire',
+    'thi.total': 'Total',
+    'thi.functional': 'Functional',
+    'thi.emotional': 'Emotional',
+    'thi.catastrophic': 'Catastrophic',
+    'thi.severity': 'Severity',
+    'thi.answer.yes': 'Yes',
+    'thi.answer.sometimes': 'Sometimes',
+    'thi.answer.no': 'No',
+    'thi.grade.1': 'Slight',
+    'thi.grade.2': 'Mild',
+    'thi.grade.3': 'Moderate',
+    'thi.grade.4': 'Severe',
+    'thi.grade.5': 'Catastrophic',
+    'thi.item.1': 'Because of your tinnitus, is it difficult for you to concentrate?',
+    'thi.item.2': 'Does the loudness of your tinnitus make it difficult for you to hear people?',
+    'thi.item.3': 'Does your tinnitus make you angry?',
+    'thi.item.4': 'Does your tinnitus make you feel confused?',
+    'thi.item.5': 'Because of your tinnitus, do you feel desperate?',
+    'thi.item.6': 'Do you complain a great deal about your tinnitus?',
+    'thi.item.7': 'Because of your tinnitus, do you have trouble falling asleep at night?',
+    'thi.item.8': 'Do you feel as though you cannot escape your tinnitus?',
+    'thi.item.9': 'Does your tinnitus interfere with your ability to enjoy social activities (such as going out to dinner or to the movies)?',
+    'thi.item.10': 'Because of your tinnitus, do you feel frustrated?',
+    'thi.item.11': 'Because of your tinnitus, do you feel that you have a terrible disease?',
+    'thi.item.12': 'Does your tinnitus make it difficult for you to enjoy life?',
+    'thi.item.13': 'Does your tinnitus interfere with your job or household responsibilities?',
+    'thi.item.14': 'Because of your tinnitus, do you find that you are often irritable?',
+    'thi.item.15': 'Because of your tinnitus, is it difficult for you to read?',
+    'thi.item.16': 'Does your tinnitus make you upset?',
+    'thi.item.17': 'Do you feel that your tinnitus problem has placed stress on your relationships with members of your family and friends?',
+    'thi.item.18': 'Do you find it difficult to focus your attention away from your tinnitus and on other things?',
+    'thi.item.19': 'Do you feel that you have no control over your tinnitus?',
+    'thi.item.20': 'Because of your tinnitus, do you often feel tired?',
+    'thi.item.21': 'Because of your tinnitus, do you feel depressed?',
+    'thi.item.22': 'Does your tinnitus make you feel anxious?',
+    'thi.item.23': 'Do you feel that you can no longer cope with your tinnitus?',
+    'thi.item.24': 'Does your tinnitus get worse when you are under stress?',
+    'thi.item.25': 'Does your tinnitus make you feel insecure?',
+
+    // Clinician report and data
+    'data.title': 'Clinician report · your data',
+    'data.hint': 'Save a report as PDF to show at your appointment, or export your records to a file and import them in another browser or device',
+    'data.report': 'View · print report',
+    'data.exportJson': 'Export JSON',
+    'data.exportCsv': 'Export CSV',
+    'data.import': 'Import',
+    'data.readFailed': 'Could not read the JSON file',
+    'data.confirmImport': 'Replace the records and settings in this browser with the contents of the imported file?',
+    'data.invalid': 'This is not a backup file exported from Tinnitus Care',
+    'report.title': 'Tinnitus therapy report',
+    'report.print': 'Print · save as PDF',
+    'report.created': 'Created {date}',
+    'report.period': 'Therapy from {first} to {last}',
+    'report.settings': 'Tinnitus frequency · therapy settings',
+    'report.frequency': 'Tinnitus frequency',
+    'report.leftRight': 'Left {left} Hz / right {right} Hz',
+    'report.notch': 'Notch width · depth',
+    'report.notchValue': '{width} octaves · {depth} dB',
+    'report.volume': 'Therapy volume',
+    'report.loudnessValue': '{level} dB SL ({frequency} Hz)',
+    'report.matches': 'Frequency matches',
+    'report.time': 'Date',
+    'report.ear': 'Ear',
+    'report.frequencyColumn': 'Frequency',
+    'report.range': 'Range',
+    'report.spread': 'Spread between runs',
+    'report.audiogramNote': 'Tested {date} · relative dB, lower is worse hearing · blue left, orange right',
+    'report.thiGrade': 'Grade {grade} ({label})',
+    'report.ratings': 'Tinnitus loudness / annoyance (0-10, monthly average)',
+    'report.month': 'Month',
+    'report.count': 'Ratings',
+    'report.adherence': 'Adherence',
+    'report.totalTime': 'Total therapy time',
+    'report.days': 'Days with therapy',
+    'report.average': 'Average per therapy day',
+    'report.programValue': '{name} (started {date})',
+    'report.sessions': 'Sessions (last 30)',
+    'report.start': 'Start',
+    'report.duration': 'Length',
+    'report.sound': 'Sound',
+    'report.notchColumn': 'Notch',
+    'report.empty': 'No records',
+
+    // CSV export
+    'csv.profile': '[Profile]',
+    'csv.field': 'Field',
+    'csv.value': 'Value',
+    'csv.frequency': 'Frequency (Hz)',
+    'csv.leftFrequency': 'Left frequency (Hz)',
+    'csv.rightFrequency': 'Right frequency (Hz)',
+    'csv.notchWidth': 'Notch width (octaves)',
+    'csv.notchDepth': 'Notch depth (dB)',
+    'csv.tones': 'More tones',
+    'csv.volume': 'Volume (%)',
+    'csv.loudness': 'Tinnitus loudness (dB SL)',
+    'csv.masking': 'Minimum masking level (dB SL)',
+    'csv.matches': '[Frequency matches]',
+    'csv.time': 'Date',
+    'csv.ear': 'Ear',
+    'csv.low': 'Low (Hz)',
+    'csv.high': 'High (Hz)',
+    'csv.spread': 'Spread between runs (octaves)',
+    'csv.stimulus': 'Test sound',
+    'csv.sessions': '[Therapy sessions]',
+    'csv.start': 'Start',
+    'csv.end': 'End',
+    'csv.minutes': 'Length (min)',
+    'csv.sound': 'Sound',
+    'csv.mode': 'Mode',
+    'csv.left': 'Left (Hz)',
+    'csv.right': 'Right (Hz)',
+    'csv.compensation': 'Hearing compensation',
+    'csv.autoStopped': 'Auto-stopped',
+    'csv.thi': '[THI]',
+    'csv.total': 'Total',
+    'csv.functional': 'Functional (F)',
+    'csv.emotional': 'Emotional (E)',
+    'csv.catastrophic': 'Catastrophic (C)',
+    'csv.grade': 'Grade',
+    'csv.severity': 'Severity',
+    'csv.ratings': '[Loudness · annoyance ratings]',
+    'csv.phase': 'When',
+    'csv.loudnessRating': 'Loudness (0-10)',
+    'csv.annoyanceRating': 'Annoyance (0-10)',
+
+    // About and guide
+    'about.title': 'What is notched sound therapy?',
+    'about.subtitle': 'A scientifically validated tinnitus treatment',
+    'about.matching.text': 'Finds your tinnitus frequency precisely. Everyone\'s tinnitus sounds different, so it is analysed for you personally.',
+    'about.notch.title': 'Notch filtering',
+    'about.notch.text': 'Creates sound with your tinnitus frequency band removed, calming nerve activity in the brain at that frequency.',
+    'about.continuous.title': 'Ongoing therapy',
+    'about.continuous.text': 'Daily listening eases tinnitus symptoms. Over time, experience your tinnitus getting quieter.',
+    'about.science.title': 'The science',
+    'about.science.text': 'Notched sound therapy uses lateral inhibition. It stimulates nerve activity around the tinnitus frequency to suppress the tinnitus signal, an approach shown to work in a number of clinical studies.',
+    'guide.subtitle': 'Step-by-step directions for effective therapy',
+    'guide.quiet.title': 'Find a quiet place',
+    'guide.quiet.text': 'Start somewhere comfortable with little background noise',
+    'guide.headphones.title': 'Wear headphones',
+    'guide.headphones.text': 'Put on headphones so both ears hear the sound evenly',
+    'guide.matching.text': 'Find the frequency closest to your tinnitus',
+    'guide.volume.title': 'Set a comfortable volume',
+    'guide.volume.text': 'Not too loud: choose a volume you can listen to comfortably',
+    'guide.daily.title': '30 minutes or more a day',
+    'guide.daily.text': 'Keep up at least 30 minutes of therapy every day',
+    'disclaimer.title': 'Medical notice',
+    'disclaimer.text': 'This service is not a medical device and does not replace medical diagnosis. If your tinnitus is severe or persistent, please see a specialist. Use this service as a supporting tool for managing tinnitus.',
+
+    // Footer and terms
+    'footer.service': 'Service',
+    'footer.support': 'Support',
+    'footer.contact': 'Contact: cnpbiz2021@gmail.com',
+    'footer.copyright': '© 2026 Tinnitus Care Plus. All rights reserved.',
+    'terms.title': 'Terms of use',
+    'terms.heading': 'Tinnitus Care Plus terms of use',
+    'terms.item.1': 'This service provides digital sound therapy content that helps relieve tinnitus symptoms.',
+    'terms.item.2': 'The sound engine filters frequency bands according to your settings during playback.',
+    'terms.item.3': 'This service is not a medical device and cannot replace medical diagnosis or professional treatment.',
+    'terms.item.4': 'If you feel discomfort or pain while using it, stop immediately and consult a specialist.',
+    'terms.item.5': 'Results vary from person to person; long-term use is recommended.',
+
+    // Engine
+    'error.audioInit': 'Could not start the audio system. Please check that your browser supports the Web Audio API.',
+    'error.playback': 'The sound could not be played. Please check the file or try again.'
+});
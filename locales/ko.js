@@ -0,0 +1,505 @@
+/**
+ * Tinnitus Care - Korean strings
+ */
+
+I18n.addCatalog('ko', {
+    // App
+    'app.title': '이명케어플러스 - 귀건강 주치의, 늘 곁에 있어요',
+    'app.description': '과학적으로 검증된 노치 사운드 테라피로 이명을 관리하세요. 당신만의 맞춤형 치료 프로그램.',
+    'app.name': '이명케어플러스',
+    'app.tagline': '귀건강 주치의, 늘 곁에 있어요',
+    'app.language': '언어',
+
+    // Common
+    'common.volume': '볼륨',
+    'common.left': '왼쪽',
+    'common.right': '오른쪽',
+    'common.both': '양쪽',
+    'common.none': '없음',
+    'common.begin': '시작하기',
+    'common.save': '저장',
+    'common.skip': '건너뛰기',
+    'common.cancel': '취소',
+    'common.close': '닫기',
+    'common.delete': '삭제',
+    'common.heard': '들려요',
+    'common.on': '사용',
+    'common.off': '사용 안 함',
+    'common.saved': '{fileName} 저장 완료',
+    'common.octaves': '{value} 옥타브',
+    'common.dbSl': '{level} dB SL',
+    'common.days': '{count}일',
+    'common.frequencyMatching': '주파수 매칭',
+
+    // Durations
+    'duration.hoursMinutes': '{hours}시간 {minutes}분',
+    'duration.minutes': '{minutes}분',
+    'duration.seconds': '{seconds}초',
+
+    // Navigation
+    'nav.home': '홈',
+    'nav.therapy': '치료 시작',
+    'nav.therapyShort': '치료',
+    'nav.history': '치료 기록',
+    'nav.historyShort': '기록',
+    'nav.about': '서비스 소개',
+    'nav.aboutShort': '소개',
+    'nav.guide': '사용 가이드',
+    'nav.guideShort': '가이드',
+
+    // Hero
+    'hero.title': '<span class="gradient-text">이명케어플러스</span><br>귀건강 주치의, 늘 곁에 있어요',
+    'hero.subtitle': '과학적으로 검증된 노치 사운드 테라피로<br>당신의 이명을 효과적으로 관리하세요',
+    'hero.start': '무료로 시작하기',
+    'hero.learn': '서비스 알아보기',
+    'hero.imageAlt': '이명케어플러스 캐릭터',
+
+    // Therapy section
+    'therapy.title': '나만의 맞춤 치료 시작하기',
+    'therapy.subtitle': '3단계로 간편하게 시작하는 이명 관리',
+    'therapy.start': '치료 시작',
+    'therapy.stop': '치료 중지',
+    'therapy.pause': '일시정지',
+    'therapy.resume': '이어서 듣기',
+    'therapy.limitReached': '오늘 치료 시간 {minutes}분을 이미 채웠습니다. 더 들으려면 치료 시간을 늘리거나 무제한으로 바꿔주세요.',
+    'timer.today': '오늘 {total} / {goal}',
+    'therapy.comfortable': '듣기 편한 정도의 볼륨으로 들으세요.',
+    'therapy.description': '하루 30분, 편안한 시간에 치료를 진행하세요',
+
+    // Frequency matching
+    'frequency.title': '내 이명 주파수 찾기',
+    'frequency.description': '슬라이더를 조절하여 당신의 이명 소리와 가장 유사한 주파수를 찾아보세요',
+    'preset.hum': '웅-',
+    'preset.beep': '삐-',
+    'preset.cicada': '맴맴',
+    'preset.hiss': '쉿-',
+    'earMode.both': '양쪽 동일',
+    'earMode.split': '좌우 따로',
+    'ear.left': '왼쪽 귀',
+    'ear.right': '오른쪽 귀',
+    'testTone.play': '테스트 톤 재생',
+    'testTone.stop': '테스트 톤 정지',
+    'testTone.type': '테스트 소리',
+    'testTone.pure': '순음',
+    'testTone.pulsed': '단속음',
+    'testTone.warble': '떨림음',
+    'testTone.noise': '협대역 잡음',
+    'testTone.mixed': '순음+잡음',
+    'testTone.bandwidth': '잡음 대역폭',
+    'testTone.hint': '쉿- 하는 소리처럼 음정이 뚜렷하지 않은 이명은 협대역 잡음이 더 비슷하게 들릴 수 있습니다.',
+    'notch.width': '노치 폭',
+    'notch.depth': '노치 깊이',
+    'tones.title': '추가 이명 소리',
+    'tones.hint': '삐- 소리와 낮은 웅- 소리처럼 이명이 두 가지 이상 들리면 하나씩 추가해 테스트 톤으로 따로 맞추세요. 모든 소리가 노치로 제거됩니다.',
+    'tones.add': '+ 이명 소리 추가',
+    'tones.label': '이명 소리 {number}',
+    'tones.value': '{frequency}Hz ({width} 옥타브)',
+    'output.open': '🎧 출력 장치 · 좌우 확인',
+    'wizard.open': '🧭 단계별 주파수 찾기',
+    'loudness.open': '📏 이명 크기 · 차폐 레벨 측정',
+    'screening.open': '👂 청력 선별 검사',
+
+    // Sounds
+    'sound.title': '치료 사운드 선택',
+    'sound.description': '편안한 마음으로 들을 수 있는 사운드를 선택하세요',
+    'sound.whitenoise': '화이트 노이즈',
+    'sound.rain': '빗소리',
+    'sound.forest': '숲속 바람',
+    'sound.temple': '풍경 소리',
+    'sound.night': '밤 벌레 소리',
+    'sound.wave': '파도 소리',
+    'sound.mix': '나만의 믹스',
+    'sound.music': '내 음악',
+    'sound.whitenoise.description': '균일한 주파수',
+    'sound.rain.description': '자연의 소리',
+    'sound.forest.description': '대나무 숲',
+    'sound.temple.description': '사찰의 평온함',
+    'sound.night.description': '시골의 밤',
+    'sound.wave.description': '해변의 평화',
+    'sound.mix.description': '여러 소리를 겹쳐 듣고 블렌드로 저장',
+    'sound.music.description': '좋아하는 음악에 노치 필터 적용',
+    'sound.selected': '선택된 사운드:',
+
+    'mode.label': '치료 방식',
+    'mode.notched': '노치 사운드',
+    'mode.cr': 'CR 톤 시퀀스',
+    'mode.masking': '부분 차폐 노이즈',
+    'mode.am': 'AM 톤',
+    'mode.notched.description': '선택한 사운드에서 이명 주파수 대역을 제거해 들려줍니다',
+    'mode.cr.description': '이명 주파수 주변의 네 가지 톤을 무작위 순서로 들려줍니다 (3주기 재생, 2주기 쉼)',
+    'mode.masking.description': '이명 대역의 노이즈를 들려줍니다. 이명이 살짝 들릴 정도로 볼륨을 맞추세요',
+    'mode.am.description': '이명 주파수의 톤을 초당 40회 세기를 바꿔 들려줍니다',
+
+    // Mixer
+    'mixer.namePlaceholder': '블렌드 이름 (예: 빗속의 풍경)',
+    'mixer.save': '💾 블렌드 저장',
+    'mixer.empty': '먼저 믹스에 소리를 하나 이상 켜세요',
+    'mixer.nameRequired': '블렌드 이름을 입력하세요',
+    'mixer.saved': '\'{name}\' 블렌드를 저장했습니다',
+
+    // Music
+    'music.add': '🎵 음악 파일 추가',
+    'music.hint': 'MP3 · AAC · WAV · FLAC · 파일은 기기 밖으로 전송되지 않습니다',
+    'music.empty': '추가된 음악이 없습니다',
+    'music.previous': '이전 곡',
+    'music.next': '다음 곡',
+    'music.shuffle': '🔀 셔플',
+    'music.repeat.off': '🔁 반복 끔',
+    'music.repeat.all': '🔁 전체 반복',
+    'music.repeat.one': '🔂 한 곡 반복',
+    'music.addFirst': '먼저 음악 파일을 추가하세요',
+    'music.unsupported': '지원하지 않는 파일 형식입니다: {files}',
+
+    // Therapy controls
+    'visualizer.waveform': '파형',
+    'visualizer.spectrum': '스펙트럼',
+    'visualizer.spectrogram': '스펙트로그램',
+    'visualizer.idle': '치료를 시작하려면 아래 버튼을 클릭하세요',
+    'visualizer.notched': '{frequency}Hz (노치)',
+    'safety.maxVolume': '최대 볼륨',
+    'safety.exposure': '오늘 소리 노출량',
+    'safety.hint': '일반 이어폰 기준 추정치 · 100%는 80dB로 8시간 들은 양입니다',
+    'safety.rise': '볼륨이 갑자기 {rise}dB 커졌습니다. 귀를 보호하려면 볼륨은 천천히 올리세요.',
+    'safety.exposureOver': '오늘 권장 소리 노출량을 넘었습니다. 청력 보호를 위해 볼륨을 낮추거나 오늘은 쉬어 주세요.',
+    'safety.exposureWarning': '오늘 권장 소리 노출량의 {percent}%에 도달했습니다. 볼륨을 조금 낮추는 것을 권장합니다.',
+    'sleep.length': '치료 시간',
+    'sleep.goal': '하루 목표',
+    'sleep.unlimited': '무제한',
+    'sleep.fadeIn': '페이드 인',
+    'sleep.fadeOut': '페이드 아웃',
+    'notice.autoStop': '설정한 치료 시간 {minutes}분이 지나 치료를 마쳤습니다. 수고하셨습니다!',
+    'notice.dailyGoalMet': '오늘 치료 시간 {minutes}분을 채워 치료를 마쳤습니다. 수고하셨습니다!',
+    'ratings.toggle': '치료 전후 이명 크기와 불편함 기록하기',
+    'compensation.toggle': '청력 보정 EQ 적용 (청력 선별 검사 후 사용 가능)',
+    'compensation.name': '청력 보정 EQ',
+    'export.title': '다른 기기에서 듣기',
+    'export.button': '💾 WAV로 내보내기',
+    'export.hint': '선택한 사운드를 지금의 노치 설정 그대로 파일로 저장합니다. 침실 스피커나 MP3 플레이어에서 반복 재생하세요.',
+    'export.rendering': '치료음을 만드는 중입니다...',
+    'export.failed': '내보내기에 실패했습니다. 음악 파일이라면 형식을 확인해 주세요.',
+    'export.fileTitle': 'Tinnitus Care 노치 치료음 - {name}',
+    'info.recommended.title': '권장 사용 시간',
+    'info.recommended.text': '하루 30분 이상, 최소 3개월 지속',
+    'info.tip.title': '사용 팁',
+    'info.tip.text': '헤드폰 착용 시 더 효과적입니다',
+    'media.notch': '노치 {frequency}',
+    'media.remaining': '노치 {frequency} · 남은 시간 {minutes}분',
+
+    // Output check
+    'output.title': '출력 장치 · 좌우 확인',
+    'output.intro': '헤드폰(이어폰)을 착용하세요. 주파수 매칭과 귀별 설정은 좌우가 바뀌거나 노트북 스피커로 들으면 정확하지 않습니다.',
+    'output.device': '출력 장치',
+    'output.deviceFallback': '출력 장치 {index}',
+    'output.prompt': '버튼을 누르고 소리가 표시된 쪽에서 들리는지 확인하세요',
+    'output.left': '◀ 왼쪽',
+    'output.right': '오른쪽 ▶',
+    'output.confirm': '헤드폰을 착용했고 좌우가 맞습니다',
+    'output.channel.left': '지금 왼쪽에서 삐- 소리가 납니다',
+    'output.channel.right': '지금 오른쪽에서 삐- 소리가 납니다',
+    'output.channel.both': '지금 양쪽에서 삐- 소리가 납니다',
+
+    // Matching wizard
+    'wizard.title': '단계별 주파수 찾기',
+    'wizard.intro': '두 개의 소리를 차례로 들려드립니다. 내 이명과 더 비슷한 소리를 고르면 범위를 절반씩 좁혀 갑니다. 마지막에는 한 옥타브 위아래 소리와 비교해 옥타브 혼동을 확인하고, 정확도를 위해 전체 과정을 3회 반복합니다. 비교 소리는 위에서 선택한 테스트 소리(순음, 협대역 잡음 등)로 재생됩니다.',
+    'wizard.toneA': '▶ 소리 A',
+    'wizard.toneB': '▶ 소리 B',
+    'wizard.pickA': 'A가 더 비슷해요',
+    'wizard.same': '비슷해요',
+    'wizard.pickB': 'B가 더 비슷해요',
+    'wizard.retry': '다시 하기',
+    'wizard.save': '치료 주파수로 저장',
+    'wizard.progress': '{run} / {runs}회차 · {step}번째 비교',
+    'wizard.question.octave': '한 옥타브 차이 나는 두 소리입니다. 내 이명의 높이에 더 가까운 쪽은?',
+    'wizard.question.bisect': '어느 소리가 내 이명과 더 비슷한가요?',
+    'wizard.confidence.low': '낮음 - 다시 해보시길 권장합니다',
+    'wizard.confidence.medium': '보통',
+    'wizard.confidence.high': '높음',
+    'wizard.range': '예상 범위 {low} ~ {high}Hz · 일치도 {confidence}',
+    'wizard.runs': '회차별 결과: {frequencies}',
+
+    // Loudness and masking
+    'loudness.title': '이명 크기 · 차폐 레벨 측정',
+    'loudness.intro': '맞춘 주파수에서 세 단계를 진행합니다.',
+    'loudness.step.threshold': '<strong>청력 역치</strong>: 아주 작게 시작해 커지는 테스트 소리가 처음 들리는 순간을 찾습니다',
+    'loudness.step.match': '<strong>크기 매칭</strong>: 테스트 소리를 이명과 같은 크기가 될 때까지 조절합니다',
+    'loudness.step.masking': '<strong>최소 차폐 레벨</strong>: 점점 커지는 잡음이 이명을 완전히 가리는 순간을 찾습니다',
+    'loudness.note': '측정 결과는 지금 사용하는 헤드폰과 기기 볼륨을 기준으로 합니다. 측정하는 동안 기기 볼륨을 바꾸지 마세요.',
+    'loudness.softer': '− 작게',
+    'loudness.louder': '+ 크게',
+    'loudness.retry': '다시 측정',
+    'loudness.apply': '추천 볼륨 적용',
+    'loudness.stopTherapy': '치료를 멈춘 뒤 측정해 주세요.',
+    'loudness.tooQuiet': '소리가 충분히 커지지 않았습니다. 기기 볼륨을 조금 올린 뒤 다시 측정해 주세요.',
+    'loudness.threshold.progress': '1 / 3 · 청력 역치',
+    'loudness.threshold.question': '{frequency}Hz 테스트 소리가 아주 작게 시작해 점점 커집니다. 처음 들리는 순간 버튼을 누르세요.',
+    'loudness.match.progress': '2 / 3 · 크기 매칭',
+    'loudness.match.question': '테스트 소리가 이명과 같은 크기가 되도록 조절하세요.',
+    'loudness.match.confirm': '이명과 같은 크기예요',
+    'loudness.masking.progress': '3 / 3 · 최소 차폐 레벨',
+    'loudness.noise.question': '잡음이 아주 작게 시작해 점점 커집니다. 잡음이 처음 들리면 버튼을 누르세요.',
+    'loudness.noise.confirm': '잡음이 들려요',
+    'loudness.masking.question': '잡음이 계속 커집니다. 이명이 더 이상 들리지 않는 순간 버튼을 누르세요.',
+    'loudness.masking.confirm': '이명이 안 들려요',
+    'loudness.result.frequency': '측정 주파수',
+    'loudness.result.masking': '최소 차폐 레벨',
+    'loudness.result.volume': '추천 시작 볼륨',
+    'loudness.summary': '최근 측정: {frequency}Hz에서 이명 크기 {level} dB SL, 최소 차폐 레벨 {masking} dB SL',
+
+    // Hearing screening
+    'screening.title': '청력 선별 검사',
+    'screening.intro': '왼쪽 귀부터 250Hz~12kHz의 삐- 소리를 하나씩 들려드립니다. 소리는 들리지 않을 만큼 작게 시작해 점점 커지니, 처음 들리는 순간 버튼을 누르세요. 양쪽 귀를 합쳐 약 3~5분 걸립니다.',
+    'screening.note': '조용한 곳에서 헤드폰을 착용하고, 검사하는 동안 기기 볼륨을 바꾸지 마세요. 결과는 보정되지 않은 상대값으로, 병원의 청력검사를 대신하지 않습니다.',
+    'screening.prompt': '소리가 들리는 순간 버튼을 누르세요',
+    'screening.resultNote': '0dB는 가장 잘 들린 지점입니다. 저장하면 치료 사운드에 청력 보정 EQ를 적용할 수 있습니다.',
+    'screening.retry': '다시 검사',
+    'screening.stopTherapy': '치료를 멈춘 뒤 검사해 주세요.',
+    'screening.progress': '{ear} · {frequency}Hz ({index} / {total})',
+
+    // History
+    'history.title': '나의 치료 기록',
+    'history.subtitle': '하루 30분 목표를 얼마나 채웠는지 확인하세요',
+    'history.today': '오늘',
+    'history.week': '이번 주',
+    'history.month': '이번 달',
+    'history.sessions': '전체 세션',
+    'history.sessionCount': '{count}회',
+    'history.daily': '일간',
+    'history.weekly': '주간',
+    'history.monthly': '월간',
+    'history.goalMet': '목표 달성',
+    'history.goalMissed': '목표 미달',
+    'history.goalLine': '목표 (프로그램이 없으면 하루 30분)',
+    'sessions.title': '최근 세션',
+    'sessions.empty': '아직 기록된 세션이 없습니다',
+    'sessions.details': '{sound} · {frequency} · 볼륨 {volume}%',
+    'sessions.autoStopped': '자동 종료',
+
+    // Treatment programs
+    'program.title': '치료 프로그램',
+    'program.stop': '그만두기',
+    'program.begin': '시작',
+    'program.confirmStop': '치료 프로그램을 그만둘까요? 치료 기록은 그대로 남습니다.',
+    'program.streak': '연속 달성',
+    'program.bestStreak': '최장 연속',
+    'program.completed': '달성한 날',
+    'program.missed': '놓친 날',
+    'program.finished': '{weeks}주 과정 완료',
+    'program.day': '{week}주차 · {day}일째 / {total}일',
+    'program.today': '오늘 {done} / {target}',
+    'program.finishedHint': '{total}일 중 {completed}일 목표를 채웠습니다. 수고하셨습니다!',
+    'program.recovery': '어제 채우지 못한 {duration}을 오늘 더 들으면 연속 기록이 이어집니다',
+    'program.todayMet': '오늘 목표를 달성했습니다!',
+    'program.starter.name': '4주 입문 프로그램',
+    'program.starter.description': '하루 15분부터 시작해 30분 습관을 만듭니다',
+    'program.notched12.name': '12주 노치 사운드 프로그램',
+    'program.notched12.description': '3개월 동안 하루 20분에서 60분까지 점차 늘려 갑니다',
+    'program.maintenance.name': '12주 유지 프로그램',
+    'program.maintenance.description': '증상이 안정된 뒤 하루 30분을 꾸준히 이어 갑니다',
+
+    // Reminders
+    'reminder.toggle': '매일 치료 알림 받기',
+    'reminder.hint': '오늘 목표를 채우지 않았을 때 정한 시간에 알려 드립니다. 알림은 앱이 열려 있거나 설치된 앱이 실행 중일 때 표시됩니다.',
+    'reminder.unsupported': '이 브라우저는 알림을 지원하지 않습니다',
+    'reminder.denied': '브라우저 설정에서 이 사이트의 알림을 허용해 주세요',
+    'reminder.add': '+ 시간 추가',
+    'reminder.title': '이명케어 치료 시간입니다',
+    'reminder.body': '오늘 목표 {goal} 중 {remaining} 남았습니다. 편안한 곳에서 치료를 시작해 보세요.',
+
+    // Outcomes
+    'outcomes.title': '증상 변화',
+    'outcomes.ratingChart': '치료 전 이명 크기 · 불편함 (0-10, 최근 30일)',
+    'outcomes.loudness': '크기',
+    'outcomes.frequencyChart': '매칭 주파수 (Hz, 최근 30일)',
+    'outcomes.bothOrLeft': '양쪽 / 왼쪽',
+    'outcomes.audiogramChart': '청력도 (상대 dB, 아래로 갈수록 청력 저하)',
+    'outcomes.ratingChange': '치료 후 평균 변화: 크기 {loudness}, 불편함 {annoyance}',
+
+    // Ratings
+    'rating.before.title': '치료 전 이명 상태',
+    'rating.after.title': '치료 후 이명 상태',
+    'rating.prompt': '지금 느끼는 이명을 0부터 10까지 평가해 주세요.',
+    'rating.loudness': '이명 크기',
+    'rating.loudness.min': '들리지 않음',
+    'rating.loudness.max': '매우 큼',
+    'rating.annoyance': '불편함',
+    'rating.annoyance.min': '전혀 불편하지 않음',
+    'rating.annoyance.max': '매우 불편함',
+    'rating.phase.before': '치료 전',
+    'rating.phase.after': '치료 후',
+
+    // THI
+    'thi.title': '이명 장애 지수 (THI)',
+    'thi.open': 'THI 설문하기',
+    'thi.empty': '이명 장애 지수(THI) 설문으로 현재 상태를 기록해 보세요',
+    'thi.prompt': '각 문항에 대해 최근의 상태에 가장 가까운 답을 선택하세요.',
+    'thi.submit': '채점하기',
+    'thi.missing': '{number}번 문항에 답해 주세요.',
+    'thi.score': '{total}점',
+    'thi.gradeLabel': '{grade}단계 · {label}',
+    'thi.subscales': '기능 {F} · 정서 {E} · 파국 {C}',
+    'thi.trend': '첫 설문 대비 {change}점',
+    'thi.total': '총점',
+    'thi.functional': '기능',
+    'thi.emotional': '정서',
+    'thi.catastrophic': '파국',
+    'thi.severity': '중증도',
+    'thi.answer.yes': '예',
+    'thi.answer.sometimes': '가끔',
+    'thi.answer.no': '아니오',
+    'thi.grade.1': '경미',
+    'thi.grade.2': '경도',
+    'thi.grade.3': '중등도',
+    'thi.grade.4': '중증',
+    'thi.grade.5': '파국적',
+    'thi.item.1': '이명 때문에 집중하기 어렵습니까?',
+    'thi.item.2': '이명 소리 때문에 다른 사람의 말을 알아듣기 어렵습니까?',
+    'thi.item.3': '이명 때문에 화가 납니까?',
+    'thi.item.4': '이명 때문에 혼란스럽습니까?',
+    'thi.item.5': '이명 때문에 절망감을 느낍니까?',
+    'thi.item.6': '이명에 대해 불평을 많이 합니까?',
+    'thi.item.7': '이명 때문에 밤에 잠들기 어렵습니까?',
+    'thi.item.8': '이명에서 벗어날 수 없다고 느낍니까?',
+    'thi.item.9': '이명 때문에 외식이나 영화 관람 같은 사회 활동을 즐기기 어렵습니까?',
+    'thi.item.10': '이명 때문에 좌절감을 느낍니까?',
+    'thi.item.11': '이명 때문에 끔찍한 병에 걸렸다고 느낍니까?',
+    'thi.item.12': '이명 때문에 삶을 즐기기 어렵습니까?',
+    'thi.item.13': '이명이 직장 일이나 집안일에 방해가 됩니까?',
+    'thi.item.14': '이명 때문에 자주 짜증이 납니까?',
+    'thi.item.15': '이명 때문에 글을 읽기 어렵습니까?',
+    'thi.item.16': '이명 때문에 속상합니까?',
+    'thi.item.17': '이명 문제로 가족이나 친구와의 관계가 힘들어졌다고 느낍니까?',
+    'thi.item.18': '이명에서 주의를 돌려 다른 일에 집중하기 어렵습니까?',
+    'thi.item.19': '이명을 스스로 통제할 수 없다고 느낍니까?',
+    'thi.item.20': '이명 때문에 자주 피곤합니까?',
+    'thi.item.21': '이명 때문에 우울합니까?',
+    'thi.item.22': '이명 때문에 불안합니까?',
+    'thi.item.23': '이명을 더 이상 견딜 수 없다고 느낍니까?',
+    'thi.item.24': '스트레스를 받으면 이명이 더 심해집니까?',
+    'thi.item.25': '이명 때문에 자신감이 떨어집니까?',
+
+    // Clinician report and data
+    'data.title': '의료진 리포트 · 데이터 관리',
+    'data.hint': '진료 때 보여 줄 리포트를 PDF로 저장하거나, 기록을 파일로 내보내 다른 기기나 브라우저에서 그대로 가져올 수 있습니다',
+    'data.report': '리포트 보기 · 인쇄',
+    'data.exportJson': 'JSON 내보내기',
+    'data.exportCsv': 'CSV 내보내기',
+    'data.import': '가져오기',
+    'data.readFailed': 'JSON 파일을 읽을 수 없습니다',
+    'data.confirmImport': '현재 브라우저의 기록과 설정을 가져온 파일의 내용으로 바꿀까요?',
+    'data.invalid': '이명케어에서 내보낸 백업 파일이 아닙니다',
+    'report.title': '이명 치료 리포트',
+    'report.print': '인쇄 · PDF로 저장',
+    'report.created': '작성일 {date}',
+    'report.period': '치료 기간 {first} ~ {last}',
+    'report.settings': '이명 주파수 · 치료 설정',
+    'report.frequency': '이명 주파수',
+    'report.leftRight': '왼쪽 {left}Hz / 오른쪽 {right}Hz',
+    'report.notch': '노치 폭 · 깊이',
+    'report.notchValue': '{width} 옥타브 · {depth}dB',
+    'report.volume': '치료 볼륨',
+    'report.loudnessValue': '{level} dB SL ({frequency}Hz)',
+    'report.matches': '주파수 매칭 기록',
+    'report.time': '일시',
+    'report.ear': '귀',
+    'report.frequencyColumn': '주파수',
+    'report.range': '범위',
+    'report.spread': '회차 간 차이',
+    'report.audiogramNote': '{date} 검사 · 상대 dB, 아래로 갈수록 청력 저하 · 파랑 왼쪽, 주황 오른쪽',
+    'report.thiGrade': '{grade}등급 ({label})',
+    'report.ratings': '이명 크기 / 불편함 (0-10, 월 평균)',
+    'report.month': '월',
+    'report.count': '기록 수',
+    'report.adherence': '치료 이행',
+    'report.totalTime': '전체 치료 시간',
+    'report.days': '치료한 날',
+    'report.average': '치료한 날 평균',
+    'report.programValue': '{name} ({date} 시작)',
+    'report.sessions': '세션 기록 (최근 30회)',
+    'report.start': '시작',
+    'report.duration': '시간',
+    'report.sound': '사운드',
+    'report.notchColumn': '노치',
+    'report.empty': '기록 없음',
+
+    // CSV export
+    'csv.profile': '[프로필]',
+    'csv.field': '항목',
+    'csv.value': '값',
+    'csv.frequency': '주파수(Hz)',
+    'csv.leftFrequency': '왼쪽 주파수(Hz)',
+    'csv.rightFrequency': '오른쪽 주파수(Hz)',
+    'csv.notchWidth': '노치 폭(옥타브)',
+    'csv.notchDepth': '노치 깊이(dB)',
+    'csv.tones': '추가 이명 소리',
+    'csv.volume': '볼륨(%)',
+    'csv.loudness': '이명 크기(dB SL)',
+    'csv.masking': '최소 차폐 레벨(dB SL)',
+    'csv.matches': '[주파수 매칭]',
+    'csv.time': '일시',
+    'csv.ear': '귀',
+    'csv.low': '하한(Hz)',
+    'csv.high': '상한(Hz)',
+    'csv.spread': '회차 간 차이(옥타브)',
+    'csv.stimulus': '테스트 소리',
+    'csv.sessions': '[치료 세션]',
+    'csv.start': '시작',
+    'csv.end': '종료',
+    'csv.minutes': '시간(분)',
+    'csv.sound': '사운드',
+    'csv.mode': '치료 방식',
+    'csv.left': '왼쪽(Hz)',
+    'csv.right': '오른쪽(Hz)',
+    'csv.compensation': '청력 보정',
+    'csv.autoStopped': '자동 종료',
+    'csv.thi': '[THI]',
+    'csv.total': '총점',
+    'csv.functional': '기능(F)',
+    'csv.emotional': '정서(E)',
+    'csv.catastrophic': '파국(C)',
+    'csv.grade': '등급',
+    'csv.severity': '중증도',
+    'csv.ratings': '[이명 크기 · 불편함 평가]',
+    'csv.phase': '시점',
+    'csv.loudnessRating': '크기(0-10)',
+    'csv.annoyanceRating': '불편함(0-10)',
+
+    // About and guide
+    'about.title': '노치 사운드 테라피란?',
+    'about.subtitle': '과학적으로 검증된 이명 치료 방법',
+    'about.matching.text': '당신의 이명 주파수를 정확하게 찾아냅니다. 개인마다 다른 이명 소리를 맞춤형으로 분석합니다.',
+    'about.notch.title': '노치 필터링',
+    'about.notch.text': '이명 주파수 대역을 제거한 사운드를 생성합니다. 해당 주파수의 뇌 신경 활동을 억제합니다.',
+    'about.continuous.title': '지속적 치료',
+    'about.continuous.text': '매일 꾸준히 들으면서 이명 증상을 완화합니다. 장기적으로 이명 크기가 감소하는 효과를 경험하세요.',
+    'about.science.title': '과학적 근거',
+    'about.science.text': '노치 사운드 테라피는 측면 억제(Lateral Inhibition) 원리를 활용합니다. 이명 주파수 주변의 신경 활동을 자극하여 이명 신호를 억제하는 방식으로, 다수의 임상 연구에서 효과가 입증되었습니다.',
+    'guide.subtitle': '효과적인 치료를 위한 단계별 안내',
+    'guide.quiet.title': '조용한 환경 준비',
+    'guide.quiet.text': '주변 소음이 적은 편안한 공간에서 시작하세요',
+    'guide.headphones.title': '헤드폰 착용',
+    'guide.headphones.text': '양쪽 귀에 균등하게 들리도록 헤드폰을 착용하세요',
+    'guide.matching.text': '이명 소리와 가장 유사한 주파수를 찾으세요',
+    'guide.volume.title': '편안한 볼륨 설정',
+    'guide.volume.text': '너무 크지 않게, 편안하게 들을 수 있는 볼륨으로 조절하세요',
+    'guide.daily.title': '매일 30분 이상',
+    'guide.daily.text': '꾸준히 매일 30분 이상 치료를 진행하세요',
+    'disclaimer.title': '의료 기기 안내',
+    'disclaimer.text': '본 서비스는 의료 기기가 아니며, 의료 진단을 대체하지 않습니다. 이명 증상이 심하거나 지속되는 경우 반드시 전문의와 상담하시기 바랍니다. 본 서비스는 이명 관리를 위한 보조 도구로 사용하시기 바랍니다.',
+
+    // Footer and terms
+    'footer.service': '서비스',
+    'footer.support': '지원',
+    'footer.contact': '문의: cnpbiz2021@gmail.com',
+    'footer.copyright': '© 2026 이명케어플러스. All rights reserved.',
+    'terms.title': '이용약관',
+    'terms.heading': '이명케어플러스 이용약관',
+    'terms.item.1': '본 서비스는 이명 증상 완화를 보조하는 디지털 사운드 테라피 콘텐츠를 제공합니다.',
+    'terms.item.2': '제공되는 사운드 엔진은 사용자의 설정에 따라 주파수 대역을 필터링하여 재생됩니다.',
+    'terms.item.3': '본 서비스는 의료 기기가 아니며, 의료적 진단이나 전문적인 치료를 대신할 수 없습니다.',
+    'terms.item.4': '사용 중 불쾌감이나 통증이 느껴질 경우 즉시 사용을 중단하고 전문의와 상담하십시오.',
+    'terms.item.5': '개인마다 효과의 차이가 있을 수 있으며, 장기적인 사용을 권장합니다.',
+
+    // Engine
+    'error.audioInit': '오디오 시스템을 초기화할 수 없습니다. 브라우저가 Web Audio API를 지원하는지 확인해주세요.',
+    'error.playback': '소리를 재생하지 못했습니다. 파일을 확인하거나 다시 시도해주세요.'
+});
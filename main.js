@@ -0,0 +1,9 @@
+/**
+ * Tinnitus Care - Entry Point
+ * Loads the audio engine module and starts the app
+ */
+
+import { TinnitusAudioEngine } from './audio-engine.js';
+
+// Module scripts run once the page has been parsed
+initializeApp(new TinnitusAudioEngine());
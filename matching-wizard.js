@@ -0,0 +1,166 @@
+/**
+ * Tinnitus Care - Frequency Matching Wizard
+ * Two-alternative forced-choice bisection with octave-confusion checks
+ */
+
+class FrequencyMatchWizard {
+    /**
+     * @param {Object} options
+     * @param {number} options.minFrequency Lowest frequency in Hz
+     * @param {number} options.maxFrequency Highest frequency in Hz
+     * @param {number} options.runs Number of independent matches
+     * @param {number} options.resolution Bisection stops at this interval width (octaves)
+     * @param {Function} options.random Random source in [0, 1)
+     */
+    constructor({ minFrequency = 250, maxFrequency = 12000, runs = 3, resolution = 0.15, random = Math.random } = {}) {
+        this.minFrequency = minFrequency;
+        this.maxFrequency = maxFrequency;
+        this.runs = runs;
+        this.resolution = resolution;
+        this.random = random;
+
+        this.results = [];
+        this.trial = null;
+        this.startRun();
+    }
+
+    /**
+     * Reset the search interval for the next run
+     */
+    startRun() {
+        // Work on a log2 scale so every step halves the interval in octaves
+        this.low = Math.log2(this.minFrequency);
+        this.high = Math.log2(this.maxFrequency);
+        this.step = 0;
+        this.octaveChecked = { up: false, down: false };
+        this.candidate = null;
+        this.nextTrial();
+    }
+
+    /**
+     * Set up the next comparison of the current run
+     */
+    nextTrial() {
+        this.step++;
+
+        if (this.candidate === null) {
+            // Bisection: compare the centers of the lower and upper halves
+            const quarter = (this.high - this.low) / 4;
+            this.presentPair('bisect', [
+                Math.pow(2, this.low + quarter),
+                Math.pow(2, this.high - quarter)
+            ]);
+            return;
+        }
+
+        // Octave confusion: compare the match with one octave up, then down
+        const frequency = this.candidate;
+        if (!this.octaveChecked.up && frequency * 2 <= this.maxFrequency) {
+            this.presentPair('octave-up', [frequency, frequency * 2]);
+        } else if (!this.octaveChecked.down && frequency / 2 >= this.minFrequency) {
+            this.presentPair('octave-down', [frequency, frequency / 2]);
+        } else {
+            this.finishRun();
+        }
+    }
+
+    /**
+     * Present two frequencies in random order
+     * @param {string} type 'bisect', 'octave-up' or 'octave-down'
+     * @param {number[]} pair Lower/reference frequency first
+     */
+    presentPair(type, pair) {
+        const swapped = this.random() < 0.5;
+        this.trial = {
+            type,
+            run: this.results.length + 1,
+            step: this.step,
+            frequencies: swapped ? [pair[1], pair[0]] : pair,
+            swapped
+        };
+    }
+
+    /**
+     * Record which tone sounded closer to the tinnitus
+     * @param {number|string} choice 0 or 1 for the presented tones, or 'same'
+     */
+    answer(choice) {
+        if (!this.trial) return;
+
+        // Map back to presentation-independent order: 0 = first of pair, 1 = second
+        const picked = choice === 'same' ? 'same' : (this.trial.swapped ? 1 - choice : choice);
+
+        if (this.trial.type === 'bisect') {
+            const middle = (this.low + this.high) / 2;
+            const quarter = (this.high - this.low) / 4;
+
+            if (picked === 0) {
+                this.high = middle;
+            } else if (picked === 1) {
+                this.low = middle;
+            } else {
+                // Both tones equally close: the match lies between them
+                this.low += quarter;
+                this.high -= quarter;
+            }
+
+            if (this.high - this.low <= this.resolution) {
+                this.candidate = Math.pow(2, (this.low + this.high) / 2);
+            }
+        } else {
+            const direction = this.trial.type === 'octave-up' ? 'up' : 'down';
+            this.octaveChecked[direction] = true;
+
+            // Moving an octave settles the question in the other direction too
+            if (picked === 1) {
+                this.candidate = this.trial.type === 'octave-up' ? this.candidate * 2 : this.candidate / 2;
+                this.octaveChecked.up = true;
+                this.octaveChecked.down = true;
+            }
+        }
+
+        this.nextTrial();
+    }
+
+    /**
+     * Store the run result and start the next run
+     */
+    finishRun() {
+        this.results.push(this.candidate);
+        this.trial = null;
+
+        if (this.results.length < this.runs) {
+            this.startRun();
+        }
+    }
+
+    isComplete() {
+        return this.results.length >= this.runs;
+    }
+
+    /**
+     * Combined match with a confidence range
+     * @returns {{frequency: number, low: number, high: number, spread: number, runs: number[]}}
+     *   Geometric mean, range of one geometric standard deviation (never narrower than
+     *   the bisection resolution), and spread between runs in octaves
+     */
+    getResult() {
+        if (this.results.length === 0) return null;
+
+        const octaves = this.results.map(frequency => Math.log2(frequency));
+        const mean = octaves.reduce((sum, value) => sum + value, 0) / octaves.length;
+        const variance = octaves.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / octaves.length;
+        const deviation = Math.max(Math.sqrt(variance), this.resolution / 2);
+
+        return {
+            frequency: Math.pow(2, mean),
+            low: Math.pow(2, mean - deviation),
+            high: Math.pow(2, mean + deviation),
+            spread: Math.max(...octaves) - Math.min(...octaves),
+            runs: [...this.results]
+        };
+    }
+}
+
+// Export for use in app.js
+window.FrequencyMatchWizard = FrequencyMatchWizard;
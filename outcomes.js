@@ -0,0 +1,89 @@
+/**
+ * Tinnitus Care - Outcome Measures
+ * Tinnitus Handicap Inventory (THI) items, scoring and severity grading
+ */
+
+const ThiQuestionnaire = {
+    /**
+     * The 25 THI items (Newman et al., 1996) with their subscale:
+     * F = functional, E = emotional, C = catastrophic
+     * Item texts are in the string catalogs as thi.item.1 to thi.item.25.
+     */
+    ITEMS: [
+        { subscale: 'F' },
+        { subscale: 'F' },
+        { subscale: 'E' },
+        { subscale: 'F' },
+        { subscale: 'C' },
+        { subscale: 'E' },
+        { subscale: 'F' },
+        { subscale: 'C' },
+        { subscale: 'F' },
+        { subscale: 'E' },
+        { subscale: 'C' },
+        { subscale: 'F' },
+        { subscale: 'F' },
+        { subscale: 'E' },
+        { subscale: 'F' },
+        { subscale: 'E' },
+        { subscale: 'E' },
+        { subscale: 'F' },
+        { subscale: 'C' },
+        { subscale: 'F' },
+        { subscale: 'E' },
+        { subscale: 'E' },
+        { subscale: 'C' },
+        { subscale: 'F' },
+        { subscale: 'E' }
+    ],
+
+    /**
+     * Answer options and their points, labelled by thi.answer.<value>
+     */
+    ANSWERS: [
+        { value: 'yes', points: 4 },
+        { value: 'sometimes', points: 2 },
+        { value: 'no', points: 0 }
+    ],
+
+    /**
+     * Severity grades (McCombe et al., 2001) by minimum total score, labelled by thi.grade.<grade>
+     */
+    GRADES: [
+        { grade: 5, min: 78 },
+        { grade: 4, min: 58 },
+        { grade: 3, min: 38 },
+        { grade: 2, min: 18 },
+        { grade: 1, min: 0 }
+    ],
+
+    /**
+     * Score a completed questionnaire
+     * @param {string[]} answers One answer value per item
+     * @returns {{total: number, subscales: {F: number, E: number, C: number}, grade: number}}
+     */
+    score(answers) {
+        if (answers.length !== this.ITEMS.length || answers.some(answer => !answer)) {
+            throw new Error('All THI items must be answered');
+        }
+
+        const subscales = { F: 0, E: 0, C: 0 };
+        answers.forEach((value, i) => {
+            const answer = this.ANSWERS.find(option => option.value === value);
+            subscales[this.ITEMS[i].subscale] += answer.points;
+        });
+
+        const total = subscales.F + subscales.E + subscales.C;
+        return { total, subscales, grade: this.grade(total) };
+    },
+
+    /**
+     * Severity grade for a total score
+     */
+    grade(total) {
+        return this.GRADES.find(entry => total >= entry.min).grade;
+    }
+};
+
+// Export for use in app.js
+window.ThiQuestionnaire = ThiQuestionnaire;
@@ -0,0 +1,357 @@
+/**
+ * Tinnitus Care - Sound Generators
+ * AudioWorklet processor that synthesizes the soundscapes continuously with
+ * randomized events and slow variations, so a session never repeats itself.
+ * Loaded by the audio engine through audioWorklet.addModule.
+ */
+
+// Uniform source in [0, 1) for the processor currently constructing or rendering
+let uniform = Math.random;
+
+/**
+ * Seeded uniform source in [0, 1) (mulberry32)
+ * @param {number} seed 32-bit integer seed
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Uniform random number in [min, max)
+ */
+function random(min, max) {
+    return min + uniform() * (max - min);
+}
+
+/**
+ * White noise sample in [-1, 1)
+ */
+function white() {
+    return uniform() * 2 - 1;
+}
+
+/**
+ * Pink noise (Paul Kellet's refined filter)
+ */
+class PinkNoise {
+    constructor() {
+        this.b0 = 0;
+        this.b1 = 0;
+        this.b2 = 0;
+        this.b3 = 0;
+        this.b4 = 0;
+        this.b5 = 0;
+        this.b6 = 0;
+    }
+
+    next() {
+        const w = white();
+        this.b0 = 0.99886 * this.b0 + w * 0.0555179;
+        this.b1 = 0.99332 * this.b1 + w * 0.0750759;
+        this.b2 = 0.96900 * this.b2 + w * 0.1538520;
+        this.b3 = 0.86650 * this.b3 + w * 0.3104856;
+        this.b4 = 0.55000 * this.b4 + w * 0.5329522;
+        this.b5 = -0.7616 * this.b5 - w * 0.0168980;
+        const out = (this.b0 + this.b1 + this.b2 + this.b3 + this.b4 + this.b5 + this.b6 + w * 0.5362) * 0.11;
+        this.b6 = w * 0.115926;
+        return out;
+    }
+}
+
+/**
+ * Brown noise: leaky integrated white noise
+ */
+class BrownNoise {
+    constructor() {
+        this.last = 0;
+    }
+
+    next() {
+        this.last = (this.last + 0.02 * white()) / 1.002;
+        return this.last;
+    }
+}
+
+/**
+ * Slow random variation between `min` and `max`
+ * Glides linearly to a new random target every `minTime`-`maxTime` seconds.
+ */
+class Drift {
+    constructor(min, max, minTime, maxTime) {
+        this.min = min;
+        this.max = max;
+        this.minTime = minTime;
+        this.maxTime = maxTime;
+        this.value = random(min, max);
+        this.step = 0;
+        this.remaining = 0;
+    }
+
+    next() {
+        if (this.remaining <= 0) {
+            this.remaining = Math.max(1, Math.round(random(this.minTime, this.maxTime) * sampleRate));
+            this.step = (random(this.min, this.max) - this.value) / this.remaining;
+        }
+
+        this.remaining--;
+        this.value += this.step;
+        return this.value;
+    }
+}
+
+/**
+ * Per-sample decay factor for a time constant in seconds
+ */
+function decayFactor(seconds) {
+    return Math.exp(-1 / (seconds * sampleRate));
+}
+
+/**
+ * White noise, independent per ear
+ */
+class WhiteNoiseSound {
+    render(left, right) {
+        for (let i = 0; i < left.length; i++) {
+            left[i] = white();
+            right[i] = white();
+        }
+    }
+}
+
+/**
+ * Rain: brown noise with drops of varying density and size
+ */
+class RainSound {
+    constructor() {
+        this.intensity = new Drift(0.5, 1, 5, 20);
+        this.ears = [0, 1].map(() => ({ noise: new BrownNoise(), drop: 0, decay: 0 }));
+    }
+
+    render(left, right) {
+        const outputs = [left, right];
+
+        for (let i = 0; i < left.length; i++) {
+            const intensity = this.intensity.next();
+
+            for (let ear = 0; ear < 2; ear++) {
+                const state = this.ears[ear];
+
+                // A new drop replaces a quieter, fading one
+                if (uniform() < 0.0006 * intensity) {
+                    state.drop = Math.max(state.drop, random(0.15, 0.6));
+                    state.decay = decayFactor(random(0.001, 0.004));
+                }
+
+                outputs[ear][i] = state.noise.next() * 2 * (0.7 + 0.3 * intensity) + white() * state.drop;
+                state.drop *= state.decay;
+            }
+        }
+    }
+}
+
+/**
+ * Waves: brown noise under swells of random length and height
+ */
+class WaveSound {
+    constructor() {
+        this.ears = [new BrownNoise(), new BrownNoise()];
+        this.phase = 0;
+        this.nextWave();
+    }
+
+    nextWave() {
+        this.phase = 0;
+        this.increment = 1 / (random(6, 12) * sampleRate);
+        this.height = random(0.6, 1);
+        // Each wave breaks a little more on one side
+        this.balance = random(-0.2, 0.2);
+    }
+
+    render(left, right) {
+        for (let i = 0; i < left.length; i++) {
+            const swell = 0.1 + 0.9 * this.height * (0.5 - 0.5 * Math.cos(2 * Math.PI * this.phase));
+            left[i] = this.ears[0].next() * 4 * swell * (1 - this.balance);
+            right[i] = this.ears[1].next() * 4 * swell * (1 + this.balance);
+
+            this.phase += this.increment;
+            if (this.phase >= 1) {
+                this.nextWave();
+            }
+        }
+    }
+}
+
+/**
+ * Forest: pink noise moved by gusts of wind
+ */
+class ForestSound {
+    constructor() {
+        this.gust = new Drift(0.4, 1, 2, 8);
+        this.ears = [0, 1].map(() => ({ noise: new PinkNoise(), sway: new Drift(0.85, 1, 1, 4) }));
+    }
+
+    render(left, right) {
+        for (let i = 0; i < left.length; i++) {
+            const gust = this.gust.next();
+            left[i] = this.ears[0].noise.next() * gust * this.ears[0].sway.next();
+            right[i] = this.ears[1].noise.next() * gust * this.ears[1].sway.next();
+        }
+    }
+}
+
+/**
+ * Night insects: quiet pink noise with an insect chirping in each ear
+ * Chirp rate drifts and the insects fall silent now and then.
+ */
+class NightSound {
+    constructor() {
+        this.ears = [0, 1].map(() => ({
+            noise: new PinkNoise(),
+            rate: new Drift(4, 6, 3, 10), // chirps per second
+            phase: uniform(),
+            singing: true,
+            remaining: 0,
+            gate: 0
+        }));
+        this.gateDecay = decayFactor(0.05);
+    }
+
+    render(left, right) {
+        const outputs = [left, right];
+
+        for (let i = 0; i < left.length; i++) {
+            for (let ear = 0; ear < 2; ear++) {
+                const insect = this.ears[ear];
+
+                // Alternate singing spells and pauses
+                if (--insect.remaining <= 0) {
+                    insect.singing = !insect.singing;
+                    insect.remaining = Math.round((insect.singing ? random(1, 5) : random(0.3, 2.5)) * sampleRate);
+                }
+                const target = insect.singing ? 1 : 0;
+                insect.gate = target + (insect.gate - target) * this.gateDecay;
+
+                insect.phase = (insect.phase + insect.rate.next() / sampleRate) % 1;
+                const envelope = Math.pow(0.5 + 0.5 * Math.sin(2 * Math.PI * insect.phase), 20);
+                const chirp = white() * envelope * 0.15 * insect.gate;
+
+                outputs[ear][i] = insect.noise.next() * 0.4 + chirp;
+            }
+        }
+    }
+}
+
+// Wind bell pitches (pentatonic) in Hz
+const BELL_PITCHES = [880, 987.8, 1174.7, 1318.5, 1480];
+
+// Inharmonic bell partials as [frequency ratio, level, decay seconds]
+const BELL_PARTIALS = [[1, 1, 2.5], [2.76, 0.5, 1.2], [5.4, 0.25, 0.5]];
+
+/**
+ * Temple: pink noise with a low hum and a wind bell struck at random
+ */
+class TempleSound {
+    constructor() {
+        this.ears = [new PinkNoise(), new PinkNoise()];
+        this.hum = new Drift(0.6, 1.4, 4, 12);
+        this.humPhase = 0;
+        this.bells = [];
+        this.untilStrike = Math.round(random(2, 8) * sampleRate);
+    }
+
+    strike() {
+        const pitch = BELL_PITCHES[Math.floor(uniform() * BELL_PITCHES.length)];
+        const level = random(0.03, 0.08);
+        const pan = random(-0.6, 0.6);
+
+        BELL_PARTIALS.forEach(([ratio, partLevel, decay]) => {
+            this.bells.push({
+                increment: (pitch * ratio) / sampleRate,
+                phase: 0,
+                amplitude: level * partLevel,
+                decay: decayFactor(decay),
+                left: 1 - pan,
+                right: 1 + pan
+            });
+        });
+    }
+
+    render(left, right) {
+        for (let i = 0; i < left.length; i++) {
+            if (--this.untilStrike <= 0) {
+                this.strike();
+                this.untilStrike = Math.round(random(4, 15) * sampleRate);
+            }
+
+            this.humPhase = (this.humPhase + 380 / sampleRate) % 1;
+            const hum = Math.sin(2 * Math.PI * this.humPhase) * 0.015 * this.hum.next();
+
+            let bellLeft = 0;
+            let bellRight = 0;
+            for (const bell of this.bells) {
+                const value = Math.sin(2 * Math.PI * bell.phase) * bell.amplitude;
+                bellLeft += value * bell.left;
+                bellRight += value * bell.right;
+                bell.phase = (bell.phase + bell.increment) % 1;
+                bell.amplitude *= bell.decay;
+            }
+
+            left[i] = this.ears[0].next() + hum + bellLeft;
+            right[i] = this.ears[1].next() + hum + bellRight;
+        }
+
+        // Drop partials once inaudible
+        this.bells = this.bells.filter(bell => bell.amplitude > 1e-5);
+    }
+}
+
+// Generators by engine sound type
+const SOUNDS = {
+    whitenoise: WhiteNoiseSound,
+    rain: RainSound,
+    wave: WaveSound,
+    forest: ForestSound,
+    night: NightSound,
+    temple: TempleSound
+};
+
+/**
+ * Stereo source for one soundscape
+ * processorOptions.sound picks the generator and processorOptions.seed, if
+ * given, makes its output repeatable; posting 'stop' ends it.
+ */
+class SoundscapeProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { sound, seed } = options.processorOptions;
+        const Sound = SOUNDS[sound] || WhiteNoiseSound;
+        // Processors share this scope, so each one installs its own source before use
+        this.random = Number.isInteger(seed) ? createRandom(seed) : Math.random;
+        uniform = this.random;
+        this.sound = new Sound();
+        this.stopped = false;
+        this.port.onmessage = (event) => {
+            if (event.data === 'stop') {
+                this.stopped = true;
+            }
+        };
+    }
+
+    process(inputs, outputs) {
+        if (this.stopped) return false;
+
+        const [left, right] = outputs[0];
+        uniform = this.random;
+        this.sound.render(left, right);
+        return true;
+    }
+}
+
+registerProcessor('soundscape-generator', SoundscapeProcessor);
@@ -0,0 +1,81 @@
+/**
+ * Tinnitus Care - Service Worker
+ * Caches the app shell so therapy works offline
+ */
+
+// Bump the version whenever a cached file changes
+const CACHE_NAME = 'tinnitus-care-v15';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'i18n.js',
+    'locales/ko.js',
+    'locales/en.js',
+    'audio-engine.js',
+    'audio-params.js',
+    'therapy-modes.js',
+    'sound-generators.js',
+    'data-store.js',
+    'outcomes.js',
+    'treatment-programs.js',
+    'clinician-report.js',
+    'matching-wizard.js',
+    'hearing-screening.js',
+    'wav-encoder.js',
+    'app.js',
+    'main.js',
+    'manifest.webmanifest',
+    'hero-image.jpg',
+    'icon-192.png',
+    'icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Reminder notifications bring the app to the front
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(windows => {
+            const client = windows.find(win => 'focus' in win);
+            return client ? client.focus() : self.clients.openWindow('./#therapy');
+        })
+    );
+});
+
+// Cache first for the app's own files; fonts and ads go to the network
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(request).catch(() => {
+                // Offline navigation falls back to the cached page
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                throw new Error(`Offline and not cached: ${request.url}`);
+            });
+        })
+    );
+});
@@ -0,0 +1,591 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TinnitusAudioEngine, NotchBand, NOTCH_ORDER } from '../audio-engine.js';
+import { FakeAudioContext, FakeOfflineAudioContext } from './fake-audio-context.js';
+
+/**
+ * Repeatable uniform source (mulberry32)
+ */
+function seededRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let x = Math.imul(seed ^ (seed >>> 15), seed | 1);
+        x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+        return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createEngine(options = {}) {
+    return new TinnitusAudioEngine({
+        createAudioContext: () => new FakeAudioContext(),
+        createOfflineContext: (channels, length, sampleRate) => new FakeOfflineAudioContext(channels, length, sampleRate),
+        createMediaElement: null,
+        random: seededRandom(1),
+        ...options
+    });
+}
+
+/**
+ * Collect the detail of every event of one type
+ */
+function record(engine, type) {
+    const details = [];
+    engine.addEventListener(type, event => details.push(event.detail));
+    return details;
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+describe('NotchBand', () => {
+    it('splits the band-stop design into two all-pass branches', () => {
+        const branches = NotchBand.design(4000, 1, 48000);
+        const sections = branches.flat();
+
+        assert.equal(branches.length, 2);
+        assert.equal(sections.length, NOTCH_ORDER);
+        sections.forEach(({ frequency, Q }) => {
+            assert.ok(frequency > 0 && frequency < 24000, `section at ${frequency} Hz`);
+            assert.ok(Q > 0, `Q ${Q}`);
+        });
+    });
+
+    it('keeps the band edges one width apart', () => {
+        const band = new NotchBand(new FakeAudioContext(), 4000, 1, 40);
+        const { low, high } = band.getEdges();
+
+        assert.ok(Math.abs(low - 2828.43) < 0.01);
+        assert.ok(Math.abs(high / low - 2) < 1e-9);
+    });
+
+    it('reports the upper edge as clamped below Nyquist', () => {
+        const band = new NotchBand(new FakeAudioContext(), 16000, 1, 40);
+
+        assert.equal(band.getEdges().high, 48000 * 0.4);
+        assert.deepEqual(band.getEdges(), NotchBand.edges(16000, 1, 48000));
+    });
+
+    it('mixes the branches to the stopband depth', () => {
+        const band = new NotchBand(new FakeAudioContext(), 4000, 1, 20);
+
+        assert.ok(Math.abs(band.branches[0].gain.gain.value - 0.55) < 1e-9);
+        assert.ok(Math.abs(band.branches[1].gain.gain.value - 0.45) < 1e-9);
+    });
+});
+
+describe('sound generators', () => {
+    it('repeat for the same random source', () => {
+        const first = createEngine({ random: seededRandom(7) }).createRainBuffer(1);
+        const second = createEngine({ random: seededRandom(7) }).createRainBuffer(1);
+
+        assert.deepEqual(first.getChannelData(0), second.getChannelData(0));
+        assert.deepEqual(first.getChannelData(1), second.getChannelData(1));
+    });
+
+    it('seed the worklet generators from the random source', async () => {
+        const options = [];
+        globalThis.AudioWorkletNode = class {
+            constructor(context, name, nodeOptions) {
+                options.push(nodeOptions.processorOptions);
+            }
+        };
+        try {
+            for (const seed of [7, 7]) {
+                const engine = createEngine({ random: seededRandom(seed) });
+                const context = new FakeAudioContext();
+                context.audioWorklet = { addModule: async () => {} };
+                await engine.createSoundSource('rain', context);
+            }
+        } finally {
+            delete globalThis.AudioWorkletNode;
+        }
+
+        assert.equal(options[0].sound, 'rain');
+        assert.ok(Number.isInteger(options[0].seed));
+        assert.equal(options[0].seed, options[1].seed);
+    });
+
+    it('fill every buffer with stereo audio', () => {
+        const engine = createEngine();
+        ['createWhiteNoiseBuffer', 'createRainBuffer', 'createWaveBuffer',
+            'createForestBuffer', 'createNightBuffer', 'createTempleBuffer'].forEach(generator => {
+            const buffer = engine[generator](1);
+            assert.equal(buffer.numberOfChannels, 2);
+            assert.equal(buffer.length, 48000);
+
+            const samples = buffer.getChannelData(0);
+            assert.ok(samples.every(Number.isFinite), generator);
+            assert.ok(samples.some(sample => sample !== 0), generator);
+        });
+    });
+
+    it('shuffle the playlist with the current track first', () => {
+        const engine = createEngine();
+        engine.playlist = Array.from({ length: 8 }, (_, i) => ({ name: `track ${i}` }));
+        engine.playlistIndex = 5;
+        engine.setShuffle(true);
+
+        assert.equal(engine.playOrder[0], 5);
+        assert.deepEqual([...engine.playOrder].sort(), [0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+});
+
+describe('therapy graph', () => {
+    it('routes the source through a notch per ear to the output', async () => {
+        const engine = createEngine();
+        assert.equal(await engine.start('rain'), true);
+
+        const { audioContext: context, earPaths } = engine;
+        assert.equal(engine.therapySource.buffer.length, 4 * context.sampleRate);
+        assert.ok(engine.therapySource.started);
+        assert.ok(engine.therapySource.isConnectedTo(engine.therapySourceGain));
+        assert.ok(engine.therapySourceGain.isConnectedTo(engine.therapyInput));
+        assert.ok(engine.earMerger.isConnectedTo(engine.therapyGain));
+        assert.ok(engine.therapyGain.isConnectedTo(engine.analyser));
+        assert.ok(engine.outputMeter.isConnectedTo(context.destination));
+
+        ['left', 'right'].forEach(ear => {
+            assert.equal(earPaths[ear].notch.frequency, 4000);
+            assert.ok(earPaths[ear].gain.isConnectedTo(engine.earMerger));
+        });
+
+        await engine.stop();
+        assert.equal(engine.earPaths, null);
+        assert.ok(engine.therapySource === null);
+    });
+
+    it('follows per-ear frequencies', async () => {
+        const engine = createEngine();
+        engine.setPerEarMode(true);
+        engine.setEarFrequency('left', 3000);
+        engine.setEarFrequency('right', 6000);
+        await engine.start();
+
+        assert.equal(engine.earPaths.left.notch.frequency, 3000);
+        assert.equal(engine.earPaths.right.notch.frequency, 6000);
+        await engine.stop();
+    });
+
+    it('crossfades to another sound', async () => {
+        const engine = createEngine();
+        await engine.start('whitenoise');
+        const previous = engine.therapySource;
+
+        await engine.switchSound('wave');
+
+        assert.equal(engine.currentSound, 'wave');
+        assert.notEqual(engine.therapySource, previous);
+        assert.equal(engine.fadingSources.length, 1);
+        assert.equal(engine.fadingSources[0].source, previous);
+        await engine.stop();
+        assert.ok(previous.stopped);
+    });
+
+    it('shares one start between overlapping calls', async () => {
+        const engine = createEngine();
+        const first = engine.start('rain');
+        const second = engine.start('rain');
+
+        assert.equal(first, second);
+        assert.deepEqual(await Promise.all([first, second]), [true, true]);
+
+        const playing = engine.audioContext.nodes.filter(node => node.started && !node.stopped);
+        assert.deepEqual(playing, [engine.therapySource]);
+        assert.ok(engine.therapySource.isConnectedTo(engine.therapySourceGain));
+
+        await engine.stop();
+        assert.ok(engine.audioContext.nodes.every(node => !node.started || node.stopped));
+    });
+
+    it('does not start when the headphone check is cancelled', async () => {
+        const engine = createEngine();
+        engine.confirmOutput = async () => false;
+        const states = record(engine, 'state-change');
+
+        assert.equal(await engine.start(), false);
+        assert.equal(engine.state, 'stopped');
+        assert.deepEqual(states, []);
+    });
+
+    it('renders notched therapy offline', async () => {
+        const engine = createEngine();
+        const buffer = await engine.renderTherapy({ soundType: 'forest', duration: 2 });
+
+        assert.equal(buffer.numberOfChannels, 2);
+        assert.equal(buffer.length, 2 * engine.audioContext.sampleRate);
+    });
+});
+
+describe('multiple tones', () => {
+    it('chain a notch per tone in each ear', async () => {
+        const engine = createEngine();
+        await engine.start();
+        engine.addTone(1000, 0.5);
+        engine.addTone(8000);
+
+        ['left', 'right'].forEach(ear => {
+            const { notch, toneNotches, gain } = engine.earPaths[ear];
+            assert.deepEqual(toneNotches.map(band => [band.frequency, band.width]), [[1000, 0.5], [8000, 1]]);
+            assert.ok(notch.output.isConnectedTo(toneNotches[0].input));
+            assert.ok(toneNotches[0].output.isConnectedTo(toneNotches[1].input));
+            assert.ok(toneNotches[1].output.isConnectedTo(gain));
+        });
+
+        engine.removeTone(0);
+        const { notch, toneNotches, gain } = engine.earPaths.left;
+        assert.deepEqual(toneNotches.map(band => band.frequency), [8000]);
+        assert.ok(!notch.output.isConnectedTo(gain));
+        assert.ok(toneNotches[0].output.isConnectedTo(gain));
+
+        engine.removeTone(0);
+        assert.ok(engine.earPaths.left.notch.output.isConnectedTo(engine.earPaths.left.gain));
+        await engine.stop();
+    });
+
+    it('retune each notch on its own', async () => {
+        const engine = createEngine();
+        engine.setTones([{ frequency: 1000, width: 0.5 }, { frequency: 2000, width: 0.5 }]);
+        await engine.start();
+
+        engine.setToneFrequency(1, 2500);
+        engine.setToneWidth(1, 0.75);
+        engine.setNotchDepth(30);
+
+        const [first, second] = engine.earPaths.right.toneNotches;
+        assert.equal(first.frequency, 1000);
+        assert.equal(second.frequency, 2500);
+        assert.equal(second.width, 0.75);
+        assert.equal(second.depth, 30);
+        assert.equal(engine.earPaths.right.notch.frequency, 4000);
+        await engine.stop();
+    });
+
+    it('match a tone with the test tone', async () => {
+        const engine = createEngine();
+        engine.addTone(1000);
+        engine.addTone(300);
+
+        await engine.playToneTest(1);
+        assert.equal(engine.testStimulus.oscillator.frequency.value, 300);
+
+        engine.setToneFrequency(1, 350);
+        assert.equal(engine.testStimulus.oscillator.frequency.value, 350);
+
+        // Removing an earlier tone keeps the test on the same one
+        engine.removeTone(0);
+        assert.equal(engine.testToneIndex, 0);
+
+        engine.removeTone(0);
+        assert.equal(engine.isTestTonePlaying, false);
+        assert.equal(engine.testToneIndex, null);
+    });
+
+    it('record the extra tones in the session', async () => {
+        const engine = createEngine();
+        const sessions = record(engine, 'session-end');
+        engine.addTone(1000, 0.5);
+        await engine.start();
+        await engine.stop();
+
+        assert.deepEqual(sessions[0].tones, [{ frequency: 1000, width: 0.5 }]);
+    });
+
+    it('render every notch offline', async () => {
+        const engine = createEngine();
+        engine.addTone(1000);
+        const buffer = await engine.renderTherapy({ duration: 1 });
+
+        assert.equal(buffer.length, engine.audioContext.sampleRate);
+    });
+});
+
+describe('therapy modes', () => {
+    it('play around the matched frequency without the notch', async () => {
+        const engine = createEngine();
+        await engine.setTherapyMode('am');
+        await engine.start();
+
+        const { mode } = engine.therapySource;
+        assert.ok(mode.sources.every(source => source.started));
+        assert.equal(mode.sources[0].frequency.value, 4000);
+        assert.ok(engine.therapySourceGain.isConnectedTo(engine.therapyGain));
+        assert.ok(!engine.therapySourceGain.isConnectedTo(engine.therapyInput));
+
+        await engine.stop();
+        assert.ok(mode.sources.every(source => source.stopped));
+    });
+
+    it('retune with the matched frequency', async () => {
+        const engine = createEngine();
+        await engine.setTherapyMode('cr');
+        await engine.start();
+
+        engine.setFrequency(6000);
+        const tones = engine.therapySource.mode.sources.slice(1);
+        assert.deepEqual(tones.map(tone => Math.round(tone.frequency.value)), [4596, 5358, 6798, 8400]);
+        assert.deepEqual(engine.getModeFrequencies().frequencies.map(Math.round), [4596, 5358, 6798, 8400]);
+        await engine.stop();
+    });
+
+    it('repeat the CR sequence for the same random source', async () => {
+        const envelopes = async seed => {
+            const engine = createEngine({ random: seededRandom(seed) });
+            engine.therapyMode = 'cr';
+            return (await engine.createModeSource()).mode.sources[0].buffer;
+        };
+        const first = await envelopes(3);
+        const second = await envelopes(3);
+
+        assert.equal(first.numberOfChannels, 4);
+        for (let channel = 0; channel < 4; channel++) {
+            assert.deepEqual(first.getChannelData(channel), second.getChannelData(channel));
+        }
+    });
+
+    it('feed the masking band from the streaming white-noise generator', async () => {
+        const generators = [];
+        globalThis.AudioWorkletNode = class {
+            constructor(context, name, options) {
+                this.options = options.processorOptions;
+                this.port = { postMessage: message => { this.message = message; } };
+                generators.push(this);
+            }
+
+            connect() {}
+
+            disconnect() {}
+        };
+        try {
+            const engine = createEngine();
+            engine.therapyMode = 'masking';
+            const context = new FakeAudioContext();
+            context.audioWorklet = { addModule: async () => {} };
+            const source = await engine.createModeSource(context);
+
+            assert.equal(source.mode.sources[0], generators[0]);
+            assert.equal(generators[0].options.sound, 'whitenoise');
+            engine.stopSource(source);
+            assert.equal(generators[0].message, 'stop');
+        } finally {
+            delete globalThis.AudioWorkletNode;
+        }
+    });
+
+    it('crossfade when the mode changes and record it in the session', async () => {
+        const engine = createEngine();
+        const sessions = record(engine, 'session-end');
+        await engine.start('rain');
+        const previous = engine.therapySource;
+
+        await engine.setTherapyMode('masking');
+        assert.equal(engine.fadingSources[0].source, previous);
+        assert.ok(engine.therapySource.mode);
+        assert.equal(engine.getModeFrequencies().band, true);
+
+        await engine.stop();
+        assert.equal(sessions[0].mode, 'masking');
+    });
+
+    it('ignore unknown modes', async () => {
+        const engine = createEngine();
+        await engine.setTherapyMode('binaural');
+
+        assert.equal(engine.therapyMode, 'notched');
+        assert.equal(engine.getModeFrequencies(), null);
+    });
+});
+
+describe('therapy session', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'] });
+    });
+
+    it('reports state changes and ticks', async () => {
+        const engine = createEngine();
+        const states = record(engine, 'state-change');
+        const ticks = record(engine, 'tick');
+        engine.setSessionLength(600);
+
+        await engine.start();
+        mock.timers.tick(1000);
+        mock.timers.tick(1000);
+        await engine.stop();
+
+        assert.deepEqual(states.map(({ state }) => state), ['playing', 'stopped']);
+        assert.deepEqual(ticks, [
+            { elapsed: 1, total: 1, remaining: 599 },
+            { elapsed: 2, total: 2, remaining: 598 }
+        ]);
+    });
+
+    it('keeps elapsed time across a pause', async () => {
+        const engine = createEngine();
+        const states = record(engine, 'state-change');
+        const sessions = record(engine, 'session-end');
+
+        await engine.start();
+        mock.timers.tick(5000);
+
+        const paused = engine.pause();
+        mock.timers.tick(300);
+        await paused;
+        assert.equal(engine.therapyGain.gain.value, 0);
+        mock.timers.tick(60000);
+
+        await engine.resume();
+        mock.timers.tick(3000);
+        await engine.stop();
+
+        assert.deepEqual(states.map(({ state }) => state), ['playing', 'paused', 'playing', 'stopped']);
+        assert.equal(sessions.length, 1);
+        assert.equal(sessions[0].duration, 8);
+    });
+
+    it('resumes through start', async () => {
+        const engine = createEngine();
+        await engine.start();
+
+        const paused = engine.pause();
+        mock.timers.tick(300);
+        await paused;
+
+        assert.equal(await engine.start(), true);
+        assert.equal(engine.state, 'playing');
+        await engine.stop();
+    });
+
+    it('stops itself at the session length', async () => {
+        const engine = createEngine();
+        const autoStops = record(engine, 'auto-stop');
+        const sessions = record(engine, 'session-end');
+        engine.setSessionLength(10);
+        engine.setFades(0, 4);
+
+        await engine.start();
+        mock.timers.tick(6000);
+        assert.ok(engine.isFadingOut);
+        mock.timers.tick(4000);
+
+        assert.equal(engine.state, 'stopped');
+        assert.equal(autoStops.length, 1);
+        assert.equal(sessions[0].duration, 10);
+        assert.equal(sessions[0].autoStopped, true);
+    });
+
+    it('counts earlier listening toward a daily length', async () => {
+        const engine = createEngine();
+        const ticks = record(engine, 'tick');
+        const sessions = record(engine, 'session-end');
+        engine.setSessionLength(1800, { daily: true });
+        engine.setPriorListening(1795);
+        engine.setFades(0, 0);
+
+        await engine.start();
+        for (let i = 0; i < 5; i++) {
+            mock.timers.tick(1000);
+        }
+
+        assert.deepEqual(ticks.at(-1), { elapsed: 5, total: 1800, remaining: 0 });
+        assert.equal(engine.state, 'stopped');
+        assert.equal(sessions[0].duration, 5);
+        assert.equal(sessions[0].autoStopped, true);
+    });
+
+    it('gives each session the full fixed length after earlier listening', async () => {
+        const engine = createEngine();
+        const ticks = record(engine, 'tick');
+        engine.setSessionLength(1800);
+        engine.setPriorListening(1800);
+        engine.setFades(0, 0);
+
+        assert.equal(engine.getRemainingTime(), 1800);
+        await engine.start();
+        mock.timers.tick(1000);
+
+        assert.deepEqual(ticks.at(-1), { elapsed: 1, total: 1801, remaining: 1799 });
+        assert.equal(engine.state, 'playing');
+        await engine.stop();
+    });
+
+    it('resolves every waiting stop when a fade is cut short', async () => {
+        const engine = createEngine();
+        await engine.start();
+
+        const fading = engine.stop({ fade: 30 });
+        const immediate = engine.stop({ fade: 30 });
+        await Promise.all([fading, immediate]);
+
+        assert.equal(engine.state, 'stopped');
+    });
+
+    it('adds listening time to the exposure estimate', async () => {
+        const engine = createEngine();
+        const exposures = record(engine, 'exposure');
+
+        await engine.start();
+        mock.timers.tick(3000);
+        await engine.stop();
+
+        assert.equal(exposures.length, 3);
+        assert.ok(exposures.every(({ dose, level }) => dose > 0 && Math.abs(level - 80) < 1e-6));
+    });
+});
+
+describe('errors', () => {
+    it('reports a failed audio context as an error event', async () => {
+        const failure = new Error('no audio');
+        const engine = createEngine({ createAudioContext: () => { throw failure; } });
+        const errors = record(engine, 'error');
+
+        await Promise.resolve();
+        assert.deepEqual(errors, [{ code: 'audio-init', error: failure }]);
+    });
+
+});
+
+describe('hearing safety', () => {
+    it('clips the output at the limiter ceiling after undoing the makeup gain', () => {
+        const engine = createEngine();
+        const { limiter, limiterTrim, clipper, outputMeter } = engine;
+        const ceiling = Math.pow(10, -3 / 20);
+        const curve = clipper.curve;
+
+        assert.ok(limiter.isConnectedTo(limiterTrim));
+        assert.ok(limiterTrim.isConnectedTo(clipper));
+        assert.ok(clipper.isConnectedTo(outputMeter));
+        assert.ok(Math.abs(20 * Math.log10(limiterTrim.gain.value) + 1.71) < 1e-9);
+        assert.ok(Math.abs(curve[0] + ceiling) < 1e-6 && Math.abs(curve.at(-1) - ceiling) < 1e-6);
+        assert.equal(curve[(curve.length - 1) / 2], 0);
+        assert.ok(Math.abs(curve[(curve.length - 1) * 3 / 4] - 0.5) < 1e-6);
+    });
+
+    it('sends masking noise through the output limiter, panned to the measured ear', async () => {
+        const engine = createEngine();
+        await engine.playMaskingNoise(-30, 'right');
+
+        assert.equal(engine.maskingPanner.pan.value, 1);
+        assert.ok(engine.maskingGain.isConnectedTo(engine.maskingPanner));
+        assert.ok(engine.maskingPanner.isConnectedTo(engine.limiter));
+        assert.ok(!engine.maskingGain.isConnectedTo(engine.audioContext.destination));
+
+        engine.stopMaskingNoise();
+        assert.equal(engine.maskingPanner, null);
+    });
+
+    it('computes a full daily dose at the reference level', () => {
+        const engine = createEngine();
+
+        assert.ok(Math.abs(engine.getExposureDose(80, 8 * 3600) - 1) < 1e-9);
+        assert.ok(Math.abs(engine.getExposureDose(83, 4 * 3600) - 1) < 1e-9);
+        assert.equal(engine.getExposureDose(-Infinity, 3600), 0);
+    });
+});
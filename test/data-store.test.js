@@ -0,0 +1,109 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+let TinnitusDataStore;
+
+/**
+ * In-memory stand-in for localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Store holding one of everything a backup carries
+ */
+function createFilledStore() {
+    const store = new TinnitusDataStore(new MemoryStorage());
+    store.updateSettings({ sessionLength: 1800 });
+    store.updateProfile({ tones: [{ frequency: 6000, width: 0.5 }] });
+    store.addMatch({ time: 1, ear: null, frequency: 4000, low: 3800, high: 4200, spread: 0.1 });
+    store.addSession({
+        startTime: 1, endTime: 2, duration: 60, sound: 'rain', mode: 'notched', frequency: 4000, ears: null,
+        tones: [], notchWidth: 1, notchDepth: 40, volume: 0.5, compensation: false, exposure: 0.01, autoStopped: false
+    });
+    store.addThiResult({ time: 1, answers: [], total: 20, subscales: { F: 10, E: 6, C: 4 }, grade: 2 });
+    store.addRating({ time: 1, phase: 'before', loudness: 5, annoyance: 4 });
+    store.saveBlend({ name: 'evening', layers: { rain: 0.5 } });
+    store.addExposure(0.1);
+    store.startProgram('standard');
+    return store;
+}
+
+before(async () => {
+    globalThis.window = {};
+    await import('../data-store.js');
+    ({ TinnitusDataStore } = globalThis.window);
+});
+
+beforeEach(() => {
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('backup import', () => {
+    it('restores an exported backup', () => {
+        const backup = createFilledStore().exportData();
+        const store = new TinnitusDataStore(new MemoryStorage());
+
+        store.importData(backup);
+
+        assert.deepEqual(store.exportData().data, backup.data);
+    });
+
+    const malformed = {
+        'a null profile': data => { data.profile = null; },
+        'tones that are not a list': data => { data.profile.tones = null; },
+        'an ear without a frequency': data => { data.profile.ears = { left: {}, right: { frequency: 4000 } }; },
+        'a text notch width': data => { data.profile.notchWidth = '1'; },
+        'a missing profile frequency': data => { data.profile.frequency = null; },
+        'a match without a range': data => { data.profile.matches = [{ time: 1, frequency: 4000 }]; },
+        'a loudness result without levels': data => { data.profile.loudness = { frequency: 4000 }; },
+        'sessions that are not a list': data => { data.sessions = {}; },
+        'a session without a notch width': data => { delete data.sessions[0].notchWidth; },
+        'a session without a volume': data => { data.sessions[0].volume = null; },
+        'a session with half of its ears': data => { data.sessions[0].ears = { left: 4000 }; },
+        'a THI result without subscales': data => { delete data.thi[0].subscales; },
+        'a THI result with a missing subscale': data => { delete data.thi[0].subscales.C; },
+        'a THI result with an unknown grade': data => { data.thi[0].grade = 9; },
+        'a THI result without a total': data => { data.thi[0].total = '20'; },
+        'a rating without annoyance': data => { delete data.ratings[0].annoyance; },
+        'a blend without layers': data => { delete data.blends[0].layers; },
+        'a text exposure dose': data => { data.exposure = { '2026-01-01': 'high' }; },
+        'a program without a start date': data => { data.program = { id: 'standard' }; },
+        'settings that are a list': data => { data.settings = []; },
+        'a text fade-in': data => { data.settings.fadeIn = '10'; },
+        'an unknown session length': data => { data.settings.sessionLength = 'forever'; },
+        'a text ratings switch': data => { data.settings.askRatings = 'yes'; },
+        'reminder times that are numbers': data => { data.settings.reminderTimes = [2000]; }
+    };
+
+    Object.entries(malformed).forEach(([name, corrupt]) => {
+        it(`rejects ${name} and keeps the stored data`, () => {
+            const backup = createFilledStore().exportData();
+            corrupt(backup.data);
+            const store = createFilledStore();
+            const stored = store.exportData().data;
+
+            assert.throws(() => store.importData(backup), /Invalid/);
+            assert.deepEqual(store.exportData().data, stored);
+        });
+    });
+});
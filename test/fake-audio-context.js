@@ -0,0 +1,200 @@
+/**
+ * Tinnitus Care - Fake Web Audio
+ * Just enough of AudioContext for the engine's graph logic to run in Node.
+ * Nodes record their connections and params keep their last scheduled value.
+ */
+
+class FakeParam {
+    constructor(value = 0) {
+        this.value = value;
+    }
+
+    setValueAtTime(value) {
+        this.value = value;
+        return this;
+    }
+
+    setTargetAtTime(value) {
+        this.value = value;
+        return this;
+    }
+
+    linearRampToValueAtTime(value) {
+        this.value = value;
+        return this;
+    }
+
+    cancelScheduledValues() {
+        return this;
+    }
+}
+
+class FakeNode {
+    constructor(context, params = {}) {
+        this.context = context;
+        this.connections = [];
+        this.numberOfOutputs = 1;
+        Object.entries(params).forEach(([name, value]) => {
+            this[name] = new FakeParam(value);
+        });
+    }
+
+    connect(destination, output = 0, input = 0) {
+        this.connections.push({ destination, output, input });
+        return destination;
+    }
+
+    disconnect(destination) {
+        this.connections = destination
+            ? this.connections.filter(connection => connection.destination !== destination)
+            : [];
+    }
+
+    /**
+     * Whether this node feeds `destination` directly
+     */
+    isConnectedTo(destination) {
+        return this.connections.some(connection => connection.destination === destination);
+    }
+}
+
+class FakeSource extends FakeNode {
+    constructor(context, params) {
+        super(context, params);
+        this.started = false;
+        this.stopped = false;
+    }
+
+    start() {
+        this.started = true;
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+}
+
+class FakeBuffer {
+    constructor(channels, length, sampleRate) {
+        this.numberOfChannels = channels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.channels = Array.from({ length: channels }, () => new Float32Array(length));
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+class FakeAnalyser extends FakeNode {
+    constructor(context) {
+        super(context);
+        this.fftSize = 2048;
+    }
+
+    get frequencyBinCount() {
+        return this.fftSize / 2;
+    }
+
+    getFloatTimeDomainData(samples) {
+        samples.fill(0.1);
+    }
+
+    getFloatFrequencyData(bins) {
+        bins.fill(-60);
+    }
+
+    getByteTimeDomainData(data) {
+        data.fill(128);
+    }
+}
+
+export class FakeAudioContext {
+    constructor({ sampleRate = 48000 } = {}) {
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.state = 'suspended';
+        this.destination = new FakeNode(this);
+        this.nodes = [];
+    }
+
+    track(node) {
+        this.nodes.push(node);
+        return node;
+    }
+
+    createGain() {
+        return this.track(new FakeNode(this, { gain: 1 }));
+    }
+
+    createBiquadFilter() {
+        const filter = new FakeNode(this, { frequency: 350, Q: 1, gain: 0 });
+        filter.type = 'lowpass';
+        return this.track(filter);
+    }
+
+    createOscillator() {
+        const oscillator = new FakeSource(this, { frequency: 440 });
+        oscillator.type = 'sine';
+        return this.track(oscillator);
+    }
+
+    createBufferSource() {
+        const source = new FakeSource(this);
+        source.buffer = null;
+        source.loop = false;
+        return this.track(source);
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        return new FakeBuffer(channels, length, sampleRate);
+    }
+
+    createStereoPanner() {
+        return this.track(new FakeNode(this, { pan: 0 }));
+    }
+
+    createChannelSplitter() {
+        return this.track(new FakeNode(this));
+    }
+
+    createChannelMerger() {
+        return this.track(new FakeNode(this));
+    }
+
+    createAnalyser() {
+        return this.track(new FakeAnalyser(this));
+    }
+
+    createWaveShaper() {
+        const shaper = new FakeNode(this);
+        shaper.curve = null;
+        shaper.oversample = 'none';
+        return this.track(shaper);
+    }
+
+    createDynamicsCompressor() {
+        return this.track(new FakeNode(this, { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 }));
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    async close() {
+        this.state = 'closed';
+    }
+}
+
+export class FakeOfflineAudioContext extends FakeAudioContext {
+    constructor(channels, length, sampleRate) {
+        super({ sampleRate });
+        this.channels = channels;
+        this.length = length;
+    }
+
+    async startRendering() {
+        return new FakeBuffer(this.channels, this.length, this.sampleRate);
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Tinnitus Care - Therapy Modes
+ * Sound therapies other than notching, built around the tinnitus frequency
+ *
+ * A mode builds its graph in any live or offline context and returns, or
+ * resolves to, { output, sources, nodes, setFrequency }. The engine feeds
+ * `output` into the same therapy gain, analyser and limiter as notched sound,
+ * starts and stops `sources`, and calls setFrequency when the matched
+ * frequency moves.
+ */
+
+import { setParam } from './audio-params.js';
+
+// Coordinated reset: four tones around the tinnitus pitch (Tass et al., 2012),
+// played once each in random order per cycle, three cycles on and two off
+const CR_TONE_RATIOS = [0.766, 0.893, 1.133, 1.4];
+const CR_CYCLE_RATE = 1.5; // cycles per second
+const CR_CYCLES_ON = 3;
+const CR_CYCLES_OFF = 2;
+const CR_PATTERNS = 12; // on/off patterns before the sequence repeats
+const CR_ENVELOPE_RATE = 8000; // Hz, ample for smooth envelopes
+const CR_TONE_LEVEL = 0.5;
+
+// Amplitude-modulated tone: full-depth modulation of a tone at the tinnitus pitch
+const AM_RATE = 40; // Hz
+const AM_TONE_LEVEL = 0.5;
+
+/**
+ * Coordinated reset tone sequences
+ * Each tone's gain follows its own channel of a looping envelope buffer, so
+ * the random order is fixed per loop while the pitches can still glide.
+ */
+function createCrMode(context, { frequency, random }) {
+    const output = context.createGain();
+    const envelopes = createCrEnvelopes(context, random);
+    const player = context.createBufferSource();
+    player.buffer = envelopes;
+    player.loop = true;
+    const splitter = context.createChannelSplitter(CR_TONE_RATIOS.length);
+    player.connect(splitter);
+
+    const oscillators = CR_TONE_RATIOS.map((ratio, i) => {
+        const oscillator = context.createOscillator();
+        oscillator.frequency.value = frequency * ratio;
+        const gain = context.createGain();
+        gain.gain.value = 0; // driven entirely by the envelope
+        oscillator.connect(gain);
+        splitter.connect(gain.gain, i);
+        gain.connect(output);
+        return { oscillator, gain };
+    });
+
+    return {
+        output,
+        sources: [player, ...oscillators.map(({ oscillator }) => oscillator)],
+        nodes: [output, splitter, ...oscillators.map(({ gain }) => gain)],
+        setFrequency(value, time) {
+            oscillators.forEach(({ oscillator }, i) => setParam(oscillator.frequency, value * CR_TONE_RATIOS[i], time));
+        }
+    };
+}
+
+/**
+ * Envelope buffer with one channel per CR tone
+ * Tones fill a quarter cycle each with a Hann window to avoid clicks.
+ */
+function createCrEnvelopes(context, random) {
+    const tones = CR_TONE_RATIOS.length;
+    const cycleLength = Math.round(CR_ENVELOPE_RATE / CR_CYCLE_RATE);
+    const slotLength = Math.floor(cycleLength / tones);
+    const cycles = CR_PATTERNS * (CR_CYCLES_ON + CR_CYCLES_OFF);
+    const buffer = context.createBuffer(tones, cycles * cycleLength, CR_ENVELOPE_RATE);
+    const channels = Array.from({ length: tones }, (_, i) => buffer.getChannelData(i));
+
+    for (let cycle = 0; cycle < cycles; cycle++) {
+        if (cycle % (CR_CYCLES_ON + CR_CYCLES_OFF) >= CR_CYCLES_ON) continue;
+
+        // Fisher-Yates shuffle of the tone order for this cycle
+        const order = channels.map((_, i) => i);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        order.forEach((tone, slot) => {
+            const start = cycle * cycleLength + slot * slotLength;
+            for (let i = 0; i < slotLength; i++) {
+                channels[tone][start + i] = CR_TONE_LEVEL * Math.pow(Math.sin(Math.PI * i / slotLength), 2);
+            }
+        });
+    }
+
+    return buffer;
+}
+
+/**
+ * Partial masking noise
+ * Band-limited noise over the tinnitus band, boosted back to the level of
+ * broadband noise; the volume is then set so the tinnitus stays just audible.
+ * The noise comes from the engine's white-noise generator, so it never loops.
+ */
+async function createMaskingMode(context, { frequency, width, createNoise }) {
+    const noise = await createNoise();
+
+    // Two band-pass stages for steeper skirts, as for the narrowband test noise
+    const bandpass = [context.createBiquadFilter(), context.createBiquadFilter()];
+    const output = context.createGain();
+    noise.connect(bandpass[0]);
+    bandpass[0].connect(bandpass[1]);
+    bandpass[1].connect(output);
+
+    const tune = (value, time, smoothing) => {
+        const ratio = Math.pow(2, width);
+        const bandwidth = value * (ratio - 1) / Math.sqrt(ratio);
+        bandpass.forEach(filter => {
+            setParam(filter.frequency, value, time, smoothing);
+            setParam(filter.Q, value / bandwidth, time, smoothing);
+        });
+        setParam(output.gain, Math.sqrt(context.sampleRate / 2 / bandwidth), time, smoothing);
+    };
+    bandpass.forEach(filter => {
+        filter.type = 'bandpass';
+    });
+    tune(frequency, context.currentTime, 0);
+
+    return {
+        output,
+        sources: [noise],
+        nodes: [output, ...bandpass],
+        setFrequency(value, time) {
+            tune(value, time);
+        }
+    };
+}
+
+/**
+ * Amplitude-modulated tone at the tinnitus pitch
+ */
+function createAmMode(context, { frequency }) {
+    const carrier = context.createOscillator();
+    carrier.frequency.value = frequency;
+    const output = context.createGain();
+    output.gain.value = AM_TONE_LEVEL / 2;
+
+    // Gain swings between 0 and AM_TONE_LEVEL
+    const modulator = context.createOscillator();
+    modulator.frequency.value = AM_RATE;
+    const depth = context.createGain();
+    depth.gain.value = AM_TONE_LEVEL / 2;
+
+    carrier.connect(output);
+    modulator.connect(depth);
+    depth.connect(output.gain);
+
+    return {
+        output,
+        sources: [carrier, modulator],
+        nodes: [output, depth],
+        setFrequency(value, time) {
+            setParam(carrier.frequency, value, time);
+        }
+    };
+}
+
+/**
+ * Available modes by id
+ * `frequencies` lists the pitches a mode plays for a tinnitus frequency,
+ * for the visualizer; `band` marks modes that fill the tinnitus band.
+ */
+const THERAPY_MODES = {
+    cr: {
+        create: createCrMode,
+        frequencies: frequency => CR_TONE_RATIOS.map(ratio => frequency * ratio),
+        band: false
+    },
+    masking: {
+        create: createMaskingMode,
+        frequencies: frequency => [frequency],
+        band: true
+    },
+    am: {
+        create: createAmMode,
+        frequencies: frequency => [frequency],
+        band: false
+    }
+};
+
+/**
+ * Add or replace a therapy mode
+ * @param {string} id Mode id, as passed to TinnitusAudioEngine.setTherapyMode
+ * @param {{create: Function, frequencies: Function, band: boolean}} mode `create` may return a promise
+ */
+function registerTherapyMode(id, mode) {
+    THERAPY_MODES[id] = mode;
+}
+
+export { THERAPY_MODES, registerTherapyMode };
@@ -0,0 +1,133 @@
+/**
+ * Tinnitus Care - Treatment Programs
+ * Multi-week plans with rising daily targets, adherence streaks and missed-day recovery
+ */
+
+const TreatmentPrograms = {
+    /**
+     * Selectable plans; each phase holds a daily target for a number of weeks
+     * Names and descriptions are in the string catalogs as program.<id>.name/description.
+     */
+    PROGRAMS: [
+        {
+            id: 'starter',
+            phases: [{ weeks: 2, minutes: 15 }, { weeks: 2, minutes: 30 }]
+        },
+        {
+            id: 'notched12',
+            phases: [
+                { weeks: 2, minutes: 20 },
+                { weeks: 2, minutes: 30 },
+                { weeks: 4, minutes: 45 },
+                { weeks: 4, minutes: 60 }
+            ]
+        },
+        {
+            id: 'maintenance',
+            phases: [{ weeks: 12, minutes: 30 }]
+        }
+    ],
+
+    /**
+     * Plan by id
+     */
+    find(id) {
+        return this.PROGRAMS.find(program => program.id === id) || null;
+    },
+
+    /**
+     * Total length of a plan in days
+     */
+    totalDays(program) {
+        return program.phases.reduce((days, phase) => days + phase.weeks * 7, 0);
+    },
+
+    /**
+     * Daily target in seconds for a day of the plan
+     * @param {number} day Days since the start, 0 for the first day
+     * @returns {?number} null outside the plan
+     */
+    targetFor(program, day) {
+        if (day < 0) return null;
+
+        let end = 0;
+        for (const phase of program.phases) {
+            end += phase.weeks * 7;
+            if (day < end) return phase.minutes * 60;
+        }
+        return null;
+    },
+
+    /**
+     * Days from the start date to `date`, both taken at local midnight
+     */
+    dayOf(start, date) {
+        const from = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        const to = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        // Rounded, as days around daylight saving changes are not 24 hours long
+        return Math.round((to - from) / 86400000);
+    },
+
+    /**
+     * Adherence so far
+     * A missed day is recovered when the next day also makes up its shortfall,
+     * so one short day does not break the streak.
+     * @param {Object} program Plan from PROGRAMS
+     * @param {number[]} seconds Listening seconds per plan day, from the first day up to
+     *   today or up to the last day once the plan is over
+     * @param {boolean} ended The plan's last day has passed
+     * @returns {{day: number, week: number, finished: boolean, todaySeconds: number,
+     *   todayTarget: number, recovery: number, streak: number, bestStreak: number,
+     *   completedDays: number, missedDays: number}}
+     */
+    progress(program, seconds, ended = false) {
+        const total = this.totalDays(program);
+        const today = seconds.length - 1;
+        const days = seconds.map((value, day) => ({ value, target: this.targetFor(program, day) }));
+
+        // Shortfall of a day that the following day has to make up
+        const shortfall = (day) => day >= 0 && days[day].value < days[day].target
+            ? days[day].target - days[day].value
+            : 0;
+
+        const status = days.map(({ value, target }, day) => {
+            if (value >= target) return 'met';
+            if (day === today) return ended ? 'missed' : 'pending';
+
+            const next = days[day + 1];
+            const needed = next.target + target - value;
+            if (next.value >= needed) return 'recovered';
+            // Today can still make up yesterday
+            return day + 1 === today && !ended ? 'pending' : 'missed';
+        });
+
+        let bestStreak = 0;
+        let run = 0;
+        status.forEach(state => {
+            if (state === 'met' || state === 'recovered') {
+                run++;
+                bestStreak = Math.max(bestStreak, run);
+            } else if (state === 'missed') {
+                run = 0;
+            }
+        });
+
+        const recovery = ended ? 0 : shortfall(today - 1);
+
+        return {
+            day: today + 1,
+            week: Math.floor(today / 7) + 1,
+            finished: ended || (today === total - 1 && status[today] === 'met'),
+            todaySeconds: days[today].value,
+            todayTarget: days[today].target + recovery,
+            recovery,
+            streak: run,
+            bestStreak,
+            completedDays: status.filter(state => state === 'met' || state === 'recovered').length,
+            missedDays: status.filter(state => state === 'missed').length
+        };
+    }
+};
+
+// Export for use in app.js
+window.TreatmentPrograms = TreatmentPrograms;
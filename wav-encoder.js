@@ -0,0 +1,98 @@
+/**
+ * Tinnitus Care - WAV Encoder
+ * 16-bit PCM RIFF/WAVE files with an INFO metadata chunk
+ */
+
+const WavEncoder = {
+    /**
+     * Encode an AudioBuffer as a WAV file
+     * @param {AudioBuffer} audioBuffer Rendered audio
+     * @param {Object<string, string>} info RIFF INFO tags, e.g. { INAM: title, ICMT: comment }
+     * @returns {Blob} audio/wav file
+     */
+    encode(audioBuffer, info = {}) {
+        const channels = audioBuffer.numberOfChannels;
+        const frames = audioBuffer.length;
+        const bytesPerSample = 2;
+        const dataSize = frames * channels * bytesPerSample;
+        const infoChunk = this.encodeInfo(info);
+
+        const header = new DataView(new ArrayBuffer(44));
+        const writeTag = (offset, tag) => {
+            for (let i = 0; i < 4; i++) {
+                header.setUint8(offset + i, tag.charCodeAt(i));
+            }
+        };
+
+        writeTag(0, 'RIFF');
+        header.setUint32(4, 36 + infoChunk.byteLength + dataSize, true);
+        writeTag(8, 'WAVE');
+
+        writeTag(12, 'fmt ');
+        header.setUint32(16, 16, true);
+        header.setUint16(20, 1, true); // PCM
+        header.setUint16(22, channels, true);
+        header.setUint32(24, audioBuffer.sampleRate, true);
+        header.setUint32(28, audioBuffer.sampleRate * channels * bytesPerSample, true);
+        header.setUint16(32, channels * bytesPerSample, true);
+        header.setUint16(34, bytesPerSample * 8, true);
+
+        writeTag(36, 'data');
+        header.setUint32(40, dataSize, true);
+
+        // Interleave channels as little-endian 16-bit samples
+        const samples = new Int16Array(frames * channels);
+        const channelData = Array.from({ length: channels }, (_, channel) => audioBuffer.getChannelData(channel));
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const value = Math.max(-1, Math.min(1, channelData[channel][i]));
+                samples[i * channels + channel] = value < 0 ? value * 0x8000 : value * 0x7FFF;
+            }
+        }
+
+        // The INFO list goes before the data chunk so players read it first
+        return new Blob(
+            [header.buffer.slice(0, 36), infoChunk, header.buffer.slice(36), samples.buffer],
+            { type: 'audio/wav' }
+        );
+    },
+
+    /**
+     * Build a LIST/INFO chunk from four-character tags and UTF-8 text
+     * @returns {ArrayBuffer}
+     */
+    encodeInfo(info) {
+        const encoder = new TextEncoder();
+        const entries = Object.entries(info).map(([tag, text]) => {
+            // Null-terminated and padded to an even length
+            const bytes = encoder.encode(`${text}\0`);
+            return { tag, bytes, padded: bytes.length + (bytes.length % 2) };
+        });
+
+        const listSize = 4 + entries.reduce((sum, entry) => sum + 8 + entry.padded, 0);
+        const chunk = new Uint8Array(8 + listSize);
+        const view = new DataView(chunk.buffer);
+        const writeTag = (offset, tag) => {
+            for (let i = 0; i < 4; i++) {
+                chunk[offset + i] = tag.charCodeAt(i);
+            }
+        };
+
+        writeTag(0, 'LIST');
+        view.setUint32(4, listSize, true);
+        writeTag(8, 'INFO');
+
+        let offset = 12;
+        entries.forEach(({ tag, bytes, padded }) => {
+            writeTag(offset, tag);
+            view.setUint32(offset + 4, bytes.length, true);
+            chunk.set(bytes, offset + 8);
+            offset += 8 + padded;
+        });
+
+        return chunk.buffer;
+    }
+};
+
+// Export for use in app.js
+window.WavEncoder = WavEncoder;